@@ -0,0 +1,135 @@
+// Local stand-in for the exchange WebSocket streams, for testing streaming
+// ingestion without real exchanges. Serves Binance-style bookTicker streams
+// on /binance and Kraken v2 ticker updates on /kraken, random-walking the
+// price of every subscribed pair.
+//
+//   npm run mock:exchanges
+//   BINANCE_WS_URL=ws://localhost:8765/binance KRAKEN_WS_URL=ws://localhost:8765/kraken npm start
+const { WebSocketServer } = require("ws");
+
+const PORT = parseInt(process.env.MOCK_WS_PORT, 10) || 8765;
+const TICK_MS = parseInt(process.env.MOCK_WS_TICK_MS, 10) || 1000;
+// Drop every connection this often to exercise reconnect and resubscribe; 0 disables it
+const DROP_EVERY_MS = parseInt(process.env.MOCK_WS_DROP_EVERY_MS, 10) || 0;
+
+// Starting prices; unknown assets start at 1
+const START_PRICES = { BTC: 60000, ETH: 3000, SOL: 150, XRP: 0.5, DOGE: 0.12 };
+
+// "BTC/USDT" -> mid price, shared so both venues move around the same level
+const prices = new Map();
+
+function nextPrice(base, quote) {
+  const key = `${base}/${quote}`;
+  const previous = prices.get(key) ?? START_PRICES[base] ?? 1;
+  const price = previous * (1 + (Math.random() - 0.5) * 0.002);
+  prices.set(key, price);
+  return price;
+}
+
+// Each venue quotes around the shared price with its own offset, so spreads
+// between the two open and close now and then
+function quote(base, quoteCurrency, venueSkew) {
+  const mid = nextPrice(base, quoteCurrency) * (1 + venueSkew + (Math.random() - 0.5) * 0.01);
+  const halfSpread = mid * 0.0001;
+  return { bid: mid - halfSpread, ask: mid + halfSpread, mid };
+}
+
+const venues = {
+  "/binance": {
+    // "btcusdt@bookTicker" -> subscribed
+    handleMessage(client, message) {
+      const params = message.params || [];
+      for (const streamName of params) {
+        if (message.method === "SUBSCRIBE") {
+          client.subscriptions.add(streamName);
+        } else if (message.method === "UNSUBSCRIBE") {
+          client.subscriptions.delete(streamName);
+        }
+      }
+      client.send(JSON.stringify({ result: null, id: message.id }));
+    },
+    updates(client) {
+      return [...client.subscriptions].map((streamName) => {
+        const symbol = streamName.split("@")[0].toUpperCase();
+        const quoteCurrency = ["FDUSD", "USDT", "USDC"].find((q) => symbol.endsWith(q)) || "USDT";
+        const base = symbol.slice(0, -quoteCurrency.length);
+        const { bid, ask } = quote(base, quoteCurrency, 0);
+        return {
+          stream: streamName,
+          data: { s: symbol, b: bid.toFixed(8), B: "1.00000000", a: ask.toFixed(8), A: "1.00000000" },
+        };
+      });
+    },
+  },
+  "/kraken": {
+    // "BTC/USD" -> subscribed
+    handleMessage(client, message) {
+      const symbols = message.params?.symbol || [];
+      for (const symbol of symbols) {
+        if (message.method === "subscribe") {
+          client.subscriptions.add(symbol);
+        } else if (message.method === "unsubscribe") {
+          client.subscriptions.delete(symbol);
+        }
+        client.send(
+          JSON.stringify({
+            method: message.method,
+            result: { channel: "ticker", symbol },
+            success: true,
+          }),
+        );
+      }
+    },
+    updates(client) {
+      if (client.subscriptions.size === 0) {
+        return [];
+      }
+      const data = [...client.subscriptions].map((symbol) => {
+        const [base, quoteCurrency] = symbol.split("/");
+        const { bid, ask, mid } = quote(base, quoteCurrency === "USD" ? "USDT" : quoteCurrency, 0.003);
+        return { symbol, bid, bid_qty: 1, ask, ask_qty: 1, last: mid, volume: 1000 };
+      });
+      return [{ channel: "ticker", type: "update", data }];
+    },
+  },
+};
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on("connection", (client, request) => {
+  const venue = venues[request.url];
+  if (!venue) {
+    client.close(1008, "Unknown venue");
+    return;
+  }
+  client.venue = venue;
+  client.subscriptions = new Set();
+  console.log(`Client connected to ${request.url}`);
+
+  client.on("message", (raw) => {
+    try {
+      venue.handleMessage(client, JSON.parse(raw));
+    } catch (error) {
+      console.error("Bad message from client:", error.message);
+    }
+  });
+});
+
+setInterval(() => {
+  for (const client of server.clients) {
+    for (const update of client.venue?.updates(client) || []) {
+      client.send(JSON.stringify(update));
+    }
+  }
+}, TICK_MS);
+
+if (DROP_EVERY_MS > 0) {
+  setInterval(() => {
+    console.log(`Dropping ${server.clients.size} connections.`);
+    for (const client of server.clients) {
+      client.terminate();
+    }
+  }, DROP_EVERY_MS);
+}
+
+console.log(`Mock exchange streams listening on ws://localhost:${PORT}/binance and /kraken`);
@@ -0,0 +1,59 @@
+// Replay recorded ticker snapshots offline against a settings profile.
+//
+//   npm run replay -- --from 2024-05-01 --to 2024-05-07 --profile profile.json
+//
+// Options:
+//   --dir <path>      snapshot directory (default: SNAPSHOT_DIR or ./snapshots)
+//   --from <date>     first day to replay, YYYY-MM-DD (UTC)
+//   --to <date>       last day to replay, inclusive (default: --from)
+//   --profile <path>  JSON settings in the shape of a user document, e.g.
+//                     { "minProfit": 0.01, "minVolume": 50000, "minTrustScore": "green" }
+//   --limit <n>       alerts to list (default: 20)
+//   --json            print the full result as JSON instead of a report
+const fs = require("fs");
+const path = require("path");
+const { SNAPSHOT_DIR, readSnapshots } = require("../src/snapshots");
+const { replaySnapshots, formatReplayReport } = require("../src/replay");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = argv[i].match(/^--(\w+)$/);
+    if (!match) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    if (match[1] === "json") {
+      args.json = true;
+    } else {
+      args[match[1]] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function parseDay(value, label) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "") || Number.isNaN(Date.parse(value))) {
+    throw new Error(`--${label} must be a date like 2024-05-01`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = parseDay(args.from, "from");
+  const to = new Date(parseDay(args.to || args.from, "to").getTime() + DAY_MS);
+  const dir = args.dir || SNAPSHOT_DIR || path.join(process.cwd(), "snapshots");
+  const profile = args.profile ? JSON.parse(fs.readFileSync(args.profile, "utf8")) : {};
+  const limit = parseInt(args.limit, 10) || 20;
+
+  const result = await replaySnapshots(readSnapshots(dir, from, to), profile);
+  console.log(args.json ? JSON.stringify(result, null, 2) : formatReplayReport(result, limit));
+}
+
+main().catch((error) => {
+  console.error("Replay failed:", error.message);
+  process.exitCode = 1;
+});
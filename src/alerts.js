@@ -0,0 +1,200 @@
+// Sent-alert tracking so the same spread is not re-sent on every scan cycle.
+// One document per user, coin and buy/sell exchange route in the "alerts"
+// collection remembers what was last sent and whether the spread is still open.
+
+// Load environment variables
+require("dotenv").config();
+
+const ALERT_COOLDOWN_MINUTES = parseFloat(process.env.ALERT_COOLDOWN_MINUTES) || 30;
+const ALERT_REALERT_DELTA = parseFloat(process.env.ALERT_REALERT_DELTA) || 0.5;
+// Open routes not seen for at least this long are closed as gone
+const OPEN_ROUTE_STALE_MINUTES = parseFloat(process.env.OPEN_ROUTE_STALE_MINUTES) || 60;
+
+const COLLECTION = "alerts";
+
+// Create the alerts collection with a unique index on the route key
+async function checkAndCreateAlertsCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex(
+        { telegramId: 1, coinId: 1, buyExchange: 1, sellExchange: 1 },
+        { unique: true },
+      );
+      console.log(`Created '${COLLECTION}' collection with unique index on the alert route.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// Per-user alert settings, falling back to the environment defaults
+function getAlertSettings(user) {
+  return {
+    cooldownMs: (user?.alertCooldownMinutes ?? ALERT_COOLDOWN_MINUTES) * 60 * 1000,
+    realertDelta: user?.realertDelta ?? ALERT_REALERT_DELTA,
+  };
+}
+
+function routeKey(telegramId, coinId, opportunity) {
+  return {
+    telegramId,
+    coinId,
+    buyExchange: opportunity.lowestExchangeId,
+    sellExchange: opportunity.highestExchangeId,
+  };
+}
+
+// Decide whether an opportunity should be sent, or is a repeat of one the
+// user already has. Repeats within the cooldown are suppressed; an open spread
+// is re-sent only when it widened by the re-alert delta since the last alert.
+async function shouldSendAlert(db, user, coinId, opportunity, now = new Date()) {
+  const { cooldownMs, realertDelta } = getAlertSettings(user);
+  const profit = Number(opportunity.potentialProfit);
+
+  const alert = await db
+    .collection(COLLECTION)
+    .findOne(routeKey(user.telegramId, coinId, opportunity));
+
+  if (!alert) {
+    return true;
+  }
+  if (alert.status === "open") {
+    return profit >= alert.lastSentProfit + realertDelta;
+  }
+  // The spread closed and reappeared
+  return now - alert.lastSentAt >= cooldownMs;
+}
+
+// Remember an alert that was just sent to the user
+async function recordSentAlert(
+  db,
+  user,
+  coinId,
+  opportunity,
+  { messageId, messageText },
+  now = new Date(),
+) {
+  const profit = Number(opportunity.potentialProfit);
+  const key = routeKey(user.telegramId, coinId, opportunity);
+  const existing = await db.collection(COLLECTION).findOne(key);
+  const reopened = !existing || existing.status === "closed";
+
+  await db.collection(COLLECTION).updateOne(
+    key,
+    {
+      // Every message sent for the route, so buttons on older ones still resolve
+      $addToSet: { messageIds: messageId },
+      $set: {
+        status: "open",
+        messageId,
+        messageText,
+        lastSentAt: now,
+        lastSentProfit: profit,
+        lastSeenAt: now,
+        lastProfit: profit,
+        ...(reopened && { openedAt: now, peakProfit: profit, closedAt: null }),
+      },
+      ...(!reopened && { $max: { peakProfit: profit } }),
+    },
+    { upsert: true },
+  );
+}
+
+// The alert a message was sent for, for the buttons under it
+async function findAlertByMessage(db, telegramId, messageId) {
+  return db.collection(COLLECTION).findOne({ telegramId, messageIds: messageId });
+}
+
+// Keep a suppressed repeat's latest numbers up to date
+async function recordSuppressedAlert(db, user, coinId, opportunity, now = new Date()) {
+  const profit = Number(opportunity.potentialProfit);
+
+  await db.collection(COLLECTION).updateOne(
+    routeKey(user.telegramId, coinId, opportunity),
+    {
+      $set: { lastSeenAt: now, lastProfit: profit },
+      $max: { peakProfit: profit },
+    },
+  );
+}
+
+// Close every open alert for a user's coin except the route that is still
+// open (pass null when the coin has no opportunity anymore). Returns the
+// closed alerts so the caller can follow up on the original messages.
+async function closeAlerts(db, telegramId, coinId, openOpportunity, now = new Date()) {
+  const filter = { telegramId, coinId, status: "open" };
+  const openAlerts = await db.collection(COLLECTION).find(filter).toArray();
+
+  const closed = openAlerts.filter(
+    (alert) =>
+      !openOpportunity ||
+      alert.buyExchange !== openOpportunity.lowestExchangeId ||
+      alert.sellExchange !== openOpportunity.highestExchangeId,
+  );
+
+  for (const alert of closed) {
+    await db
+      .collection(COLLECTION)
+      .updateOne({ _id: alert._id }, { $set: { status: "closed", closedAt: now } });
+    alert.closedAt = now;
+  }
+  return closed;
+}
+
+// Close a user's open alerts whose coin ID starts with `prefix` and is not
+// among the ones still open, for scans that find several routes at once
+async function closeAlertsExcept(db, telegramId, prefix, openCoinIds, now = new Date()) {
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const filter = {
+    telegramId,
+    status: "open",
+    coinId: { $regex: `^${escaped}`, $nin: openCoinIds },
+  };
+  const closed = await db.collection(COLLECTION).find(filter).toArray();
+
+  for (const alert of closed) {
+    await db
+      .collection(COLLECTION)
+      .updateOne({ _id: alert._id }, { $set: { status: "closed", closedAt: now } });
+    alert.closedAt = now;
+  }
+  return closed;
+}
+
+// Close open alerts last seen before `before`. Routes nobody checks anymore,
+// e.g. for a coin the user removed or muted, would stay open forever; they
+// close as of when they were last seen, without a notice.
+async function expireStaleAlerts(db, before) {
+  const result = await db
+    .collection(COLLECTION)
+    .updateMany({ status: "open", lastSeenAt: { $lt: before } }, [
+      { $set: { status: "closed", closedAt: "$lastSeenAt" } },
+    ]);
+  return result.modifiedCount;
+}
+
+// Text appended to (or replied under) an alert once its spread has closed
+function formatClosedNotice(alert) {
+  const minutes = Math.max(1, Math.round((alert.closedAt - alert.openedAt) / 60000));
+  return `✅ <b>Spread closed</b> after ${minutes}m (peak ${alert.peakProfit}%)`;
+}
+
+module.exports = {
+  ALERT_COOLDOWN_MINUTES,
+  ALERT_REALERT_DELTA,
+  OPEN_ROUTE_STALE_MINUTES,
+  checkAndCreateAlertsCollection,
+  getAlertSettings,
+  shouldSendAlert,
+  recordSentAlert,
+  findAlertByMessage,
+  recordSuppressedAlert,
+  closeAlerts,
+  closeAlertsExcept,
+  expireStaleAlerts,
+  formatClosedNotice,
+};
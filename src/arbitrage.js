@@ -0,0 +1,278 @@
+// Arbitrage detection over a coin's tickers.
+// This module is pure: it gets the tickers and the user's resolved settings
+// and never touches the database, so one fetched snapshot can be evaluated
+// for any number of users.
+const { computeNetProfit } = require("./fees");
+const { getExecutableSize, getAverageFillPrice } = require("./liquidity");
+const { validateTickers } = require("./tickerValidation");
+const { isExchangeAllowed } = require("./exchanges");
+
+// Format number with commas and currency symbol
+function formatVolume(volume) {
+  return `$${volume.toLocaleString()}`;
+}
+
+// Trust score indicator
+const trustScoreEmojis = {
+  green: "🟢",
+  yellow: "🟡",
+  red: "🔴",
+};
+
+// USD value of one unit of a ticker's quote currency implied by CoinGecko's conversion
+function getQuoteUsdRate(ticker) {
+  if (!ticker.last) {
+    return null;
+  }
+  return Number((ticker.converted_last.usd / ticker.last).toPrecision(6));
+}
+
+// Executable price of one leg relative to the last trade: the ask when buying,
+// the bid when selling. Direct exchange tickers carry the top of book;
+// CoinGecko tickers only carry the spread percentage, so the quote is placed
+// half the spread either side of the last price. Without either the last
+// trade price is an estimate.
+function getLegRatio(ticker, side) {
+  const bookPrice = side === "buy" ? ticker.ask : ticker.bid;
+  if (bookPrice > 0 && ticker.last > 0) {
+    return { ratio: bookPrice / ticker.last, source: "book" };
+  }
+
+  const spread = Number(ticker.bid_ask_spread_percentage);
+  if (spread > 0) {
+    const halfSpread = spread / 200;
+    return { ratio: side === "buy" ? 1 + halfSpread : 1 - halfSpread, source: "spread" };
+  }
+
+  return { ratio: 1, source: "last" };
+}
+
+// Executable USD price of one leg
+function getLegPrice(ticker, side) {
+  const { ratio, source } = getLegRatio(ticker, side);
+  return { price: ticker.converted_last.usd * ratio, source };
+}
+
+// Executable price of one leg in the pair's own quote currency
+function getPairLegPrice(ticker, side) {
+  const { ratio, source } = getLegRatio(ticker, side);
+  return { price: ticker.last * ratio, source };
+}
+
+// Executable USD price of one exchange's pair in the given tickers, or null
+// when the exchange no longer lists it
+function getMarketPrice(tickers, exchangeId, pair, side) {
+  const ticker = (tickers || []).find(
+    (candidate) =>
+      candidate.market.identifier === exchangeId && `${candidate.base}/${candidate.target}` === pair,
+  );
+  return ticker ? getLegPrice(ticker, side).price : null;
+}
+
+// Function to check arbitrage opportunities for pairs quoted in the user's
+// targets, buying at the ask and selling at the bid in USD terms.
+// Both legs use the same quote currency unless cross-quote is enabled, in
+// which case USD-normalized prices are compared across quotes.
+// Every buy/sell exchange combination is priced after fees for the user's
+// reference trade size and the best net route is returned. `now` is the time
+// ticker ages are measured against; replays pass the snapshot's time.
+function checkArbitrage(tickers, settings, coinId, now = Date.now()) {
+  const [best] = rankRoutes(tickers, settings, coinId, now);
+
+  if (!best || best.net.netProfitPercent < settings.minProfit * 100) {
+    return null;
+  }
+
+  const {
+    buyTicker: minPriceTicker,
+    sellTicker: maxPriceTicker,
+    buyLeg,
+    sellLeg,
+    net,
+    executableSize,
+    expected,
+  } = best;
+  const grossProfitPercent = ((sellLeg.price - buyLeg.price) / buyLeg.price) * 100;
+
+  const buyTrustEmoji = trustScoreEmojis[minPriceTicker.trust_score] || "";
+  const sellTrustEmoji = trustScoreEmojis[maxPriceTicker.trust_score] || "";
+
+  return {
+    coinPair: `${minPriceTicker.base}/${minPriceTicker.target}`,
+    buyPair: `${minPriceTicker.base}/${minPriceTicker.target}`,
+    sellPair: `${maxPriceTicker.base}/${maxPriceTicker.target}`,
+    crossQuote: minPriceTicker.target !== maxPriceTicker.target,
+    buyQuote: minPriceTicker.target,
+    buyQuoteUsd: getQuoteUsdRate(minPriceTicker),
+    sellQuote: maxPriceTicker.target,
+    sellQuoteUsd: getQuoteUsdRate(maxPriceTicker),
+    lowestPrice: Number(buyLeg.price.toPrecision(8)),
+    // "book", "spread" or "last"; see getLegPrice
+    buyPriceSource: buyLeg.source,
+    lowestExchange: minPriceTicker.market.name,
+    lowestExchangeId: minPriceTicker.market.identifier,
+    highestPrice: Number(sellLeg.price.toPrecision(8)),
+    sellPriceSource: sellLeg.source,
+    lastPriceEstimate: buyLeg.source === "last" || sellLeg.source === "last",
+    highestExchange: maxPriceTicker.market.name,
+    highestExchangeId: maxPriceTicker.market.identifier,
+    volume:
+      minPriceTicker.volume == null ? "unknown" : formatVolume(minPriceTicker.converted_volume?.usd || 0),
+    volumeUsd: minPriceTicker.converted_volume?.usd || 0,
+    // The minimum volume filter could not be applied to one of the legs
+    volumeUnknown: minPriceTicker.volume == null || maxPriceTicker.volume == null,
+    lowestExchangeUrl: minPriceTicker.trade_url,
+    highestExchangeUrl: maxPriceTicker.trade_url,
+    trustScore: `${buyTrustEmoji} buy / ${sellTrustEmoji} sell`,
+    grossProfit: grossProfitPercent.toFixed(2),
+    netProfit: net.netProfitPercent.toFixed(2),
+    netProfitUsd: net.netProfitUsd.toFixed(2),
+    tradeSize: settings.tradeSize,
+    // null when either market does not report its order book depth
+    executableSize,
+    expectedProfitUsd: expected ? expected.netProfitUsd.toFixed(2) : null,
+    // Alerts are filtered and de-duplicated on the net figure
+    potentialProfit: net.netProfitPercent.toFixed(2),
+  };
+}
+
+// The tickers a user's filters let through: validated, in one of their
+// targets, with enough volume, on an allowed exchange and not blacklisted.
+// Both legs come from these, so the trust score and staleness rules apply to
+// the buy and the sell side alike. A streamed ticker with no known volume
+// passes the volume filter; its alert says so.
+function getCandidateTickers(tickers, settings, coinId, now = Date.now()) {
+  const { targets, minVolume, blacklistIds, requireBidAsk } = settings;
+  const { valid } = validateTickers(tickers || [], coinId, settings, now);
+
+  return valid.filter(
+    (ticker) =>
+      targets.includes(ticker.target) &&
+      (ticker.volume == null || ticker.volume >= minVolume) &&
+      isExchangeAllowed(ticker, settings) &&
+      !blacklistIds.includes(ticker.coin_id || coinId) && // Exclude blacklisted coin IDs
+      // Users can skip markets that only report a last trade price
+      !(requireBidAsk && getLegPrice(ticker, "buy").source === "last"),
+  );
+}
+
+// Every buy/sell combination of the candidate tickers that passes the size
+// filters, best net profit first. The profit threshold is left to the caller.
+function rankRoutes(tickers, settings, coinId, now = Date.now()) {
+  const {
+    crossQuote,
+    tradeSize,
+    feeOverrides,
+    minExecutableSize,
+    minDollarProfit,
+    mutedRoutes = [],
+  } = settings;
+  const candidates = getCandidateTickers(tickers, settings, coinId, now);
+  const routes = [];
+
+  for (const buyTicker of candidates) {
+    for (const sellTicker of candidates) {
+      const buyLeg = getLegPrice(buyTicker, "buy");
+      const sellLeg = getLegPrice(sellTicker, "sell");
+      const buyPrice = buyLeg.price;
+      const sellPrice = sellLeg.price;
+
+      if (
+        sellPrice <= buyPrice ||
+        buyTicker.market.identifier === sellTicker.market.identifier ||
+        (!crossQuote && buyTicker.target !== sellTicker.target) ||
+        mutedRoutes.some(
+          (route) =>
+            route.buyExchange === buyTicker.market.identifier &&
+            route.sellExchange === sellTicker.market.identifier,
+        )
+      ) {
+        continue;
+      }
+
+      const net = computeNetProfit({
+        asset: buyTicker.base,
+        buyExchangeId: buyTicker.market.identifier,
+        buyPrice,
+        sellExchangeId: sellTicker.market.identifier,
+        sellPrice,
+        tradeSize,
+        feeOverrides,
+      });
+
+      // Size the trade by the order book depth on both legs
+      const executableSize = getExecutableSize(buyTicker, sellTicker);
+      if (minExecutableSize > 0 && !(executableSize >= minExecutableSize)) {
+        continue;
+      }
+
+      const expected = executableSize
+        ? computeNetProfit({
+            asset: buyTicker.base,
+            buyExchangeId: buyTicker.market.identifier,
+            buyPrice: getAverageFillPrice(
+              buyPrice,
+              executableSize,
+              buyTicker.cost_to_move_up_usd,
+              "buy",
+            ),
+            sellExchangeId: sellTicker.market.identifier,
+            sellPrice: getAverageFillPrice(
+              sellPrice,
+              executableSize,
+              sellTicker.cost_to_move_down_usd,
+              "sell",
+            ),
+            tradeSize: executableSize,
+            feeOverrides,
+          })
+        : null;
+      if (minDollarProfit > 0 && !(expected?.netProfitUsd >= minDollarProfit)) {
+        continue;
+      }
+
+      routes.push({ buyTicker, sellTicker, buyLeg, sellLeg, net, executableSize, expected });
+    }
+  }
+
+  // A stable sort keeps the first of equally profitable routes first
+  return routes.sort((a, b) => b.net.netProfitPercent - a.net.netProfitPercent);
+}
+
+// Every exchange's executable prices for the tickers checkArbitrage would
+// compare, cheapest ask first, and the best `routeCount` buy/sell routes
+// among them with their gross and net spreads
+function getSpreadTable(tickers, settings, coinId, routeCount, now = Date.now()) {
+  const exchanges = getCandidateTickers(tickers, settings, coinId, now)
+    .map((ticker) => ({
+      exchange: ticker.market.name,
+      pair: `${ticker.base}/${ticker.target}`,
+      ask: Number(getLegPrice(ticker, "buy").price.toPrecision(8)),
+      bid: Number(getLegPrice(ticker, "sell").price.toPrecision(8)),
+      source: getLegPrice(ticker, "buy").source,
+      volumeUsd: ticker.converted_volume?.usd || 0,
+      trust: trustScoreEmojis[ticker.trust_score] || "",
+    }))
+    .sort((a, b) => a.ask - b.ask);
+
+  const routes = rankRoutes(tickers, settings, coinId, now)
+    .slice(0, routeCount)
+    .map(({ buyTicker, sellTicker, buyLeg, sellLeg, net }) => ({
+      buyExchange: buyTicker.market.name,
+      buyPair: `${buyTicker.base}/${buyTicker.target}`,
+      sellExchange: sellTicker.market.name,
+      sellPair: `${sellTicker.base}/${sellTicker.target}`,
+      grossProfit: (((sellLeg.price - buyLeg.price) / buyLeg.price) * 100).toFixed(2),
+      netProfit: net.netProfitPercent.toFixed(2),
+    }));
+
+  return { exchanges, routes };
+}
+
+module.exports = {
+  formatVolume,
+  checkArbitrage,
+  getSpreadTable,
+  getMarketPrice,
+  getPairLegPrice,
+};
@@ -1,6 +1,146 @@
-const axios = require("axios");
+const crypto = require("crypto");
 const TelegramBot = require("node-telegram-bot-api");
 const { MongoClient } = require("mongodb");
+const coingecko = require("./coingecko");
+const { checkArbitrage, formatVolume, getSpreadTable, getMarketPrice } = require("./arbitrage");
+const { REFERENCE_TRADE_SIZE, getExchangeFees } = require("./fees");
+const { MARKET_TYPES, parseExchangeIds } = require("./exchanges");
+const { validateTickers, summarizeValidation } = require("./tickerValidation");
+const {
+  PROFIT_THRESHOLD,
+  VOLUME_THRESHOLD,
+  DEFAULT_TARGETS,
+  DEFAULT_MIN_TRUST_SCORE,
+  DEFAULT_REQUIRE_BID_ASK,
+  getUserTargets,
+  getUserSettings,
+} = require("./settings");
+const {
+  checkAndCreateAlertsCollection,
+  getAlertSettings,
+  shouldSendAlert,
+  recordSentAlert,
+  findAlertByMessage,
+  recordSuppressedAlert,
+  closeAlerts,
+  closeAlertsExcept,
+  expireStaleAlerts,
+  OPEN_ROUTE_STALE_MINUTES,
+  formatClosedNotice,
+} = require("./alerts");
+const {
+  checkAndCreateOpportunitiesCollection,
+  recordOpportunity,
+  closeOpportunities,
+  expireStaleOpportunities,
+  parseDateRange,
+  getHistory,
+  formatHistory,
+  getStats,
+  formatStats,
+} = require("./history");
+const { recordSnapshot } = require("./snapshots");
+const {
+  DIGEST_INTERVALS,
+  checkAndCreateDigestQueueCollection,
+  isValidTimezone,
+  getDeliverySettings,
+  parseQuietHours,
+  formatQuietHours,
+  shouldQueue,
+  queueOpportunity,
+  isDigestDue,
+  claimQueuedOpportunities,
+  deleteSentOpportunities,
+  formatDigest,
+} = require("./delivery");
+const {
+  checkAndCreatePriceAlertsCollection,
+  parseRule,
+  formatRule,
+  addPriceAlert,
+  listPriceAlerts,
+  removePriceAlert,
+  togglePriceAlertMode,
+  attachPriceAlertCoinIds,
+  recordPriceHistory,
+  evaluatePriceAlerts,
+  markPriceAlertSent,
+  formatPriceAlertList,
+} = require("./priceAlerts");
+const {
+  UNIVERSE_REFRESH_MINUTES,
+  UNIVERSE_SIZES,
+  UNIVERSE_ORDERS,
+  checkAndCreateUniverseCollection,
+  getUniverseSettings,
+  refreshUniverse,
+  needsRefresh,
+  loadUniverse,
+  resolveUniverse,
+  resolveCategory,
+  getCategoryName,
+  formatUniverse,
+} = require("./universe");
+const {
+  checkAndCreatePlansCollection,
+  loadPlans,
+  getUserPlan,
+  getScanIntervalSeconds,
+  getScanIntervalChoices,
+  isScanDue,
+  getCoinRoom,
+  formatInterval,
+  formatPlanLimits,
+} = require("./plans");
+const {
+  checkAndCreateMutesCollection,
+  muteCoin,
+  muteRoute,
+  getActiveMutes,
+  attachMutes,
+  clearMutes,
+  formatMutes,
+} = require("./mutes");
+const {
+  COIN_LIST_REFRESH_HOURS,
+  checkAndCreateCoinListCollection,
+  updateCoinList,
+  getCoin,
+  resolveCoin,
+  resolveCoins,
+  suggestCoins,
+  migrateBlacklistSymbols,
+} = require("./coinList");
+const {
+  checkAndCreateConversationsCollection,
+  createConversations,
+} = require("./conversations");
+const {
+  checkAndCreatePaperCollections,
+  getPaperDelaySeconds,
+  createPaperSignal,
+  findPaperSignal,
+  claimPaperSignal,
+  getPaperAccount,
+  executePaperTrade,
+  resetPaperAccount,
+  formatPaperFill,
+  formatPortfolio,
+  getPnl,
+  formatPnl,
+} = require("./paper");
+const triangular = require("./triangular");
+const derivatives = require("./derivatives");
+const providers = require("./providers");
+const streaming = require("./streaming");
+const {
+  getCachedTickers,
+  getLastTickers,
+  setCachedTickers,
+  pruneCache,
+  planFetches,
+} = require("./tickerCache");
 
 // Load environment variables
 require("dotenv").config();
@@ -8,20 +148,71 @@ require("dotenv").config();
 // Access environment variables
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const MONGODB_URI = process.env.MONGODB_URI;
-const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY;
-const PROFIT_THRESHOLD = parseFloat(process.env.PROFIT_THRESHOLD);
-const VOLUME_THRESHOLD = parseInt(process.env.VOLUME_THRESHOLD, 10);
-const TARGET_CURRENCY = process.env.TARGET_CURRENCY;
 const DB_NAME = process.env.DB_NAME;
 
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
+// Scan cycle interval and how many CoinGecko requests one cycle may spend at
+// most, within what is left of the client's per-minute budget.
+// Each user is scanned on the cycles where their own plan interval is due.
+const SCAN_INTERVAL_MS = 10000;
+const SCAN_REQUEST_BUDGET = Math.max(
+  1,
+  Math.floor((coingecko.COINGECKO_REQUESTS_PER_MINUTE * SCAN_INTERVAL_MS) / 60000),
+);
+// Streamed prices are evaluated as they change when the "stream" provider is enabled
+const STREAMING_ENABLED = providers.ENABLED_PROVIDERS.includes("stream");
+// Coalesces bursts of book updates for one coin into a single evaluation
+const STREAM_EVALUATION_DELAY_MS =
+  parseInt(process.env.STREAM_EVALUATION_DELAY_MS, 10) || 250;
+
+// Reply when the CoinGecko request budget has no room for a command's lookup
+const BUDGET_EXHAUSTED_MESSAGE =
+  "Market data requests are at their per-minute limit. Please try again in a minute.";
+
+// Exchanges per page of the /spread table, and the best routes listed above it
+const SPREAD_PAGE_SIZE = 15;
+const SPREAD_TOP_ROUTES = 5;
 
-// User state tracking
-const userState = {};
+const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
 
 // MongoDB setup
 let db;
 
+// Typed-input flows, with each chat's state kept in MongoDB
+const conversations = createConversations({
+  getDb: () => db,
+  send: sendTelegramMessage,
+});
+
+// Guards against overlapping scan cycles when a cycle outlasts the interval
+let scanInProgress = false;
+
+// Coin ID -> { id, symbol, name } for coins seen in the coin universe
+const knownCoins = new Map();
+
+// Telegram ID -> (coin ID -> when the coin was last evaluated for the user).
+// Kept per coin, so coins deferred by the request budget stay due until
+// they have data, while the rest wait for the user's next interval.
+const lastScanTimes = new Map();
+
+// The coin universe refresh in progress, if any
+let universeRefresh = null;
+
+// The digest run in progress, if any
+let digestRun = null;
+
+// Whether users have been told that market data is degraded
+let degradedNotified = false;
+
+// Coin ID -> active users watching it, refreshed every scan cycle, so streamed
+// price changes are evaluated for the right users between cycles
+let coinWatchers = new Map();
+
+// Coin ID -> pending timer for a streamed evaluation
+const streamEvaluationTimers = new Map();
+
+// "telegramId:coinId" -> tail of the evaluations queued for that user and coin
+const evaluationQueues = new Map();
+
 // Connect to MongoDB
 async function connectToMongo() {
   try {
@@ -33,7 +224,16 @@ async function connectToMongo() {
 
     // After connecting, check or create required collections
     await checkAndCreateUserCollection();
-    await checkAndCreateTop100CoinsCollection();
+    await checkAndCreateUniverseCollection(db);
+    await checkAndCreateAlertsCollection(db);
+    await checkAndCreateOpportunitiesCollection(db);
+    await checkAndCreatePaperCollections(db);
+    await checkAndCreateConversationsCollection(db);
+    await checkAndCreateCoinListCollection(db);
+    await checkAndCreateMutesCollection(db);
+    await checkAndCreatePriceAlertsCollection(db);
+    await checkAndCreateDigestQueueCollection(db);
+    await checkAndCreatePlansCollection(db);
 
   } catch (error) {
     console.error("Error connecting to MongoDB:", error.message);
@@ -68,49 +268,14 @@ async function sendTelegramMessage(chatId, message) {
   }
 }
 
-// Fetch coin data including tickers for a specific coin ID
-
-async function fetchCoinData(coinId, chatId) {
-  // Check if fetching is paused in the database
-  const userData = await db.collection("users").findOne({ telegramId: chatId }); // Retrieve user data by chatId
-  const isPaused = userData?.isPaused || false; // Default to false if no value found
-
-  if (isPaused) {
-    return null; // Exit the function if paused
-  }
-
-  // If not paused, proceed with data fetching
-  const url = `https://api.coingecko.com/api/v3/coins/${coinId}/tickers`;
-  const options = {
-    method: "GET",
-    headers: {
-      accept: "application/json",
-      "x-cg-demo-api-key": COINGECKO_API_KEY, // Replace with your actual API key if necessary
-    },
-  };
-
-  try {
-    const response = await axios.get(url, options);
-    //console.log(`Response for ${coinId}:`, response.data); // Log the response
-    return response; // Return the array
-  } catch (error) {
-    return null;
-  }
-}
-
-// Format number with commas and currency symbol
-function formatVolume(volume) {
-  return `$${volume.toLocaleString()}`;
-}
-
-async function updateUserTarget(chatId, target) {
+async function updateUserTargets(chatId, targets) {
   try {
-    // Update or add the target field in the user's document
+    // Update or add the targets field in the user's document
     await db
       .collection("users")
       .updateOne(
         { telegramId: chatId },
-        { $set: { target } },
+        { $set: { targets }, $unset: { target: "" } },
         { upsert: true },
       );
   } catch (error) {
@@ -118,76 +283,6 @@ async function updateUserTarget(chatId, target) {
   }
 }
 
-// Function to check arbitrage opportunities using converted_last.usd for specific pairs with USDT as target
-async function checkArbitrage(tickers, chatId) {
-  if (!tickers || tickers.length === 0) {
-    return null; // Ensure tickers is not null or empty
-  }
-
-  const user = await db.collection("users").findOne({ telegramId: chatId });
-
-  const minProfit = user?.minProfit || PROFIT_THRESHOLD; // Use stored decimal value
-  const minVolume = user?.minVolume || VOLUME_THRESHOLD;
-
-  const blacklistIds = user?.blacklistIds || []; // Fetch blacklisted IDs
-  let minPriceTicker = null;
-  let maxPriceTicker = null;
-
-  tickers.forEach((ticker) => {
-    if (
-      ticker.target === user.target &&
-      ticker.volume >= minVolume &&
-      ticker.trust_score
-      &&
-      !blacklistIds.includes(ticker.base.toLowerCase()) // Exclude blacklisted IDs
-
-    ) {
-      const priceUSD = ticker.converted_last?.usd;
-
-      if (priceUSD) {
-        if (!minPriceTicker || priceUSD < minPriceTicker.converted_last.usd) {
-          minPriceTicker = ticker;
-        }
-        if (!maxPriceTicker || priceUSD > maxPriceTicker.converted_last.usd) {
-          maxPriceTicker = ticker;
-        }
-      }
-    }
-  });
-
-  if (minPriceTicker && maxPriceTicker) {
-    let potentialProfitPercent = (
-      ((maxPriceTicker.converted_last.usd - minPriceTicker.converted_last.usd) /
-        minPriceTicker.converted_last.usd) *
-      100
-    ).toFixed(2);
-
-    if (potentialProfitPercent < minProfit * 100) return null;
-
-    // Trust score indicator
-    const trustScoreEmojis = {
-      green: "🟢",
-      yellow: "🟡",
-      red: "🔴",
-    };
-    let trustScoreEmoji = trustScoreEmojis[minPriceTicker.trust_score] || "";
-
-    return {
-      coinPair: `${minPriceTicker.base}/${minPriceTicker.target}`,
-      lowestPrice: minPriceTicker.converted_last.usd,
-      lowestExchange: minPriceTicker.market.name,
-      highestPrice: maxPriceTicker.converted_last.usd,
-      highestExchange: maxPriceTicker.market.name,
-      volume: formatVolume(minPriceTicker.converted_volume.usd),
-      lowestExchangeUrl: minPriceTicker.trade_url,
-      highestExchangeUrl: maxPriceTicker.trade_url,
-      trustScore: trustScoreEmoji,
-      potentialProfit: potentialProfitPercent,
-    };
-  }
-  return null;
-}
-
 // Function to delete a message after a timeout
 async function deleteMessage(chatId, messageId, timeout) {
   setTimeout(() => {
@@ -199,6 +294,23 @@ async function deleteMessage(chatId, messageId, timeout) {
   }, timeout);
 }
 
+// Whether Telegram refused an edit because it would leave the message as it was
+function isMessageNotModified(error) {
+  return error.code === "ETELEGRAM" && /message is not modified/.test(error.message);
+}
+
+// Replace a message's keyboard. Tapping the option that is already selected
+// redraws the same keyboard, which Telegram refuses; that is not an error.
+async function updateReplyMarkup(chatId, messageId, replyMarkup) {
+  try {
+    await bot.editMessageReplyMarkup(replyMarkup, { chat_id: chatId, message_id: messageId });
+  } catch (error) {
+    if (!isMessageNotModified(error)) {
+      throw error;
+    }
+  }
+}
+
 // Assuming user settings are retrieved from MongoDB
 async function getOptions(chatId) {
 
@@ -213,9 +325,25 @@ async function getOptions(chatId) {
 
   const minProfit = userSettings?.minProfit || PROFIT_THRESHOLD;
   const minVolume = userSettings?.minVolume || VOLUME_THRESHOLD;
-  const target = userSettings?.target || "USDT";
+  const targets = getUserTargets(userSettings).join(", ");
+  const crossQuote = userSettings?.crossQuote ? "ON" : "OFF";
+  const requireBidAsk = (userSettings?.requireBidAsk ?? DEFAULT_REQUIRE_BID_ASK) ? "ON" : "OFF";
+  const triangularState = userSettings?.triangularEnabled ? "ON" : "OFF";
+  const carryState = userSettings?.derivativesEnabled ? "ON" : "OFF";
+  const minFundingApr = userSettings?.minFundingApr ?? derivatives.DEFAULT_MIN_FUNDING_APR;
+  const minBasis = userSettings?.minBasis ?? derivatives.DEFAULT_MIN_BASIS;
   const isTop100 = userSettings?.isTop100 ? "ON" : "OFF";
   const isPaused = userSettings?.isPaused ? "Paused" : "Active";
+  const { cooldownMs, realertDelta } = getAlertSettings(userSettings);
+  const tradeSize = userSettings?.tradeSize || REFERENCE_TRADE_SIZE;
+  const minExecutableSize = userSettings?.minExecutableSize || 0;
+  const minDollarProfit = userSettings?.minDollarProfit || 0;
+  const minTrustScore = userSettings?.minTrustScore || DEFAULT_MIN_TRUST_SCORE;
+  const paperDelaySeconds = getPaperDelaySeconds(userSettings);
+  const paperFills = userSettings?.paperReprice ? "Re-priced" : "Alert Prices";
+  const marketType = MARKET_TYPES[userSettings?.marketType || "all"];
+  const plan = getUserPlan(await loadPlans(db), userSettings);
+  const scanInterval = formatInterval(getScanIntervalSeconds(userSettings, plan));
 
   return {
     reply_markup: {
@@ -235,23 +363,105 @@ async function getOptions(chatId) {
           },
   { text: "📄View Blacklisted IDs", callback_data: "view_blacklist" }
 ],
+        [
+          {
+            text: `🔁Cross-Quote (USD-normalized): ${crossQuote}`,
+            callback_data: "toggle_cross_quote",
+          },
+        ],
+        [
+          {
+            text: `📗Bid/Ask Prices Only: ${requireBidAsk}`,
+            callback_data: "toggle_require_bid_ask",
+          },
+        ],
+        [
+          {
+            text: `🔺Triangular (same exchange): ${triangularState}`,
+            callback_data: "toggle_triangular",
+          },
+        ],
+        [
+          {
+            text: `📐Carry (spot vs perp): ${carryState}`,
+            callback_data: "toggle_derivatives",
+          },
+        ],
+        [
+          {
+            text: `💸Min Funding APR: ${minFundingApr}%`,
+            callback_data: "set_min_funding_apr",
+          },
+          { text: `📊Min Basis: ${minBasis}%`, callback_data: "set_min_basis" },
+        ],
+        [
+          { text: "🔌Data Sources", callback_data: "provider_menu" },
+          { text: "🔔Price Alerts", callback_data: "price_alert_menu" },
+        ],
+        [{ text: `📬Delivery: ${formatDeliveryMode(userSettings)}`, callback_data: "delivery_menu" }],
+        [{ text: `⏱Scan: every ${scanInterval} (${plan.name} plan)`, callback_data: "plan_menu" }],
+        [
+          { text: "🏦Exchange Lists", callback_data: "exchange_menu" },
+          { text: `🔀Markets: ${marketType}`, callback_data: "market_type_menu" },
+        ],
         [
           {
             text: `💸Set Min Profit: ${minProfit}%`,
             callback_data: "set_min_profit",
           },
-          { text: `🎯Set Target: ${target}`, callback_data: "set_target" }
+          { text: `🎯Set Targets: ${targets}`, callback_data: "set_target" }
 
         ],
         [{
             text: `🔉Set Min Volume: ${minVolume}`,
             callback_data: "set_min_volume",
+          },
+          {
+            text: `💼Trade Size: ${formatVolume(tradeSize)}`,
+            callback_data: "set_trade_size",
           }],
         [
           {
-            text: `📈Top 100 Coins (Vol): ${isTop100}`,
+            text: `📏Min Size: ${formatVolume(minExecutableSize)}`,
+            callback_data: "set_min_size",
+          },
+          {
+            text: `💵Min $ Profit: ${formatVolume(minDollarProfit)}`,
+            callback_data: "set_min_dollar_profit",
+          },
+        ],
+        [
+          {
+            text: `🔒Min Trust (both legs): ${trustScoreLabels[minTrustScore]}`,
+            callback_data: "toggle_min_trust",
+          },
+        ],
+        [
+          {
+            text: `⏱️Alert Cooldown: ${cooldownMs / 60000}m`,
+            callback_data: "set_alert_cooldown",
+          },
+          {
+            text: `📐Re-alert Delta: ${realertDelta}%`,
+            callback_data: "set_realert_delta",
+          },
+        ],
+        [
+          {
+            text: `📝Paper Fill Delay: ${paperDelaySeconds}s`,
+            callback_data: "set_paper_delay",
+          },
+          {
+            text: `🧾Paper Fills: ${paperFills}`,
+            callback_data: "toggle_paper_reprice",
+          },
+        ],
+        [
+          {
+            text: `📈Coin Universe: ${isTop100}`,
             callback_data: "toggle_top100",
           },
+          { text: `🌐${formatUniverse(userSettings)}`, callback_data: "universe_menu" },
         ],
         [{ text: `⏸️${isPaused}`, callback_data: "toggle_fetching" }],
       ],
@@ -259,167 +469,1503 @@ async function getOptions(chatId) {
   };
 }
 
-// Function to handle the /start command
-bot.onText(/\/start/, async (msg) => {
-  const chatId = msg.chat && msg.chat.id; // Ensure chatId is defined
+// Exchange allow/deny list management screen
+async function getExchangeOptions(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const allowCount = user?.exchangeAllowlist?.length || 0;
+  const denyCount = user?.exchangeDenylist?.length || 0;
 
-  if (!chatId) {
-    return;
-  }
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: "➕Allow Exchange", callback_data: "add_exchange_allow" },
+          { text: `➖Remove Allowed (${allowCount})`, callback_data: "remove_exchange_allow" },
+        ],
+        [
+          { text: "🚫Exclude Exchange", callback_data: "add_exchange_deny" },
+          { text: `➖Remove Excluded (${denyCount})`, callback_data: "remove_exchange_deny" },
+        ],
+        [{ text: "📄View Exchange Lists", callback_data: "view_exchange_lists" }],
+        [{ text: "⬅️Back", callback_data: "options_back" }],
+      ],
+    },
+  };
+}
 
-  try {
-    const existingUser = await db
-      .collection("users")
-      .findOne({ telegramId: chatId });
+function formatDeliveryMode(user) {
+  const { mode, intervalMinutes, quietHours } = getDeliverySettings(user);
+  const label = mode === "digest" ? `Digest every ${formatMinutes(intervalMinutes)}` : "Instant";
+  return quietHours ? `${label}, quiet ${formatQuietHours(quietHours)}` : label;
+}
 
-    if (!existingUser) {
-      // If not, create a new user
-      await db
-        .collection("users")
-        .insertOne({
-          telegramId: chatId,
-          whitelistIds: [],
-          blacklistIds: [],
-          isPaused: false,
-          minProfit: PROFIT_THRESHOLD,
-          minVolume: VOLUME_THRESHOLD,
-          isTop100: false,
-          target: "USDT",
-        });
-      const welcomeMessage = await sendTelegramMessage(
-        chatId,
-        "Welcome to the Arbitrage Bot! You can start by adding trading pairs to your whitelist.",
-      );
-      deleteMessage(chatId, welcomeMessage.message_id, 5000);
-    } else {
-      const welcomeBackMessage = await sendTelegramMessage(
-        chatId,
-        "Welcome back to the Arbitrage Bot! You can check your coins ids.",
-      );
-      deleteMessage(chatId, welcomeBackMessage.message_id, 5000);
-    }
+function formatMinutes(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
 
-    const options = await getOptions(chatId);
+// Delivery screen: instant or digest with its interval, quiet hours and timezone
+async function getDeliveryOptions(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const { mode, intervalMinutes, timezone, quietHours } = getDeliverySettings(user);
+  const mark = (selected) => (selected ? "✅ " : "");
 
-    await bot.sendMessage(chatId, "Choose an option below:", options);
-  } catch (error) {
-    await sendTelegramMessage(
-      chatId,
-      "There was an error processing your request.",
-    );
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: `${mark(mode === "instant")}⚡ Instant`, callback_data: "set_delivery:instant" }],
+        DIGEST_INTERVALS.map((minutes) => ({
+          text: `${mark(mode === "digest" && intervalMinutes === minutes)}📬 ${formatMinutes(minutes)}`,
+          callback_data: `set_delivery:${minutes}`,
+        })),
+        [{ text: `🌙Quiet Hours: ${formatQuietHours(quietHours)}`, callback_data: "set_quiet_hours" }],
+        [{ text: `🌍Timezone: ${timezone}`, callback_data: "set_timezone" }],
+        [{ text: "⬅️Back", callback_data: "options_back" }],
+      ],
+    },
+  };
+}
+
+// The user's plan, coin usage and scan interval, with a button per interval
+// the plan allows
+async function getPlanView(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const plan = getUserPlan(await loadPlans(db), user);
+  const interval = getScanIntervalSeconds(user, plan);
+  const coinCount = user?.isTop100
+    ? resolveUniverse(await loadUniverse(db), user).length
+    : user?.whitelistIds?.length || 0;
+  const coinSource = user?.isTop100 ? formatUniverse(user) : "whitelist";
+
+  const buttons = getScanIntervalChoices(plan).map((seconds) => ({
+    text: `${seconds === interval ? "✅ " : ""}${formatInterval(seconds)}`,
+    callback_data: `set_scan_interval:${seconds}`,
+  }));
+  const rows = [];
+  for (let index = 0; index < buttons.length; index += 4) {
+    rows.push(buttons.slice(index, index + 4));
   }
-});
 
-//Implement the /options Command
+  return {
+    text: [
+      `⏱ Plan: ${plan.name} (${formatPlanLimits(plan)})`,
+      `Coins tracked: ${coinCount} of ${plan.maxCoins} (${coinSource})`,
+      `Scanning every ${formatInterval(interval)}. Pick another interval:`,
+    ].join("\n"),
+    reply_markup: { inline_keyboard: rows },
+  };
+}
 
-bot.onText(/\/options/, async (msg) => {
-  const chatId = msg.chat.id;
+// Whether a user's plan allows the coin universe they would track with the
+// given changes to their settings; tells them if not. A universe that still
+// has to be fetched is counted at its full size.
+async function checkUniverseQuota(chatId, changes = {}) {
+  const current = await db.collection("users").findOne({ telegramId: chatId });
+  const user = { ...current, ...changes };
+  const plan = getUserPlan(await loadPlans(db), user);
+  const coinCount = needsRefresh(user)
+    ? getUniverseSettings(user).size
+    : resolveUniverse(await loadUniverse(db), user).length;
+  if (coinCount <= plan.maxCoins) {
+    return true;
+  }
+  await sendTelegramMessage(
+    chatId,
+    `${formatUniverse(user)} is ${coinCount} coins, but your ${plan.name} plan allows ${plan.maxCoins}. ` +
+      "Pick a smaller universe or a category, use the whitelist instead, or ask the operator for a larger plan.",
+  );
+  return false;
+}
 
-  const options = await getOptions(chatId);
-  await bot.sendMessage(chatId, "Choose an option below:", options);
-});
+// Coin universe screen: size, ranking, categories and stablecoin exclusion
+async function getUniverseOptions(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const { size, order, categories, excludeStable } = getUniverseSettings(user);
+  const mark = (selected) => (selected ? "✅ " : "");
 
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        UNIVERSE_SIZES.map((option) => ({
+          text: `${mark(option === size)}Top ${option}`,
+          callback_data: `set_universe_size:${option}`,
+        })),
+        Object.entries(UNIVERSE_ORDERS).map(([key, { label }]) => ({
+          text: `${mark(key === order)}By ${label}`,
+          callback_data: `set_universe_order:${key}`,
+        })),
+        [
+          {
+            text: `🏷Categories: ${categories.length > 0 ? categories.map(getCategoryName).join(", ") : "all"}`,
+            callback_data: "set_universe_categories",
+          },
+        ],
+        [
+          {
+            text: `🚫Skip Stablecoins & Wrapped: ${excludeStable ? "ON" : "OFF"}`,
+            callback_data: "toggle_universe_exclude",
+          },
+        ],
+        [{ text: "⬅️Back", callback_data: "options_back" }],
+      ],
+    },
+  };
+}
 
-//Implement the /resume and /pause Commands
+// Save changes to a user's universe, if their plan allows the result, and
+// fetch the coins it needs when the shared universe does not have them yet
+async function updateUniverseSettings(chatId, changes) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  if (user?.isTop100 && !(await checkUniverseQuota(chatId, changes))) {
+    return false;
+  }
+  await db.collection("users").updateOne({ telegramId: chatId }, { $set: changes });
+  refreshUniverseFor({ ...user, ...changes });
+  return true;
+}
 
-bot.onText(/\/resume/, async (msg) => {
-  const chatId = msg.chat.id;
+// Fetch the coins a user's universe choice needs in the background, when the
+// shared universe does not have them yet
+function refreshUniverseFor(user) {
+  if (!needsRefresh(user)) {
+    return;
+  }
+  (async () => {
+    await updateCoinUniverse();
+    // A refresh that was already running may have read the old choice
+    if (needsRefresh(user)) {
+      await updateCoinUniverse();
+    }
+  })().catch((error) => console.error("Error refreshing the coin universe:", error.message));
+}
 
-  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isPaused: false } });
-  await sendTelegramMessage(chatId, "Fetching data has been resumed.");
-});
+// Market type (centralized / DEX / both) selection screen
+async function getMarketTypeOptions(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const current = user?.marketType || "all";
 
-bot.onText(/\/pause/, async (msg) => {
-  const chatId = msg.chat.id;
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        ...Object.entries(MARKET_TYPES).map(([type, label]) => [
+          {
+            text: `${type === current ? "✅ " : ""}${label}`,
+            callback_data: `set_market_type:${type}`,
+          },
+        ]),
+        [{ text: "⬅️Back", callback_data: "options_back" }],
+      ],
+    },
+  };
+}
 
-  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isPaused: true } });
-  await sendTelegramMessage(chatId, "Fetching data has been paused.");
-});
+// Market data provider selection screen; only operator-enabled providers are offered
+async function getProviderOptions(chatId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const selected = providers.getUserProviders(user);
 
-//Implement the /top100start and /top100stop Commands
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        ...providers.ENABLED_PROVIDERS.map((providerName) => [
+          {
+            text: `${selected.includes(providerName) ? "✅" : "⬜"} ${providerName}`,
+            callback_data: `toggle_provider:${providerName}`,
+          },
+        ]),
+        [{ text: "⬅️Back", callback_data: "options_back" }],
+      ],
+    },
+  };
+}
 
-bot.onText(/\/top100enable/, async (msg) => {
-  const chatId = msg.chat.id;
+// The exchange allow and deny lists users type exchange IDs into
+const exchangeLists = {
+  allow: { field: "exchangeAllowlist", label: "allowed exchanges" },
+  deny: { field: "exchangeDenylist", label: "excluded exchanges" },
+};
 
-  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isTop100: true } });
-  await sendTelegramMessage(chatId, "Top 100 coins feature has been enabled.");
-});
+// The coin lists users type coin IDs into
+const coinLists = {
+  whitelist: { field: "whitelistIds", label: "whitelist" },
+  blacklist: { field: "blacklistIds", label: "blacklist" },
+};
 
-bot.onText(/\/top100disable/, async (msg) => {
-  const chatId = msg.chat.id;
+const trustScoreLabels = {
+  red: "🔴 Any",
+  yellow: "🟡 Yellow+",
+  green: "🟢 Green only",
+};
 
-  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isTop100: false } });
-  await sendTelegramMessage(chatId, "Top 100 coins feature has been disabled.");
-});
+// Numeric settings typed in from the options menu. `scale` converts the typed
+// value to the stored one; `positive` rejects 0.
+const numberSettings = {
+  minProfit: {
+    prompt: "Please send the minimum potential profit percentage (e.g., 2 for 2%).",
+    invalid: "Please enter a valid profit percentage greater than 0.",
+    positive: true,
+    scale: 1 / 100,
+    confirmation: (value) => `Minimum profit percentage set to ${value}%.`,
+  },
+  minVolume: {
+    prompt: "Please send the minimum 24h volume (e.g., 1000).",
+    invalid: "Please enter a valid volume greater than 0.",
+    positive: true,
+    integer: true,
+    confirmation: (value) => `Minimum 24h volume set to ${value}.`,
+  },
+  tradeSize: {
+    prompt: "Please send the trade size in USD used to calculate net profit after fees (e.g., 1000).",
+    invalid: "Please enter a valid trade size greater than 0.",
+    positive: true,
+    confirmation: (value) => `Trade size set to ${formatVolume(value)}.`,
+  },
+  minExecutableSize: {
+    prompt: "Please send the minimum executable trade size in USD (e.g., 500). Send 0 to disable.",
+    invalid: "Please enter a valid size (0 or more).",
+    confirmation: (value) => `Minimum executable size set to ${formatVolume(value)}.`,
+  },
+  minDollarProfit: {
+    prompt: "Please send the minimum expected profit in USD at the executable size (e.g., 20). Send 0 to disable.",
+    invalid: "Please enter a valid amount (0 or more).",
+    confirmation: (value) => `Minimum dollar profit set to ${formatVolume(value)}.`,
+  },
+  minFundingApr: {
+    prompt: "Please send the minimum annualized funding rate in % for carry alerts (e.g., 20).",
+    invalid: "Please enter a valid percentage (0 or more).",
+    confirmation: (value) => `Minimum funding APR set to ${value}%.`,
+  },
+  minBasis: {
+    prompt: "Please send the minimum perp premium over spot in % for carry alerts (e.g., 0.5).",
+    invalid: "Please enter a valid percentage (0 or more).",
+    confirmation: (value) => `Minimum basis set to ${value}%.`,
+  },
+  paperDelaySeconds: {
+    prompt: "Please send the delay in seconds between pressing \"Execute (paper)\" and the simulated fill (e.g., 2).",
+    invalid: "Please enter a valid number of seconds (0 or more).",
+    confirmation: (value) => `Paper fill delay set to ${value}s.`,
+  },
+  alertCooldownMinutes: {
+    prompt: "Please send the alert cooldown in minutes (e.g., 30). Repeats of the same route are not re-sent within it.",
+    invalid: "Please enter a valid number of minutes (0 or more).",
+    confirmation: (value) => `Alert cooldown set to ${value} minutes.`,
+  },
+  realertDelta: {
+    prompt: "Please send how many percentage points an open spread must widen before it is alerted again (e.g., 0.5).",
+    invalid: "Please enter a valid delta (0 or more).",
+    confirmation: (value) => `Re-alert delta set to ${value}%.`,
+  },
+};
 
+// Options menu buttons that prompt for a numeric setting
+const numberSettingCallbacks = {
+  set_min_profit: "minProfit",
+  set_min_volume: "minVolume",
+  set_trade_size: "tradeSize",
+  set_min_size: "minExecutableSize",
+  set_min_dollar_profit: "minDollarProfit",
+  set_min_funding_apr: "minFundingApr",
+  set_min_basis: "minBasis",
+  set_paper_delay: "paperDelaySeconds",
+  set_alert_cooldown: "alertCooldownMinutes",
+  set_realert_delta: "realertDelta",
+};
 
-// Handle button presses for adding, removing, and viewing coin ids
+// Redraw the options keyboard a flow was started from
+async function refreshOptionsMessage(chatId, optionsMessageId) {
+  if (!optionsMessageId) {
+    return;
+  }
+  const options = await getOptions(chatId);
+  await updateReplyMarkup(chatId, optionsMessageId, options.reply_markup);
+}
+
+// Send a confirmation that cleans itself up after a few seconds
+async function sendConfirmation(chatId, text) {
+  const confirmationMessage = await sendTelegramMessage(chatId, text);
+  await deleteMessage(chatId, confirmationMessage.message_id, 10000);
+}
+
+conversations.defineFlow("number_setting", {
+  value: {
+    prompt: (data) => numberSettings[data.setting].prompt,
+    parse: (text, data) => {
+      const setting = numberSettings[data.setting];
+      const value = setting.integer ? parseInt(text, 10) : parseFloat(text);
+      if (isNaN(value) || value < 0 || (setting.positive && value === 0)) {
+        return { error: setting.invalid };
+      }
+      return { value };
+    },
+    handle: async (value, data, chatId) => {
+      const setting = numberSettings[data.setting];
+      await db
+        .collection("users")
+        .updateOne(
+          { telegramId: chatId },
+          { $set: { [data.setting]: value * (setting.scale || 1) } },
+        );
+      await refreshOptionsMessage(chatId, data.optionsMessageId);
+      await sendConfirmation(chatId, setting.confirmation(value));
+    },
+  },
+});
+
+conversations.defineFlow("targets", {
+  targets: {
+    prompt: () => "Please enter one or more targets, separated by commas (e.g., USDT, USDC, FDUSD):",
+    parse: (text) => {
+      const targets = [
+        ...new Set(
+          text
+            .split(/[\s,]+/)
+            .map((target) => target.trim().toUpperCase())
+            .filter(Boolean),
+        ),
+      ];
+      // Limit target length for safety
+      if (targets.length === 0 || targets.some((target) => target.length > 10)) {
+        return { error: "Invalid targets. Please enter valid targets (e.g., USDT, USDC, FDUSD)." };
+      }
+      return { value: targets };
+    },
+    handle: async (targets, data, chatId) => {
+      await updateUserTargets(chatId, targets);
+      await refreshOptionsMessage(chatId, data.optionsMessageId);
+      await sendConfirmation(chatId, `Targets set to ${targets.join(", ")} successfully.`);
+    },
+  },
+});
+
+conversations.defineFlow("coin_list", {
+  coins: {
+    prompt: (data) =>
+      data.add
+        ? `Please send the coins you want to add to your ${coinLists[data.list].label}: IDs, symbols or names, separated by commas (e.g., bitcoin, ETH, Solana).`
+        : `Please send the coins you want to remove from your ${coinLists[data.list].label}, separated by commas.`,
+    parse: (text) => ({ value: text }),
+    handle: async (text, data, chatId) => {
+      await applyCoinListEntries(chatId, data.list, data.add, text);
+    },
+  },
+});
+
+// Coin ID -> position in the coin universe by volume, so tracked coins are offered first
+function getCoinRanks() {
+  return new Map([...knownCoins.keys()].map((coinId, index) => [coinId, index]));
+}
+
+function describeCoin(coinId) {
+  const coin = getCoin(coinId);
+  return coin ? `${coin.name} (${coin.symbol.toUpperCase()}, ${coin.id})` : coinId;
+}
+
+// Add or remove coin IDs on a user's whitelist or blacklist and report the change
+async function updateCoinListIds(chatId, list, add, coinIds) {
+  const { field, label } = coinLists[list];
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const current = user?.[field] || [];
+  let changed = coinIds.filter((coinId) => current.includes(coinId) !== add);
+  const unchanged = coinIds.filter((coinId) => !changed.includes(coinId));
+
+  // The whitelist may not grow past the plan's coin limit
+  let overQuota = [];
+  let plan;
+  if (add && list === "whitelist") {
+    plan = getUserPlan(await loadPlans(db), user);
+    const room = getCoinRoom(plan, current.length);
+    overQuota = changed.slice(room);
+    changed = changed.slice(0, room);
+  }
+
+  if (changed.length > 0) {
+    await db
+      .collection("users")
+      .updateOne(
+        { telegramId: chatId },
+        add ? { $addToSet: { [field]: { $each: changed } } } : { $pullAll: { [field]: changed } },
+      );
+  }
+
+  const lines = [];
+  if (changed.length > 0) {
+    lines.push(`${add ? "Added to" : "Removed from"} your ${label}: ${changed.map(describeCoin).join(", ")}.`);
+  }
+  if (unchanged.length > 0) {
+    lines.push(`${add ? "Already in" : "Not in"} your ${label}: ${unchanged.join(", ")}.`);
+  }
+  if (overQuota.length > 0) {
+    lines.push(
+      `Not added, your ${plan.name} plan allows ${plan.maxCoins} coins: ${overQuota.join(", ")}. ` +
+        "Remove some coins first or ask the operator for a larger plan.",
+    );
+  }
+  return lines;
+}
+
+// Resolve the coins typed for a list, apply the ones that are clear and offer
+// a choice for the ambiguous ones
+async function applyCoinListEntries(chatId, list, add, text) {
+  const { field } = coinLists[list];
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const current = user?.[field] || [];
+  const results = resolveCoins(text, {
+    ranks: getCoinRanks(),
+    // Removal only looks at what is on the list
+    within: add ? null : new Set(current),
+  });
+
+  const coinIds = [];
+  const notes = [];
+  for (const result of results) {
+    const entry = result.query.toLowerCase();
+    if (!add && current.includes(entry)) {
+      // Entries saved before IDs were checked are removed as typed
+      coinIds.push(entry);
+    } else if (result.status === "resolved") {
+      coinIds.push(result.coin.id);
+      if (!result.exact) {
+        notes.push(`"${result.query}" matched ${describeCoin(result.coin.id)}.`);
+      }
+    } else if (result.status === "unknown") {
+      notes.push(`No coin found for "${result.query}".`);
+    }
+  }
+
+  const lines = coinIds.length > 0 ? await updateCoinListIds(chatId, list, add, [...new Set(coinIds)]) : [];
+  if (lines.length > 0 || notes.length > 0) {
+    await sendTelegramMessage(chatId, [...lines, ...notes].join("\n"));
+  }
+
+  for (const result of results.filter((entry) => entry.status === "ambiguous")) {
+    await sendCoinPicker(chatId, list, add, result);
+  }
+}
+
+// Ask which coin an ambiguous entry meant, one button per candidate
+async function sendCoinPicker(chatId, list, add, result) {
+  const prefix = `coin_pick:${list}:${add ? "add" : "remove"}:`;
+  const buttons = result.candidates
+    // Telegram limits callback data to 64 bytes
+    .filter((coin) => Buffer.byteLength(prefix + coin.id) <= 64)
+    .map((coin) => [{ text: describeCoin(coin.id), callback_data: prefix + coin.id }]);
+
+  await bot.sendMessage(chatId, `Several coins match "${result.query}". Which one did you mean?`, {
+    reply_markup: {
+      inline_keyboard: [...buttons, [{ text: "Cancel", callback_data: "coin_pick_cancel" }]],
+    },
+  });
+}
+
+// Entries per page of the whitelist and blacklist views
+const COIN_LIST_PAGE_SIZE = 8;
+
+// Short stand-in for a coin ID too long for a button's callback data
+function getCoinIdHash(coinId) {
+  return crypto.createHash("sha1").update(coinId).digest("hex").slice(0, 12);
+}
+
+// One page of a user's whitelist or blacklist: each coin's name and rank in
+// the coin universe by volume, a remove button per entry, page navigation and "clear all"
+async function getCoinListView(chatId, list, page) {
+  const { field, label } = coinLists[list];
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const coinIds = user?.[field] || [];
+
+  if (coinIds.length === 0) {
+    return { text: `Your ${label} is empty.`, reply_markup: { inline_keyboard: [] } };
+  }
+
+  const pageCount = Math.ceil(coinIds.length / COIN_LIST_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const start = currentPage * COIN_LIST_PAGE_SIZE;
+  const pageIds = coinIds.slice(start, start + COIN_LIST_PAGE_SIZE);
+
+  const { coins, ranked } = await loadUniverse(db);
+  const ranks = new Map(ranked.volume.map((coin, index) => [coin.id, index + 1]));
+
+  const lines = pageIds.map((coinId, index) => {
+    const coin = getCoin(coinId) || coins.find((universeCoin) => universeCoin.id === coinId);
+    const name = coin ? `${coin.name} (${coin.symbol.toUpperCase()})` : "⚠️ not a CoinGecko coin ID, never matches";
+    const rank = ranks.has(coinId) ? `#${ranks.get(coinId)} by volume` : "outside the coin universe";
+    return `${start + index + 1}. ${name} · ${coinId} · ${rank}`;
+  });
+
+  const removeButtons = pageIds.map((coinId) => {
+    const coin = getCoin(coinId);
+    // Telegram limits callback data to 64 bytes, so long IDs go by a hash
+    const byId = `list_remove:${list}:${currentPage}:${coinId}`;
+    return [
+      {
+        text: `❌ ${coin?.name || coinId}`,
+        callback_data:
+          Buffer.byteLength(byId) <= 64 ? byId : `list_remove:${list}:${currentPage}:#${getCoinIdHash(coinId)}`,
+      },
+    ];
+  });
+
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({ text: "⬅️ Previous", callback_data: `list_page:${list}:${currentPage - 1}` });
+  }
+  if (currentPage < pageCount - 1) {
+    navigation.push({ text: "Next ➡️", callback_data: `list_page:${list}:${currentPage + 1}` });
+  }
+
+  return {
+    text: `📄 Your ${label} (${coinIds.length} coins), page ${currentPage + 1} of ${pageCount}\n\n${lines.join("\n")}`,
+    reply_markup: {
+      inline_keyboard: [
+        ...removeButtons,
+        ...(navigation.length > 0 ? [navigation] : []),
+        [{ text: "🗑 Clear all", callback_data: `list_clear:${list}:${currentPage}` }],
+      ],
+    },
+  };
+}
+
+// Page, remove and clear actions on a list view, edited in place
+async function handleCoinListViewAction(chatId, messageId, data) {
+  const [action, list, pageText, target] = data.split(":");
+  if (!coinLists[list]) {
+    return;
+  }
+  const { field, label } = coinLists[list];
+  const page = parseInt(pageText, 10) || 0;
+  let view;
+
+  if (action === "list_clear") {
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    view = {
+      text: `Remove all ${(user?.[field] || []).length} coins from your ${label}?`,
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: "Yes, clear all", callback_data: `list_clear_confirm:${list}:0` },
+            { text: "Cancel", callback_data: `list_page:${list}:${page}` },
+          ],
+        ],
+      },
+    };
+  } else {
+    if (action === "list_remove") {
+      let coinId = target;
+      if (target.startsWith("#")) {
+        // A hash no coin on the list matches anymore removes nothing
+        const user = await db.collection("users").findOne({ telegramId: chatId });
+        coinId = (user?.[field] || []).find((entry) => getCoinIdHash(entry) === target.slice(1));
+      }
+      if (coinId) {
+        await db.collection("users").updateOne({ telegramId: chatId }, { $pull: { [field]: coinId } });
+      }
+    } else if (action === "list_clear_confirm") {
+      await db.collection("users").updateOne({ telegramId: chatId }, { $set: { [field]: [] } });
+    }
+    view = await getCoinListView(chatId, list, page);
+  }
+
+  await bot
+    .editMessageText(view.text, {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: view.reply_markup,
+    })
+    .catch((error) => console.error(`Failed to update the ${label} view:`, error.message));
+}
+
+// Redraw the delivery screen a flow was started from
+async function refreshDeliveryMessage(chatId, deliveryMessageId) {
+  const options = await getDeliveryOptions(chatId);
+  await updateReplyMarkup(chatId, deliveryMessageId, options.reply_markup);
+}
+
+conversations.defineFlow("universe_categories", {
+  categories: {
+    prompt: () =>
+      "Please send one or more CoinGecko categories separated by commas, e.g. layer-1, meme-token, or \"all\" for every category.",
+    parse: async (text) => {
+      if (text.toLowerCase() === "all") {
+        return { value: [] };
+      }
+      const categoryIds = [];
+      for (const entry of text.split(",").map((part) => part.trim()).filter(Boolean)) {
+        let match;
+        try {
+          match = await resolveCategory(entry);
+        } catch (error) {
+          console.error("Error loading coin categories:", error.message);
+          return { error: "Could not load CoinGecko's categories right now. Please try again in a minute." };
+        }
+        const { id, candidates } = match;
+        if (!id) {
+          const hint =
+            candidates.length > 0 ? ` Did you mean: ${candidates.slice(0, 8).join(", ")}?` : "";
+          return { error: `No single category matches "${entry}".${hint}` };
+        }
+        categoryIds.push(id);
+      }
+      return categoryIds.length > 0
+        ? { value: [...new Set(categoryIds)] }
+        : { error: "Please send at least one category, or \"all\"." };
+    },
+    handle: async (universeCategories, data, chatId) => {
+      if (!(await updateUniverseSettings(chatId, { universeCategories }))) {
+        return;
+      }
+      const options = await getUniverseOptions(chatId);
+      await updateReplyMarkup(chatId, data.universeMessageId, options.reply_markup);
+      await sendConfirmation(
+        chatId,
+        universeCategories.length > 0
+          ? `Coin universe limited to ${universeCategories.map(getCategoryName).join(", ")}.`
+          : "Coin universe covers every category.",
+      );
+    },
+  },
+});
+
+conversations.defineFlow("quiet_hours", {
+  range: {
+    prompt: () =>
+      "Please send your quiet hours in your timezone as start-end, e.g. 23:00-07:00, or \"off\" to turn them off. Opportunities found during quiet hours are sent as a digest when they end.",
+    parse: (text) => {
+      if (text.toLowerCase() === "off") {
+        return { value: null };
+      }
+      const quietHours = parseQuietHours(text);
+      return quietHours
+        ? { value: quietHours }
+        : { error: "Please send a range such as 23:00-07:00 or 22-6." };
+    },
+    handle: async (quietHours, data, chatId) => {
+      await db.collection("users").updateOne({ telegramId: chatId }, { $set: { quietHours } });
+      await refreshDeliveryMessage(chatId, data.deliveryMessageId);
+      await sendConfirmation(chatId, `Quiet hours set to ${formatQuietHours(quietHours)}.`);
+    },
+  },
+});
+
+conversations.defineFlow("timezone", {
+  name: {
+    prompt: () => "Please send your timezone, e.g. Europe/Berlin, America/New_York or UTC.",
+    parse: (text) =>
+      isValidTimezone(text)
+        ? { value: text }
+        : { error: "Unknown timezone. Please use a name from the IANA list, such as Asia/Singapore." },
+    handle: async (timezone, data, chatId) => {
+      await db.collection("users").updateOne({ telegramId: chatId }, { $set: { timezone } });
+      await refreshDeliveryMessage(chatId, data.deliveryMessageId);
+      await sendConfirmation(chatId, `Timezone set to ${timezone}.`);
+    },
+  },
+});
+
+conversations.defineFlow("exchange_list", {
+  exchangeIds: {
+    prompt: (data) => {
+      if (!data.add) {
+        return "Please send the exchange IDs you want to remove.";
+      }
+      return data.list === "allow"
+        ? "Please send the exchange IDs to scan (e.g., binance, kraken, gdax). Once the list is not empty, only these exchanges are used."
+        : "Please send the exchange IDs to exclude (e.g., uniswap_v3, mxc).";
+    },
+    parse: (text) => {
+      const exchangeIds = parseExchangeIds(text);
+      return exchangeIds.length > 0
+        ? { value: exchangeIds }
+        : { error: "No exchange IDs found in your message." };
+    },
+    handle: async (exchangeIds, data, chatId) => {
+      const { field, label } = exchangeLists[data.list];
+      await db.collection("users").updateOne(
+        { telegramId: chatId },
+        data.add
+          ? { $addToSet: { [field]: { $each: exchangeIds } } }
+          : { $pullAll: { [field]: exchangeIds } },
+      );
+      await sendTelegramMessage(
+        chatId,
+        `${exchangeIds.join(", ")} ${data.add ? "added to" : "removed from"} your ${label}.`,
+      );
+    },
+  },
+});
+
+// Fee overrides are stored under feeOverrides.<exchange>.withdrawal.<asset>,
+// so both parts must be safe as MongoDB field names
+const FEE_EXCHANGE_ID_PATTERN = /^[a-z0-9_-]+$/;
+const FEE_ASSET_PATTERN = /^[A-Z0-9_-]+$/;
+
+// /setfee without arguments: exchange, then what to override, then the fee
+conversations.defineFlow("set_fee", {
+  exchange: {
+    prompt: () => "Which exchange? Send its CoinGecko exchange ID (e.g., binance).",
+    parse: (text) =>
+      FEE_EXCHANGE_ID_PATTERN.test(text.toLowerCase())
+        ? { value: text.toLowerCase() }
+        : { error: "Exchange IDs look like binance or gdax." },
+    handle: async (exchangeId, data) => {
+      data.exchangeId = exchangeId;
+      return "feeType";
+    },
+  },
+  feeType: {
+    prompt: (data) =>
+      `Send "taker" to set the taker fee on ${data.exchangeId}, or an asset symbol (e.g., BTC) to set its withdrawal fee.`,
+    parse: (text) =>
+      /^[a-z0-9]{1,15}$/i.test(text)
+        ? { value: text.toLowerCase() === "taker" ? "taker" : text.toUpperCase() }
+        : { error: "Send \"taker\" or an asset symbol such as BTC." },
+    handle: async (feeType, data) => {
+      data.feeType = feeType;
+      return "amount";
+    },
+  },
+  amount: {
+    prompt: (data) =>
+      data.feeType === "taker"
+        ? `Send the taker fee on ${data.exchangeId} in % (e.g., 0.1).`
+        : `Send the ${data.feeType} withdrawal fee on ${data.exchangeId} in ${data.feeType} (e.g., 0.0002).`,
+    parse: (text) => {
+      const amount = parseFloat(text);
+      return isNaN(amount) || amount < 0
+        ? { error: "Please enter a valid fee (0 or more)." }
+        : { value: amount };
+    },
+    handle: async (amount, data, chatId) => {
+      await saveFeeOverride(chatId, data.exchangeId, data.feeType, amount);
+    },
+  },
+});
+
+// Store a taker fee (in %) or an asset's withdrawal fee override and confirm it
+async function saveFeeOverride(chatId, exchangeId, feeType, amount) {
+  if (!FEE_EXCHANGE_ID_PATTERN.test(exchangeId)) {
+    await sendTelegramMessage(chatId, "Exchange IDs look like binance or gdax: letters, digits, - and _ only.");
+    return;
+  }
+  if (feeType !== "taker" && !FEE_ASSET_PATTERN.test(feeType)) {
+    await sendTelegramMessage(chatId, "Asset symbols look like BTC: letters, digits, - and _ only.");
+    return;
+  }
+
+  if (feeType === "taker") {
+    await db
+      .collection("users")
+      .updateOne(
+        { telegramId: chatId },
+        { $set: { [`feeOverrides.${exchangeId}.taker`]: amount / 100 } },
+      );
+    await sendTelegramMessage(chatId, `Taker fee for ${exchangeId} set to ${amount}%.`);
+  } else {
+    await db
+      .collection("users")
+      .updateOne(
+        { telegramId: chatId },
+        { $set: { [`feeOverrides.${exchangeId}.withdrawal.${feeType}`]: amount } },
+      );
+    await sendTelegramMessage(
+      chatId,
+      `Withdrawal fee for ${feeType} on ${exchangeId} set to ${amount} ${feeType}.`,
+    );
+  }
+}
+
+// Prompt for a numeric setting, save it on the user and refresh the options keyboard
+async function promptNumberSetting(chatId, optionsMessage, setting) {
+  await conversations.start(chatId, "number_setting", {
+    setting,
+    optionsMessageId: optionsMessage.message_id,
+  });
+}
+
+// Function to handle the /start command
+bot.onText(/\/start/, async (msg) => {
+  const chatId = msg.chat && msg.chat.id; // Ensure chatId is defined
+
+  if (!chatId) {
+    return;
+  }
+
+  try {
+    const existingUser = await db
+      .collection("users")
+      .findOne({ telegramId: chatId });
+
+    if (!existingUser) {
+      // If not, create a new user
+      await db
+        .collection("users")
+        .insertOne({
+          telegramId: chatId,
+          whitelistIds: [],
+          blacklistIds: [],
+          isPaused: false,
+          minProfit: PROFIT_THRESHOLD,
+          minVolume: VOLUME_THRESHOLD,
+          isTop100: false,
+          targets: DEFAULT_TARGETS,
+        });
+      const welcomeMessage = await sendTelegramMessage(
+        chatId,
+        "Welcome to the Arbitrage Bot! You can start by adding trading pairs to your whitelist.",
+      );
+      deleteMessage(chatId, welcomeMessage.message_id, 5000);
+    } else {
+      const welcomeBackMessage = await sendTelegramMessage(
+        chatId,
+        "Welcome back to the Arbitrage Bot! You can check your coins ids.",
+      );
+      deleteMessage(chatId, welcomeBackMessage.message_id, 5000);
+    }
+
+    const options = await getOptions(chatId);
+
+    await bot.sendMessage(chatId, "Choose an option below:", options);
+  } catch (error) {
+    await sendTelegramMessage(
+      chatId,
+      "There was an error processing your request.",
+    );
+  }
+});
+
+//Implement the /options Command
+
+bot.onText(/\/options/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  const options = await getOptions(chatId);
+  await bot.sendMessage(chatId, "Choose an option below:", options);
+});
+
+
+//Implement the /resume and /pause Commands
+
+bot.onText(/\/resume/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isPaused: false } });
+  await sendTelegramMessage(chatId, "Fetching data has been resumed.");
+});
+
+bot.onText(/\/pause/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isPaused: true } });
+  await sendTelegramMessage(chatId, "Fetching data has been paused.");
+});
+
+//Implement the /status Command
+
+// /cancel stops whatever the bot is waiting for you to type
+bot.onText(/\/cancel/, async (msg) => {
+  const chatId = msg.chat.id;
+  const cancelled = await conversations.cancel(chatId);
+  await sendTelegramMessage(chatId, cancelled ? "Cancelled." : "There is nothing to cancel.");
+});
+
+// /mutes lists the coins and routes muted from alert buttons, /unmute clears them
+bot.onText(/\/mutes/, async (msg) => {
+  const chatId = msg.chat.id;
+  const mutes = await getActiveMutes(db, chatId);
+  await bot.sendMessage(chatId, formatMutes(mutes), { parse_mode: "HTML" });
+});
+
+bot.onText(/\/unmute/, async (msg) => {
+  const chatId = msg.chat.id;
+  const count = await clearMutes(db, chatId);
+  await sendTelegramMessage(
+    chatId,
+    count > 0 ? `Removed ${count} mute${count === 1 ? "" : "s"}.` : "You have no mutes.",
+  );
+});
+
+// /plan shows the plan's limits and lets the user pick their scan interval
+bot.onText(/\/plan/, async (msg) => {
+  const chatId = msg.chat.id;
+  const view = await getPlanView(chatId);
+  await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+});
+
+bot.onText(/\/status/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  await sendTelegramMessage(chatId, describeDataStatus(coingecko.getStatus()));
+});
+
+//Implement the /history and /stats Commands
+
+// List the user's recent opportunities, e.g. /history bitcoin 30d or
+// /history 2024-05-01 2024-05-07
+bot.onText(/\/history(?:\s+(.*))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const range = parseDateRange((match[1] || "").split(/\s+/).filter(Boolean));
+  const coinId = range.rest[0]?.toLowerCase();
+
+  try {
+    const episodes = await getHistory(db, chatId, { coinId, ...range });
+    // The reply is HTML, so the typed coin ID and the stored names are escaped
+    const escapedEpisodes = episodes.map((episode) => ({
+      ...episode,
+      coinName: episode.coinName && escapeHtml(episode.coinName),
+    }));
+    await bot.sendMessage(chatId, formatHistory(escapedEpisodes, range, coinId && escapeHtml(coinId)), {
+      parse_mode: "HTML",
+    });
+  } catch (error) {
+    console.error("Error loading opportunity history:", error.message);
+    await sendTelegramMessage(chatId, "There was an error loading your history. Please try again.");
+  }
+});
+
+// Summarize the user's opportunities by coin, exchange pair and time of day
+bot.onText(/\/stats(?:\s+(.*))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const range = parseDateRange((match[1] || "").split(/\s+/).filter(Boolean));
+
+  try {
+    const stats = await getStats(db, chatId, range);
+    await bot.sendMessage(chatId, formatStats(stats, range), { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error loading opportunity stats:", error.message);
+    await sendTelegramMessage(chatId, "There was an error loading your stats. Please try again.");
+  }
+});
+
+//Implement the /portfolio and /pnl Commands
+
+// Show paper balances per exchange and the transfers needed to rebalance them;
+// /portfolio reset starts over with fresh balances
+bot.onText(/\/portfolio(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+
+  try {
+    if (match[1]?.toLowerCase() === "reset") {
+      await resetPaperAccount(db, chatId);
+      await sendTelegramMessage(chatId, "Your paper balances and trades have been reset.");
+      return;
+    }
+    const account = await getPaperAccount(db, chatId);
+    await bot.sendMessage(chatId, formatPortfolio(account), { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error loading paper portfolio:", error.message);
+    await sendTelegramMessage(chatId, "There was an error loading your portfolio. Please try again.");
+  }
+});
+
+// Summarize realized paper P&L
+bot.onText(/\/pnl/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    await bot.sendMessage(chatId, formatPnl(await getPnl(db, chatId)), { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error loading paper P&L:", error.message);
+    await sendTelegramMessage(chatId, "There was an error loading your P&L. Please try again.");
+  }
+});
+
+//Implement the /debug Command
+
+// Explain which of a coin's tickers were dropped by validation and why
+bot.onText(/\/debug(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const coinId = match[1]?.toLowerCase();
+
+  if (!coinId) {
+    await sendTelegramMessage(chatId, "Usage: /debug <coin id>, e.g. /debug bitcoin");
+    return;
+  }
+
+  try {
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const coinData = await getCoinData(coinId, user);
+    const validation = validateTickers(
+      getUserTickers(coinData, user),
+      coinId,
+      getUserSettings(user),
+    );
+
+    await sendTelegramMessage(
+      chatId,
+      `Ticker validation for ${coinData.name || coinId}:\n${summarizeValidation(validation)}`,
+    );
+  } catch (error) {
+    await sendTelegramMessage(
+      chatId,
+      error.type === coingecko.ErrorTypes.NOT_FOUND
+        ? `Coin ID ${coinId} was not found on CoinGecko.`
+        : error.type === coingecko.ErrorTypes.BUDGET_EXHAUSTED
+          ? BUDGET_EXHAUSTED_MESSAGE
+          : describeDataStatus(coingecko.getStatus()),
+    );
+  }
+});
+
+//Implement the /scan and /spread Commands
+
+// /scan <coin> checks a coin right now with your filters
+bot.onText(/^\/scan(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const query = match[1]?.trim();
+
+  if (!query) {
+    await sendTelegramMessage(chatId, "Usage: /scan <coin>, e.g. /scan bitcoin or /scan ETH");
+    return;
+  }
+
+  const coinId = await resolveCommandCoin(chatId, query, "scan_coin");
+  if (coinId) {
+    await runScan(chatId, coinId).catch((error) => sendCoinLookupError(chatId, coinId, error));
+  }
+});
+
+// /spread <coin> shows every qualifying exchange's prices and the best routes
+bot.onText(/^\/spread(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const query = match[1]?.trim();
+
+  if (!query) {
+    await sendTelegramMessage(chatId, "Usage: /spread <coin>, e.g. /spread bitcoin or /spread SOL");
+    return;
+  }
 
-bot.on("callback_query", async (query) => {
-  const { data, message } = query;
-  const chatId = message.chat.id;
+  const coinId = await resolveCommandCoin(chatId, query, "spread_show");
+  if (coinId) {
+    await showSpread(chatId, coinId, 0).catch((error) => sendCoinLookupError(chatId, coinId, error));
+  }
+});
 
-  if (data === "set_target") {
-    // Prompt user to enter the target using sendTelegramMessage
+//Implement the /alert Command
+
+// /alert add <coin> <rule>, /alert list and /alert remove <number>
+bot.onText(/\/alert(?:\s+(.*))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [action = "list", ...args] = (match[1] || "").trim().split(/\s+/).filter(Boolean);
+
+  try {
+    if (action === "list") {
+      const view = formatPriceAlertList(await listPriceAlerts(db, chatId));
+      await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+    } else if (action === "add" && args.length >= 3) {
+      const parsed = parseRule(args.slice(1));
+      if (parsed.error) {
+        await sendTelegramMessage(chatId, parsed.error);
+        return;
+      }
+      const coinId = await resolveCommandCoin(chatId, args[0], null);
+      if (!coinId) {
+        return;
+      }
+      const user = await db.collection("users").findOne({ telegramId: chatId });
+      const plan = getUserPlan(await loadPlans(db), user);
+      const added = await addPriceAlert(db, chatId, coinId, getCoinInfo(coinId).name || coinId, parsed.rule, {
+        maxCoins: plan.maxCoins,
+        trackedCoinIds: getUserCoinIds(user, await loadUniverse(db)),
+      });
+      await sendTelegramMessage(
+        chatId,
+        added.error || `🔔 Price alert added: ${formatRule(added.rule)}.`,
+      );
+    } else if (action === "remove" && args.length === 1) {
+      const rules = await listPriceAlerts(db, chatId);
+      const rule = rules[parseInt(args[0], 10) - 1];
+      if (rule && (await removePriceAlert(db, chatId, rule._id.toString()))) {
+        await sendTelegramMessage(chatId, `Removed: ${formatRule(rule)}.`);
+      } else {
+        await sendTelegramMessage(chatId, "No price alert with that number. See /alert list.");
+      }
+    } else {
+      await sendTelegramMessage(
+        chatId,
+        "Usage:\n/alert add <coin> above|below <price> [recurring]\n" +
+          "/alert add <coin> change <±%> <window> [recurring], e.g. /alert add ETH change -5 1h\n" +
+          "/alert add <coin> volume <multiple>x <window> [recurring], e.g. /alert add SOL volume 3x 4h\n" +
+          "/alert list\n/alert remove <number>",
+      );
+    }
+  } catch (error) {
+    console.error("Error handling /alert:", error.message);
+    await sendTelegramMessage(chatId, "There was an error updating your price alerts. Please try again.");
+  }
+});
+
+//Implement the /fees, /setfee and /resetfee Commands
+
+// Show the effective fees for an exchange, including the user's overrides
+bot.onText(/\/fees(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const exchangeId = match[1]?.toLowerCase();
+
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  const feeOverrides = user?.feeOverrides || {};
+
+  if (!exchangeId) {
+    const overridden = Object.keys(feeOverrides);
     await sendTelegramMessage(
       chatId,
-      "Please enter the target (e.g., USDT, BTC, ETH):",
+      "Usage: /fees <exchange>, e.g. /fees binance (CoinGecko exchange ID).\n" +
+        `Your fee overrides: ${overridden.length > 0 ? overridden.join(", ") : "none"}.`,
     );
+    return;
+  }
 
-    // Wait for user input
-    bot.once("message", async (msg) => {
-      const target = msg.text.trim().toUpperCase();
+  const fees = getExchangeFees(exchangeId, feeOverrides);
+  const withdrawal = Object.entries(fees.withdrawal)
+    .map(([asset, amount]) => `${asset} ${amount}`)
+    .join(", ");
+  await sendTelegramMessage(
+    chatId,
+    `Fees for ${exchangeId}:\n` +
+      `Taker: ${fees.taker * 100}%\n` +
+      `Withdrawal: ${withdrawal || "none listed"}\n` +
+      `Other assets: ${formatVolume(fees.defaultWithdrawalUsd)} per withdrawal`,
+  );
+});
 
-      // Validate the target input
-      if (!target || target.length > 5) {
-        // Limit target length for safety
-        return await sendTelegramMessage(
-          chatId,
-          "Invalid target. Please enter a valid target (e.g., USDT, BTC, ETH).",
-        );
+// /setfee <exchange> <taker %> or /setfee <exchange> <asset> <withdrawal fee in asset units>;
+// without arguments it asks for each part in turn
+bot.onText(/\/setfee(?:\s+(.*))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = (match[1] || "").trim().split(/\s+/).filter(Boolean);
+
+  if (args.length === 0) {
+    await conversations.start(chatId, "set_fee");
+  } else if (args.length === 2 && !isNaN(parseFloat(args[1])) && parseFloat(args[1]) >= 0) {
+    await saveFeeOverride(chatId, args[0].toLowerCase(), "taker", parseFloat(args[1]));
+  } else if (args.length === 3 && !isNaN(parseFloat(args[2])) && parseFloat(args[2]) >= 0) {
+    await saveFeeOverride(chatId, args[0].toLowerCase(), args[1].toUpperCase(), parseFloat(args[2]));
+  } else {
+    await sendTelegramMessage(
+      chatId,
+      "Usage:\n/setfee <exchange> <taker %>, e.g. /setfee binance 0.075\n" +
+        "/setfee <exchange> <asset> <withdrawal fee>, e.g. /setfee binance BTC 0.0001\n" +
+        "Send /setfee alone to be asked for each part.",
+    );
+  }
+});
+
+bot.onText(/\/resetfee(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const exchangeId = match[1]?.toLowerCase();
+
+  if (!exchangeId || !FEE_EXCHANGE_ID_PATTERN.test(exchangeId)) {
+    await sendTelegramMessage(chatId, "Usage: /resetfee <exchange>, e.g. /resetfee binance");
+    return;
+  }
+
+  await db
+    .collection("users")
+    .updateOne({ telegramId: chatId }, { $unset: { [`feeOverrides.${exchangeId}`]: "" } });
+  await sendTelegramMessage(chatId, `Fees for ${exchangeId} reset to the defaults.`);
+});
+
+//Implement the /top100start and /top100stop Commands
+
+bot.onText(/\/top100enable/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  if (!(await checkUniverseQuota(chatId, { isTop100: true }))) {
+    return;
+  }
+
+  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isTop100: true } });
+  refreshUniverseFor(await db.collection("users").findOne({ telegramId: chatId }));
+  await sendTelegramMessage(chatId, "Coin universe tracking has been enabled.");
+});
+
+bot.onText(/\/top100disable/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  await db.collection("users").updateOne({ telegramId: chatId }, { $set: { isTop100: false } });
+  await sendTelegramMessage(chatId, "Coin universe tracking has been disabled.");
+});
+
+
+// Handle button presses for adding, removing, and viewing coin ids
+
+async function handleCallbackQuery(query) {
+  const { data, message } = query;
+  const chatId = message.chat.id;
+
+  if (data.startsWith("paper_exec:")) {
+    await executePaperSignal(chatId, message, data.split(":")[1]);
+  }
+
+  if (
+    data.startsWith("list_page:") ||
+    data.startsWith("list_remove:") ||
+    data.startsWith("list_clear:") ||
+    data.startsWith("list_clear_confirm:")
+  ) {
+    await handleCoinListViewAction(chatId, message.message_id, data);
+  }
+
+  if (data.startsWith("scan_coin:") || data.startsWith("spread_show:") || data.startsWith("spread_page:")) {
+    const [action, coinId, page] = data.split(":");
+    try {
+      if (action === "scan_coin") {
+        await runScan(chatId, coinId);
+      } else if (action === "spread_show") {
+        await showSpread(chatId, coinId, 0);
+      } else {
+        await showSpread(chatId, coinId, parseInt(page, 10) || 0, { messageId: message.message_id });
       }
+    } catch (error) {
+      await sendCoinLookupError(chatId, coinId, error);
+    }
+  }
 
-      // Update the user's document in MongoDB with the new target
-      await updateUserTarget(chatId, target);
+  if (data === "plan_menu") {
+    const view = await getPlanView(chatId);
+    await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+  }
 
-      const options = await getOptions(chatId);
-      await bot.editMessageReplyMarkup(options.reply_markup, {
+  if (data.startsWith("set_scan_interval:")) {
+    const seconds = parseInt(data.split(":")[1], 10);
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const plan = getUserPlan(await loadPlans(db), user);
+    if (getScanIntervalChoices(plan).includes(seconds)) {
+      await db
+        .collection("users")
+        .updateOne({ telegramId: chatId }, { $set: { scanIntervalSeconds: seconds } });
+    }
+    const view = await getPlanView(chatId);
+    await bot
+      .editMessageText(view.text, {
         chat_id: chatId,
         message_id: message.message_id,
-      });
+        reply_markup: view.reply_markup,
+      })
+      .catch((error) => console.error("Failed to update the plan view:", error.message));
+  }
 
-      // Confirmation message
-      setTargetMessage = await sendTelegramMessage(
-        chatId,
-        `Target set to ${target} successfully.`,
-      );
-      deleteMessage(chatId, setTargetMessage.message_id, 5000);
-    });
+  if (data === "price_alert_menu") {
+    const view = formatPriceAlertList(await listPriceAlerts(db, chatId));
+    await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+  }
+
+  if (data.startsWith("price_alert_mode:") || data.startsWith("price_alert_remove:")) {
+    const [action, alertId] = data.split(":");
+    if (action === "price_alert_mode") {
+      await togglePriceAlertMode(db, chatId, alertId);
+    } else {
+      await removePriceAlert(db, chatId, alertId);
+    }
+    const view = formatPriceAlertList(await listPriceAlerts(db, chatId));
+    await bot
+      .editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: message.message_id,
+        reply_markup: view.reply_markup,
+      })
+      .catch((error) => console.error("Failed to update the price alerts view:", error.message));
+  }
+
+  if (data.startsWith("alert_")) {
+    await handleAlertAction(chatId, message, data);
+  }
+
+  if (data.startsWith("coin_pick:") || data === "coin_pick_cancel") {
+    await updateReplyMarkup(chatId, message.message_id, { inline_keyboard: [] });
+    if (data !== "coin_pick_cancel") {
+      const [, list, action, coinId] = data.split(":");
+      const lines = await updateCoinListIds(chatId, list, action === "add", [coinId]);
+      await sendTelegramMessage(chatId, lines.join("\n"));
+    }
+  }
+
+  if (data === "set_target") {
+    await conversations.start(chatId, "targets", { optionsMessageId: message.message_id });
+  }
+
+  if (
+    data === "toggle_cross_quote" ||
+    data === "toggle_require_bid_ask" ||
+    data === "toggle_triangular" ||
+    data === "toggle_derivatives" ||
+    data === "toggle_paper_reprice"
+  ) {
+    const fields = {
+      toggle_cross_quote: "crossQuote",
+      toggle_require_bid_ask: "requireBidAsk",
+      toggle_triangular: "triangularEnabled",
+      toggle_derivatives: "derivativesEnabled",
+      toggle_paper_reprice: "paperReprice",
+    };
+    const field = fields[data];
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const current = field === "requireBidAsk" ? getUserSettings(user).requireBidAsk : user?.[field];
+    await db
+      .collection("users")
+      .updateOne({ telegramId: chatId }, { $set: { [field]: !current } });
+    const options = await getOptions(chatId);
+    await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
   }
 
   if (data === "toggle_top100") {
     const user = await db.collection("users").findOne({ telegramId: chatId });
     const newTop100State = !user.isTop100;
+    if (newTop100State && !(await checkUniverseQuota(chatId, { isTop100: true }))) {
+      return;
+    }
     await db
       .collection("users")
       .updateOne(
         { telegramId: chatId },
         { $set: { isTop100: newTop100State } },
       );
+    if (newTop100State) {
+      refreshUniverseFor({ ...user, isTop100: true });
+    }
     const options = await getOptions(chatId);
-    await bot.editMessageReplyMarkup(options.reply_markup, {
-      chat_id: chatId,
-      message_id: message.message_id,
-    });
+    await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
 
     const stateMessage = newTop100State ? "enabled" : "disabled";
     top100Message = await sendTelegramMessage(
       chatId,
-      `Top 100 coins feature has been ${stateMessage}.`,
+      `Coin universe tracking (${formatUniverse(user)}) has been ${stateMessage}.`,
     );
     deleteMessage(chatId, top100Message.message_id, 20000);
   }
 
+  if (data === "toggle_min_trust") {
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const levels = Object.keys(trustScoreLabels);
+    const current = user?.minTrustScore || DEFAULT_MIN_TRUST_SCORE;
+    const minTrustScore = levels[(levels.indexOf(current) + 1) % levels.length];
+
+    await db
+      .collection("users")
+      .updateOne({ telegramId: chatId }, { $set: { minTrustScore } });
+    const options = await getOptions(chatId);
+    await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+  }
+
+  if (
+    data === "exchange_menu" ||
+    data === "market_type_menu" ||
+    data === "provider_menu" ||
+    data === "delivery_menu" ||
+    data === "universe_menu" ||
+    data === "options_back"
+  ) {
+    const screens = {
+      universe_menu: getUniverseOptions,
+      exchange_menu: getExchangeOptions,
+      market_type_menu: getMarketTypeOptions,
+      provider_menu: getProviderOptions,
+      delivery_menu: getDeliveryOptions,
+      options_back: getOptions,
+    };
+    const options = await screens[data](chatId);
+    await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+  }
+
+  if (data.startsWith("toggle_provider:")) {
+    const providerName = data.split(":")[1];
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const selected = providers.getUserProviders(user);
+    const updated = selected.includes(providerName)
+      ? selected.filter((name) => name !== providerName)
+      : [...selected, providerName];
+
+    if (updated.length === 0) {
+      await sendTelegramMessage(chatId, "At least one data source has to stay selected.");
+    } else if (providers.ENABLED_PROVIDERS.includes(providerName)) {
+      await db
+        .collection("users")
+        .updateOne({ telegramId: chatId }, { $set: { providers: updated } });
+      const options = await getProviderOptions(chatId);
+      await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+    }
+  }
+
+  if (
+    data.startsWith("set_universe_size:") ||
+    data.startsWith("set_universe_order:") ||
+    data === "toggle_universe_exclude"
+  ) {
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const [action, value] = data.split(":");
+    let changes = null;
+    if (action === "set_universe_size" && UNIVERSE_SIZES.includes(parseInt(value, 10))) {
+      changes = { universeSize: parseInt(value, 10) };
+    } else if (action === "set_universe_order" && UNIVERSE_ORDERS[value]) {
+      changes = { universeOrder: value };
+    } else if (action === "toggle_universe_exclude") {
+      changes = { universeExcludeStable: !getUniverseSettings(user).excludeStable };
+    }
+
+    if (changes && (await updateUniverseSettings(chatId, changes))) {
+      const options = await getUniverseOptions(chatId);
+      await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+    }
+  }
+
+  if (data === "set_universe_categories") {
+    await conversations.start(chatId, "universe_categories", {
+      universeMessageId: message.message_id,
+    });
+  }
+
+  if (data.startsWith("set_delivery:")) {
+    const choice = data.split(":")[1];
+    const minutes = parseInt(choice, 10);
+    if (choice === "instant" || DIGEST_INTERVALS.includes(minutes)) {
+      await db.collection("users").updateOne(
+        { telegramId: chatId },
+        {
+          $set:
+            choice === "instant"
+              ? { deliveryMode: "instant" }
+              : { deliveryMode: "digest", digestIntervalMinutes: minutes },
+        },
+      );
+      const options = await getDeliveryOptions(chatId);
+      await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+    }
+  }
+
+  if (data === "set_quiet_hours" || data === "set_timezone") {
+    await conversations.start(chatId, data === "set_quiet_hours" ? "quiet_hours" : "timezone", {
+      deliveryMessageId: message.message_id,
+    });
+  }
+
+  if (data.startsWith("set_market_type:")) {
+    const marketType = data.split(":")[1];
+    if (MARKET_TYPES[marketType]) {
+      await db
+        .collection("users")
+        .updateOne({ telegramId: chatId }, { $set: { marketType } });
+      const options = await getMarketTypeOptions(chatId);
+      await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
+    }
+  }
+
+  if (
+    data === "add_exchange_allow" ||
+    data === "add_exchange_deny" ||
+    data === "remove_exchange_allow" ||
+    data === "remove_exchange_deny"
+  ) {
+    const [action, , list] = data.split("_");
+    await conversations.start(chatId, "exchange_list", { list, add: action === "add" });
+  } else if (data === "view_exchange_lists") {
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    const allowlist = user?.exchangeAllowlist || [];
+    const denylist = user?.exchangeDenylist || [];
+
+    await sendTelegramMessage(
+      chatId,
+      `Allowed exchanges: ${allowlist.length > 0 ? allowlist.join(", ") : "all"}\n` +
+        `Excluded exchanges: ${denylist.length > 0 ? denylist.join(", ") : "none"}\n` +
+        `Markets: ${MARKET_TYPES[user?.marketType || "all"]}`,
+    );
+  }
+
   if (data === "toggle_fetching") {
     // Fetch the current state from the database
     const user = await db.collection("users").findOne({ telegramId: chatId });
@@ -437,10 +1983,7 @@ bot.on("callback_query", async (query) => {
       // Handle other callback data (like set_min_profit, etc.)
 
       const options = await getOptions(chatId);
-      await bot.editMessageReplyMarkup(options.reply_markup, {
-        chat_id: chatId,
-        message_id: message.message_id,
-      });
+      await updateReplyMarkup(chatId, message.message_id, options.reply_markup);
 
       // Send a message with the updated state
       const stateMessage = newFetchingState ? "paused" : "resumed";
@@ -463,371 +2006,1095 @@ bot.on("callback_query", async (query) => {
           minProfit: PROFIT_THRESHOLD,
           minVolume: VOLUME_THRESHOLD,
           isTop100: false,
-          target: "USDT",
+          targets: DEFAULT_TARGETS,
         });
     }
   }
 
-  if (data === "add_coin_id") {
-    userState[chatId] = "adding_to_whitelist";
+  if (data === "add_coin_id" || data === "remove_coin_id") {
+    await conversations.start(chatId, "coin_list", {
+      list: "whitelist",
+      add: data === "add_coin_id",
+    });
+  } else if (data === "add_blacklist_id" || data === "remove_blacklist_id") {
+    await conversations.start(chatId, "coin_list", {
+      list: "blacklist",
+      add: data === "add_blacklist_id",
+    });
+  } else if (data === "view_whitelist" || data === "view_blacklist") {
+    const view = await getCoinListView(chatId, data === "view_whitelist" ? "whitelist" : "blacklist", 0);
+    await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+  } else if (numberSettingCallbacks[data]) {
+    await promptNumberSetting(chatId, message, numberSettingCallbacks[data]);
+  }
+}
+
+// A failing button is logged and answered instead of taking the bot down,
+// and every press is answered so the button stops spinning
+bot.on("callback_query", async (query) => {
+  let text;
+  try {
+    await handleCallbackQuery(query);
+  } catch (error) {
+    console.error(`Error handling button "${query.data}":`, error.message);
+    text = "Something went wrong. Please try again.";
+  }
+  await bot
+    .answerCallbackQuery(query.id, text ? { text } : {})
+    .catch((error) => console.error("Failed to answer a button press:", error.message));
+});
+
+// Listener for user messages: answers to prompts go to the chat's conversation
+
+bot.on("message", async (msg) => {
+  try {
+    await conversations.handleMessage(msg);
+  } catch (error) {
+    console.error("Error handling message:", error.message);
+  }
+});
+
+// How a leg's price was obtained, shown next to it in alerts
+const priceSourceLabels = {
+  buy: { book: "ask", spread: "ask, from spread", last: "last trade" },
+  sell: { book: "bid", spread: "bid, from spread", last: "last trade" },
+};
+
+// Format the alert message for an opportunity
+function formatArbitrageMessage(coinData, arbitrageOpportunity) {
+  const buySource = priceSourceLabels.buy[arbitrageOpportunity.buyPriceSource];
+  const sellSource = priceSourceLabels.sell[arbitrageOpportunity.sellPriceSource];
+  // Names, pairs and links come from the market data
+  const coinName = escapeHtml(coinData.name);
+  const buyPair = escapeHtml(arbitrageOpportunity.buyPair);
+  const sellPair = escapeHtml(arbitrageOpportunity.sellPair);
+  const buyExchange = escapeHtml(arbitrageOpportunity.lowestExchange);
+  const sellExchange = escapeHtml(arbitrageOpportunity.highestExchange);
+  const buyUrl = escapeHtml(arbitrageOpportunity.lowestExchangeUrl);
+  const sellUrl = escapeHtml(arbitrageOpportunity.highestExchangeUrl);
+
+  return (
+    `💰 <b>Arbitrage Opportunity Found:</b>\n` +
+    `🪙 <b>Coin:</b> <b>${coinName}</b>\n` +
+    `🖇️ <b>Coin Pair:</b> buy ${buyPair} / sell ${sellPair}\n` +
+    `📉 <b>Buy Price (${buySource}):</b> <i>$${arbitrageOpportunity.lowestPrice}</i> on <a href="${buyUrl}">${buyExchange}</a> (${buyPair})\n` +
+    `📈 <b>Sell Price (${sellSource}):</b> <i>$${arbitrageOpportunity.highestPrice}</i> on <a href="${sellUrl}">${sellExchange}</a> (${sellPair})\n` +
+    (arbitrageOpportunity.crossQuote
+      ? `🔁 <b>Conversion:</b> USD prices via CoinGecko, assuming 1 ${escapeHtml(arbitrageOpportunity.buyQuote)} = $${arbitrageOpportunity.buyQuoteUsd} and 1 ${escapeHtml(arbitrageOpportunity.sellQuote)} = $${arbitrageOpportunity.sellQuoteUsd}\n`
+      : "") +
+    `💵 <b>24h Volume:</b> ${arbitrageOpportunity.volume}\n` +
+    `📊 <b>Gross Spread:</b> ${arbitrageOpportunity.grossProfit}%\n` +
+    `💹 <b>Net Profit:</b> <u>${arbitrageOpportunity.netProfit}%</u> (${formatVolume(Number(arbitrageOpportunity.netProfitUsd))} on ${formatVolume(arbitrageOpportunity.tradeSize)} after fees)\n` +
+    (arbitrageOpportunity.executableSize
+      ? `📏 <b>Executable Size:</b> ${formatVolume(Math.round(arbitrageOpportunity.executableSize))} within ±2% depth\n` +
+        `🎯 <b>Expected Profit:</b> ${formatVolume(Number(arbitrageOpportunity.expectedProfitUsd))} at that size\n`
+      : `📏 <b>Executable Size:</b> unknown (no depth data)\n`) +
+    `🔒 <b>Trust Score:</b> ${arbitrageOpportunity.trustScore}` +
+    (arbitrageOpportunity.lastPriceEstimate
+      ? `\n⚠️ <b>Last-price estimate:</b> no bid/ask for at least one leg, the executable spread is likely smaller.`
+      : "") +
+    (arbitrageOpportunity.volumeUnknown
+      ? `\n⚠️ <b>Volume unknown:</b> a streamed leg has no 24h volume yet, so your minimum volume was not checked for it.`
+      : "")
+  );
+}
+
+// Check a user's filters against an already fetched coin snapshot
+function checkUserArbitrage(coinId, coinData, user) {
+  if (!coinData) {
+    return null;
+  }
+
+  const arbitrageOpportunity = checkArbitrage(
+    getUserTickers(coinData, user),
+    getUserSettings(user),
+    coinId,
+  );
+
+  if (arbitrageOpportunity) {
+    return {
+      opportunity: arbitrageOpportunity,
+      message: formatArbitrageMessage(coinData, arbitrageOpportunity),
+      digestLabel: escapeHtml(
+        `${coinData.name}: buy ${arbitrageOpportunity.lowestExchange} (${arbitrageOpportunity.buyPair}) → ` +
+          `sell ${arbitrageOpportunity.highestExchange} (${arbitrageOpportunity.sellPair})`,
+      ),
+      paperTradable: true,
+    };
+  } else {
+    return null;
+  }
+}
+
+// Run evaluations of the same user and coin one after another, so a streamed
+// update and the scan cycle never check and record the same route at once
+function runExclusive(key, task) {
+  const previous = evaluationQueues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  evaluationQueues.set(key, tail);
+  tail.then(() => {
+    if (evaluationQueues.get(key) === tail) {
+      evaluationQueues.delete(key);
+    }
+  });
+  return run;
+}
+
+// Close open alerts and history episodes of routes nobody checks anymore:
+// coins removed from a list, muted or dropped from the universe, and users
+// who paused. A route counts as gone once it went unseen for twice the
+// longest scan interval of any active user, and at least OPEN_ROUTE_STALE_MINUTES.
+async function expireStaleRoutes() {
+  const plans = await loadPlans(db);
+  const activeUsers = await db.collection("users").find({ isPaused: { $ne: true } }).toArray();
+  const longestIntervalMs = Math.max(
+    0,
+    ...activeUsers.map((user) => getScanIntervalSeconds(user, getUserPlan(plans, user)) * 1000),
+  );
+  const before = new Date(Date.now() - Math.max(OPEN_ROUTE_STALE_MINUTES * 60 * 1000, 2 * longestIntervalMs));
+  await expireStaleAlerts(db, before);
+  await expireStaleOpportunities(db, before);
+}
+
+// Check a coin snapshot for a user, close alerts on routes that went away and
+// send the opportunity if there is one
+function evaluateUserCoin(user, coinId, coinData) {
+  return runExclusive(`${user.telegramId}:${coinId}`, async () => {
+    const result = checkUserArbitrage(coinId, coinData, user);
+    await closeUserAlerts(user, coinId, result?.opportunity || null);
+    await closeOpportunities(db, user.telegramId, coinId, result?.opportunity || null);
+    // Only send a message if there's a valid arbitrage opportunity
+    if (result) {
+      const sent = await deliverOpportunity(user, coinId, result);
+      await recordOpportunity(db, user, coinId, coinData.name, result.opportunity, { sent });
+    }
+  });
+}
+
+// Send an opportunity unless the user was already alerted about this route.
+// Resolves to whether the alert was sent.
+async function deliverOpportunity(user, coinId, result) {
+  const { opportunity, message } = result;
+
+  // Digest mode and quiet hours hold every sighting for the next digest
+  if (shouldQueue(user)) {
+    await queueOpportunity(db, user, coinId, opportunity, result.digestLabel || coinId);
+    return false;
+  }
+
+  if (!(await shouldSendAlert(db, user, coinId, opportunity))) {
+    await recordSuppressedAlert(db, user, coinId, opportunity);
+    return false;
+  }
+
+  // Spot alerts can be executed with paper money at the alerted prices,
+  // refreshed, muted or expanded into the full price table
+  const replyMarkup = result.paperTradable
+    ? {
+        inline_keyboard: [
+          [
+            {
+              text: "📝 Execute (paper)",
+              callback_data: `paper_exec:${await createPaperSignal(db, user, coinId, opportunity)}`,
+            },
+            { text: "🔄 Refresh", callback_data: "alert_refresh" },
+          ],
+          [
+            { text: "🔕 Mute coin 1h", callback_data: "alert_mute:1" },
+            { text: "🔕 Mute coin 24h", callback_data: "alert_mute:24" },
+          ],
+          [
+            { text: "🚫 Mute this route", callback_data: "alert_mute_route" },
+            { text: "📋 Details", callback_data: "alert_details" },
+          ],
+        ],
+      }
+    : undefined;
+
+  const sentMessage = await bot.sendMessage(user.telegramId, message, {
+    parse_mode: "HTML",
+    reply_markup: replyMarkup,
+  });
+  await recordSentAlert(db, user, coinId, opportunity, {
+    messageId: sentMessage.message_id,
+    messageText: message,
+  });
+  return true;
+}
+
+// Mark routes that are no longer open as closed and follow up on their alerts
+async function closeUserAlerts(user, coinId, opportunity) {
+  const closedAlerts = await closeAlerts(db, user.telegramId, coinId, opportunity);
+  await followUpClosedAlerts(user, closedAlerts);
+}
+
+// Edit each closed alert's message with a closed notice, or reply under it
+async function followUpClosedAlerts(user, closedAlerts) {
+  for (const alert of closedAlerts) {
+    const notice = formatClosedNotice(alert);
+    try {
+      await bot.editMessageText(`${alert.messageText}\n\n${notice}`, {
+        chat_id: user.telegramId,
+        message_id: alert.messageId,
+        parse_mode: "HTML",
+      });
+    } catch (error) {
+      // The original message may be gone or too old to edit; reply instead
+      await bot
+        .sendMessage(user.telegramId, notice, {
+          parse_mode: "HTML",
+          reply_to_message_id: alert.messageId,
+          allow_sending_without_reply: true,
+        })
+        .catch((err) =>
+          console.error(`Failed to send spread closed notice: ${err.message}`),
+        );
+    }
+  }
+}
+
+// Escape text from users or market data for HTML messages, attribute values included
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatUtcTime(date) {
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+// One page of a coin's spread table: the best buy/sell routes, then every
+// qualifying exchange ranked by ask, SPREAD_PAGE_SIZE rows per page
+function formatSpreadPage(coinId, coinName, table, page) {
+  const { exchanges, routes } = table;
+  const pageCount = Math.max(1, Math.ceil(exchanges.length / SPREAD_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const start = currentPage * SPREAD_PAGE_SIZE;
+
+  const routeLines = routes.map(
+    (route, index) =>
+      `${index + 1}. ${escapeHtml(route.buyExchange)} (${route.buyPair}) → ${escapeHtml(route.sellExchange)} (${route.sellPair}): ` +
+      `${route.grossProfit}% gross, <b>${route.netProfit}%</b> net`,
+  );
+  const rows = exchanges.slice(start, start + SPREAD_PAGE_SIZE).map(
+    (row, index) =>
+      `${String(start + index + 1).padStart(2)} ${row.exchange.slice(0, 14).padEnd(14)} ${row.pair.padEnd(10)} ` +
+      `${String(row.ask).padStart(11)} ${String(row.bid).padStart(11)} ${formatVolume(Math.round(row.volumeUsd)).padStart(14)} ${row.trust}` +
+      (row.source === "last" ? "*" : ""),
+  );
+
+  const text =
+    `📋 <b>${escapeHtml(coinName)} spreads</b> (USD) as of ${formatUtcTime(new Date())}\n\n` +
+    `<b>Best routes after fees</b>\n${routeLines.length > 0 ? routeLines.join("\n") : "No buy/sell routes pass your filters."}\n\n` +
+    (exchanges.length > 0
+      ? `<b>Exchanges by ask</b> (page ${currentPage + 1} of ${pageCount})\n` +
+        `<pre>${escapeHtml(` # ${"Exchange".padEnd(14)} ${"Pair".padEnd(10)} ${"Ask".padStart(11)} ${"Bid".padStart(11)} ${"24h volume".padStart(14)}\n${rows.join("\n")}`)}</pre>` +
+        (exchanges.some((row) => row.source === "last") ? "\n* last trade price, no bid/ask" : "")
+      : "No exchanges pass your filters right now.");
+
+  // Telegram limits callback data to 64 bytes; very long coin IDs get the first page only
+  const navigation = [];
+  const pageData = (target) => `spread_page:${coinId}:${target}`;
+  if (currentPage > 0 && Buffer.byteLength(pageData(currentPage - 1)) <= 64) {
+    navigation.push({ text: "⬅️ Previous", callback_data: pageData(currentPage - 1) });
+  }
+  if (currentPage < pageCount - 1 && Buffer.byteLength(pageData(currentPage + 1)) <= 64) {
+    navigation.push({ text: "Next ➡️", callback_data: pageData(currentPage + 1) });
+  }
+
+  return { text, reply_markup: { inline_keyboard: navigation.length > 0 ? [navigation] : [] } };
+}
+
+// Show a coin's spread table with the user's filters, editing `messageId` in
+// place when paging or sending a new message (as a reply to `replyTo`, if given)
+async function showSpread(chatId, coinId, page, { messageId, replyTo } = {}) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  await attachMutes(db, [user]);
+  const coinData = await getCoinData(coinId, user);
+  const table = getSpreadTable(
+    getUserTickers(coinData, user),
+    getUserSettings(user),
+    coinId,
+    SPREAD_TOP_ROUTES,
+  );
+  const view = formatSpreadPage(coinId, coinData.name || coinId, table, page);
+
+  if (messageId) {
+    await bot.editMessageText(view.text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: "HTML",
+      reply_markup: view.reply_markup,
+    });
+  } else {
+    await bot.sendMessage(chatId, view.text, {
+      parse_mode: "HTML",
+      reply_markup: view.reply_markup,
+      ...(replyTo && { reply_to_message_id: replyTo, allow_sending_without_reply: true }),
+    });
+  }
+}
+
+// Run an immediate check of one coin with the user's filters, outside the
+// alert tracking, and show the route or why there is none
+async function runScan(chatId, coinId) {
+  const user = await db.collection("users").findOne({ telegramId: chatId });
+  await attachMutes(db, [user]);
+  const coinData = await getCoinData(coinId, user);
+  const result = checkUserArbitrage(coinId, coinData, user);
+  const spreadButton = Buffer.byteLength(`spread_show:${coinId}`) <= 64
+    ? { inline_keyboard: [[{ text: "📋 Spread table", callback_data: `spread_show:${coinId}` }]] }
+    : undefined;
+
+  if (result) {
+    await bot.sendMessage(chatId, result.message, { parse_mode: "HTML", reply_markup: spreadButton });
+    return;
+  }
+
+  const [bestRoute] = getSpreadTable(getUserTickers(coinData, user), getUserSettings(user), coinId, 1).routes;
+  const minProfit = (getUserSettings(user).minProfit * 100).toFixed(2);
+  await bot.sendMessage(
+    chatId,
+    `🔍 <b>${escapeHtml(coinData.name || coinId)}</b>: no route clears your minimum net profit of ${minProfit}%.` +
+      (bestRoute
+        ? `\nBest route now: buy on ${escapeHtml(bestRoute.buyExchange)}, sell on ${escapeHtml(bestRoute.sellExchange)}, ${bestRoute.netProfit}% net.`
+        : "\nNo buy/sell routes pass your filters."),
+    { parse_mode: "HTML", reply_markup: spreadButton },
+  );
+}
+
+// Resolve the coin typed after /scan, /spread or /alert. Ambiguous coins are
+// offered as buttons that run the command (or listed, without a prefix), and
+// resolves to null in that case.
+async function resolveCommandCoin(chatId, query, callbackPrefix) {
+  const result = resolveCoin(query, { ranks: getCoinRanks() });
+  if (result.status === "resolved") {
+    return result.coin.id;
+  }
+  if (result.status === "unknown") {
+    const suggestions = suggestCoins(query, getCoinRanks());
     await sendTelegramMessage(
       chatId,
-      "Please send the coin ID you want to add.",
+      `No coin found for "${query}".` +
+        (suggestions.length > 0
+          ? ` Did you mean ${suggestions.map((coin) => describeCoin(coin.id)).join(", ")}?`
+          : ""),
     );
-  } else if (data === "remove_coin_id") {
-    userState[chatId] = "removing_from_whitelist";
+    return null;
+  }
+
+  if (!callbackPrefix) {
     await sendTelegramMessage(
       chatId,
-      "Please send the coin ID you want to remove.",
+      `Several coins match "${query}": ${result.candidates.map((coin) => describeCoin(coin.id)).join(", ")}. Please use the coin ID.`,
     );
-  } else if (data === "view_whitelist") {
-    const user = await db.collection("users").findOne({ telegramId: chatId });
-    if (user) {
-      const whitelistIds =
-        user.whitelistIds.length > 0
-          ? user.whitelistIds.join(", ")
-          : "No whitelisted coin IDs.";
+    return null;
+  }
+
+  const buttons = result.candidates
+    .filter((coin) => Buffer.byteLength(`${callbackPrefix}:${coin.id}`) <= 64)
+    .map((coin) => [{ text: describeCoin(coin.id), callback_data: `${callbackPrefix}:${coin.id}` }]);
+  await bot.sendMessage(chatId, `Several coins match "${query}". Which one did you mean?`, {
+    reply_markup: { inline_keyboard: buttons },
+  });
+  return null;
+}
+
+// Reply to a failed /scan or /spread: an unknown coin or a market data problem
+async function sendCoinLookupError(chatId, coinId, error) {
+  console.error(`Error looking up ${coinId}:`, error.message);
+  await sendTelegramMessage(
+    chatId,
+    error.type === coingecko.ErrorTypes.NOT_FOUND
+      ? `Coin ID ${coinId} was not found on CoinGecko.`
+      : error.type === coingecko.ErrorTypes.BUDGET_EXHAUSTED
+        ? BUDGET_EXHAUSTED_MESSAGE
+        : error instanceof coingecko.CoinGeckoError
+        ? describeDataStatus(coingecko.getStatus())
+        : "There was an error checking this coin. Please try again.",
+  );
+}
+
+// Buttons under a spot alert: refresh it, mute its coin or route, or show
+// every exchange's prices. The alert is found by the message the button is on.
+async function handleAlertAction(chatId, message, data) {
+  const alert = await findAlertByMessage(db, chatId, message.message_id);
+  if (!alert) {
+    await sendTelegramMessage(chatId, "This alert is no longer tracked.");
+    return;
+  }
+  const coinName = getCoinInfo(alert.coinId).name || alert.coinId;
+
+  try {
+    if (data.startsWith("alert_mute:")) {
+      const hours = parseInt(data.split(":")[1], 10);
+      const expiresAt = await muteCoin(db, chatId, alert.coinId, hours);
+      await sendTelegramMessage(chatId, `🔕 ${coinName} muted until ${formatUtcTime(expiresAt)}.`);
+      return;
+    }
+    if (data === "alert_mute_route") {
+      const expiresAt = await muteRoute(db, chatId, alert.buyExchange, alert.sellExchange);
       await sendTelegramMessage(
         chatId,
-        `Your whitelisted coin IDs: ${whitelistIds}`,
+        `🔕 Buying on ${alert.buyExchange} and selling on ${alert.sellExchange} is muted for every coin until ${formatUtcTime(expiresAt)}.`,
       );
-    } else {
-      await sendTelegramMessage(
-        chatId,
-        "You have no whitelisted coin IDs yet.",
+      return;
+    }
+
+    if (data === "alert_details") {
+      await showSpread(chatId, alert.coinId, 0, { replyTo: message.message_id });
+      return;
+    }
+
+    const user = await db.collection("users").findOne({ telegramId: chatId });
+    await attachMutes(db, [user]);
+    const coinData = await getCoinData(alert.coinId, user);
+
+    if (data === "alert_refresh") {
+      const result = checkUserArbitrage(alert.coinId, coinData, user);
+      const refreshed = `🔄 <i>Refreshed ${formatUtcTime(new Date())}</i>`;
+      await bot.editMessageText(
+        result
+          ? `${result.message}\n\n${refreshed}`
+          : `${alert.messageText}\n\n${refreshed}: no opportunity above your thresholds right now.`,
+        {
+          chat_id: chatId,
+          message_id: message.message_id,
+          parse_mode: "HTML",
+          reply_markup: message.reply_markup,
+        },
       );
     }
-  } else if (data === "add_blacklist_id") {
-    userState[chatId] = "adding_to_blacklist";
+  } catch (error) {
+    console.error("Error handling alert button:", error.message);
     await sendTelegramMessage(
       chatId,
-      "Please enter the Coin ID you want to blacklist:",
+      error instanceof coingecko.CoinGeckoError
+        ? describeDataStatus(coingecko.getStatus())
+        : "There was an error updating this alert. Please try again.",
     );
+  }
+}
+
+// A signal re-priced at the current tickers of its two markets, keeping the
+// alert prices for comparison; a market missing from the tickers fills at
+// its alert price
+async function getPaperFillPrices(signal, user) {
+  let tickers;
+  try {
+    tickers = getUserTickers(await getCoinData(signal.coinId, user), user);
+  } catch (error) {
+    console.error(`Error fetching ${signal.coinId} for a paper fill:`, error.message);
+    const cached = getLastTickers(signal.coinId);
+    tickers = cached ? getUserTickers(cached, user) : [];
+  }
+
+  const buyPrice = getMarketPrice(tickers, signal.buyExchangeId, signal.buyPair, "buy");
+  const sellPrice = getMarketPrice(tickers, signal.sellExchangeId, signal.sellPair, "sell");
+  return {
+    ...signal,
+    buyPrice: buyPrice ?? signal.buyPrice,
+    sellPrice: sellPrice ?? signal.sellPrice,
+    alertBuyPrice: signal.buyPrice,
+    alertSellPrice: signal.sellPrice,
+  };
+}
+
+// Simulate an alert's trade with paper money once the user's fill delay has
+// passed, and reply to the alert with the fill. Fills use the alert prices
+// unless the user chose to re-price at the market after the delay.
+async function executePaperSignal(chatId, alertMessage, signalId) {
+  try {
+    if (!(await findPaperSignal(db, chatId, signalId))) {
+      await sendTelegramMessage(chatId, "This alert was already executed or has expired.");
+      return;
+    }
 
-  }else if (data === "remove_blacklist_id") {
-    userState[chatId] = "removing_from_blacklist";
-    await sendTelegramMessage(
-      chatId,
-      "Please enter the Coin ID you want to remove from the blacklist:",
-    );
-  }else if (data === "view_blacklist") {
     const user = await db.collection("users").findOne({ telegramId: chatId });
-    const blacklistIds = user?.blacklistIds || [];
-
-    const message = blacklistIds.length > 0
-      ? `Your blacklisted IDs: ${blacklistIds.join(", ")}`
-      : "Your blacklist is empty.";
-
-   await sendTelegramMessage(chatId, message);
-
-  }else if (data === 'set_min_profit') {
-    const promptMessage = await sendTelegramMessage(chatId, 'Please send the minimum potential profit percentage (e.g., 2 for 2%).');
-
-    bot.once('message', async (msg) => {
-        const minProfitPercentage = parseFloat(msg.text);
-
-        if (isNaN(minProfitPercentage) || minProfitPercentage <= 0) {
-            await sendTelegramMessage(chatId, 'Please enter a valid profit percentage greater than 0.');
-            // Delete the prompt message after a certain time (e.g., 10 seconds)
-            await deleteMessage(chatId, promptMessage.message_id, 10000);
-        } else {
-            const minProfit = minProfitPercentage / 100;
-
-            try {
-                await db.collection('users').updateOne({ telegramId: chatId }, { $set: { minProfit: minProfit } });
-
-                const options = await getOptions(chatId);
-                await bot.editMessageReplyMarkup(options.reply_markup, {
-                    chat_id: chatId,
-                    message_id: message.message_id
-                });
-
-                const confirmationMessage = await sendTelegramMessage(chatId, `Minimum profit percentage set to ${minProfitPercentage}%.`);
-                // Delete the prompt and confirmation messages after a certain time (e.g., 10 seconds)
-                await deleteMessage(chatId, promptMessage.message_id, 10000);
-                await deleteMessage(chatId, confirmationMessage.message_id, 10000);
-            } catch (error) {
-                await sendTelegramMessage(chatId, 'There was an error saving the minimum profit. Please try again.');
-                await deleteMessage(chatId, promptMessage.message_id, 10000);
-            }
-            }
+    const delaySeconds = getPaperDelaySeconds(user);
+    await new Promise((resolve) => setTimeout(resolve, delaySeconds * 1000));
+
+    // Claimed only now, so a restart during the delay leaves the signal executable
+    const signal = await claimPaperSignal(db, chatId, signalId);
+    if (!signal) {
+      await sendTelegramMessage(chatId, "This alert was already executed or has expired.");
+      return;
+    }
+
+    const fill = {
+      ...(user?.paperReprice ? await getPaperFillPrices(signal, user) : signal),
+      delaySeconds,
+    };
+    const trade = await runExclusive(`paper:${chatId}`, () =>
+      executePaperTrade(db, chatId, fill, getUserSettings(user)),
+    );
+    await bot.sendMessage(chatId, trade.rejected || formatPaperFill(trade), {
+      parse_mode: "HTML",
+      reply_to_message_id: alertMessage.message_id,
+      allow_sending_without_reply: true,
     });
+  } catch (error) {
+    console.error("Error executing paper trade:", error.message);
+    await sendTelegramMessage(chatId, "There was an error executing the paper trade. Please try again.");
+  }
+}
+
+// Format the alert message for a triangular cycle on one exchange
+function formatTriangularMessage(opportunity) {
+  const legs = opportunity.legs
+    .map(
+      (leg, index) =>
+        `${index + 1}. ${leg.side === "buy" ? "Buy" : "Sell"} ${escapeHtml(leg.pair)} @ <i>${leg.price}</i> (${priceSourceLabels[leg.side][leg.priceSource]})`,
+    )
+    .join("\n");
+
+  return (
+    `🔺 <b>Triangular Arbitrage Found:</b>\n` +
+    `🏦 <b>Exchange:</b> ${escapeHtml(opportunity.exchangeName)}\n` +
+    `🔄 <b>Route:</b> ${escapeHtml(opportunity.path.join(" → "))}\n` +
+    `${legs}\n` +
+    `💹 <b>Net Profit:</b> <u>${opportunity.profitPercent.toFixed(2)}%</u> (${formatVolume(Number(opportunity.profitUsd.toFixed(2)))} on ${formatVolume(opportunity.tradeSize)} after fees)` +
+    (opportunity.lastPriceEstimate
+      ? `\n⚠️ <b>Last-price estimate:</b> no bid/ask for at least one leg, the executable profit is likely smaller.`
+      : "")
+  );
+}
 
+// Format the alert message for a spot vs perpetual carry trade
+function formatCarryMessage(coinData, opportunity) {
+  const openInterest = opportunity.openInterest
+    ? `🏗️ <b>Open Interest:</b> ${formatVolume(Math.round(opportunity.openInterest))}\n`
+    : "";
+
+  return (
+    `📐 <b>Cash-and-Carry Opportunity:</b>\n` +
+    `🪙 <b>Coin:</b> <b>${escapeHtml(coinData.name)}</b>\n` +
+    `🛒 <b>Buy Spot:</b> <i>$${opportunity.spotPrice}</i> on <a href="${escapeHtml(opportunity.spotExchangeUrl)}">${escapeHtml(opportunity.spotExchange)}</a> (${escapeHtml(opportunity.spotPair)})\n` +
+    `📉 <b>Short Perp:</b> <i>$${opportunity.perpPrice}</i> on ${escapeHtml(opportunity.perpMarket)} (${escapeHtml(opportunity.perpSymbol)})\n` +
+    `📊 <b>Basis:</b> ${opportunity.basisPercent.toFixed(3)}%\n` +
+    `💸 <b>Funding:</b> ${opportunity.fundingRate.toFixed(4)}% per 8h (<u>≈${opportunity.fundingApr.toFixed(2)}% APR</u>)\n` +
+    openInterest
+  ).trimEnd();
+}
 
-   } else if (data === 'set_min_volume') {
-    const volumePrompt = await sendTelegramMessage(chatId, 'Please send the minimum 24h volume (e.g., 1000).');
-
-    bot.once('message', async (msg) => {
-        const minVolume = parseInt(msg.text, 10);
-
-        if (isNaN(minVolume) || minVolume <= 0) {
-            await sendTelegramMessage(chatId, 'Please enter a valid volume greater than 0.');
-            await deleteMessage(chatId, volumePrompt.message_id, 10000); // Delete prompt after 10 seconds
-        } else {
-            try {
-                await db.collection('users').updateOne({ telegramId: chatId }, { $set: { minVolume: minVolume } });
-
-                const options = await getOptions(chatId);
-                await bot.editMessageReplyMarkup(options.reply_markup, {
-                    chat_id: chatId,
-                    message_id: message.message_id
-                });
-
-                const volumeConfirmation = await sendTelegramMessage(chatId, `Minimum 24h volume set to ${minVolume}.`);
-                await deleteMessage(chatId, volumePrompt.message_id, 10000); // Delete prompt after 10 seconds
-                await deleteMessage(chatId, volumeConfirmation.message_id, 10000); // Delete confirmation after 10 seconds
-            } catch (error) {
-                await sendTelegramMessage(chatId, 'There was an error saving the minimum volume. Please try again.');
-                await deleteMessage(chatId, volumePrompt.message_id, 10000); // Delete prompt after 10 seconds
-            }
-        }
+// Check a coin's cached spot tickers against the perpetuals for a carry trade
+async function checkUserCarry(user, coinId) {
+  const coinData = getCachedTickers(coinId);
+  if (!coinData) {
+    return;
+  }
+
+  const carryOpportunity = derivatives.findCarryOpportunity(
+    coinId,
+    getUserTickers(coinData, user),
+    derivatives.getPerpetuals(),
+    getUserSettings(user),
+  );
+
+  const openCoinIds = [];
+  if (carryOpportunity) {
+    const route = derivatives.toAlertRoute(coinId, carryOpportunity);
+    openCoinIds.push(route.coinId);
+    await deliverOpportunity(user, route.coinId, {
+      opportunity: route.opportunity,
+      message: formatCarryMessage(coinData, carryOpportunity),
+      digestLabel: escapeHtml(
+        `${coinData.name}: spot on ${carryOpportunity.spotExchange}, short ${carryOpportunity.perpSymbol} on ${carryOpportunity.perpMarket}`,
+      ),
     });
+  }
+
+  const closedAlerts = await closeAlertsExcept(
+    db,
+    user.telegramId,
+    `derivatives:${coinId}:`,
+    openCoinIds,
+  );
+  await followUpClosedAlerts(user, closedAlerts);
 }
 
+// Look for triangular cycles across the fresh tickers of the user's coins
+async function checkUserTriangular(user, coinIds) {
+  const coinsData = coinIds
+    .map((coinId) => ({ coinId, coinData: getCachedTickers(coinId) }))
+    .filter(({ coinData }) => coinData)
+    .map(({ coinId, coinData }) => ({ coinId, tickers: getUserTickers(coinData, user) }));
 
+  const opportunities = triangular.findTriangularOpportunities(
+    coinsData,
+    getUserSettings(user),
+  );
+  const openCoinIds = [];
+
+  for (const triangularOpportunity of opportunities) {
+    const { coinId, opportunity } = triangular.toAlertRoute(triangularOpportunity);
+    openCoinIds.push(coinId);
+    await deliverOpportunity(user, coinId, {
+      opportunity,
+      message: formatTriangularMessage(triangularOpportunity),
+      digestLabel: escapeHtml(
+        `${triangularOpportunity.exchangeName}: ${triangularOpportunity.path.join(" → ")}`,
+      ),
+    });
+  }
 
-});
+  const closedAlerts = await closeAlertsExcept(
+    db,
+    user.telegramId,
+    "triangular:",
+    openCoinIds,
+  );
+  await followUpClosedAlerts(user, closedAlerts);
+}
 
-// Listener for user messages to handle adding and removing coin IDs
+// Coin IDs a user wants scanned: their pick from the coin universe or their
+// own whitelist, without blacklisted or muted coins
+function getUserCoinIds(user, universe) {
+  const coinIds = user.isTop100 ? resolveUniverse(universe, user) : user.whitelistIds || [];
+  const skipped = [...(user.blacklistIds || []), ...(user.mutedCoinIds || [])];
+  return coinIds.filter((coinId) => !skipped.includes(coinId));
+}
 
-bot.on("message", async (msg) => {
-  const chatId = msg.chat.id;
+// The coins checked for arbitrage for a user: their coins up to the plan's coin limit
+function getTrackedCoinIds(user, universe) {
+  return getUserCoinIds(user, universe).slice(0, user.scanPlan.maxCoins);
+}
 
-// Check if the user is in a specific state
-if (userState[chatId] === "adding_to_whitelist") {
-  const coinIdToAdd = msg.text.trim();
+// Every coin fetched for a user: their tracked coins, then the coins of their
+// price alerts, up to the plan's coin limit
+function getScheduledCoinIds(user, universe) {
+  return [
+    ...new Set([...getUserCoinIds(user, universe), ...(user.priceAlertCoinIds || [])]),
+  ].slice(0, user.scanPlan.maxCoins);
+}
 
-  try {
-    // Check if coinIdToAdd is already in the user's whitelist
-    const user = await db.collection("users").findOne({ telegramId: chatId });
-    if (user && user.whitelistIds.includes(coinIdToAdd)) {
-      await sendTelegramMessage(chatId, `Coin ID ${coinIdToAdd} is already in your whitelist.`);
-    } else {
-      await db.collection("users").updateOne(
-        { telegramId: chatId },
-        { $addToSet: { whitelistIds: coinIdToAdd } }
-      );
-      await sendTelegramMessage(chatId, `Coin ID ${coinIdToAdd} has been added to your whitelist.`);
-    }
-  } catch (error) {
-    await sendTelegramMessage(chatId, "There was an error adding the coin ID. Please try again.");
+// Tell a user once when their plan cuts their coins short, and again after
+// they fit and later overflow
+async function notifyCoinQuota(user, universe) {
+  const wanted = new Set([...getUserCoinIds(user, universe), ...(user.priceAlertCoinIds || [])]).size;
+  const { name, maxCoins } = user.scanPlan;
+  const overQuota = wanted > maxCoins;
+  if (overQuota === Boolean(user.coinQuotaNotified)) {
+    return;
   }
 
-  // Reset the user's state
-  delete userState[chatId];
-} else if (userState[chatId] === "removing_from_whitelist") {
-  const coinIdToRemove = msg.text.trim();
-
-  try {
-    // Check if coinIdToRemove is in the user's whitelist
-    const user = await db.collection("users").findOne({ telegramId: chatId });
-    if (user && user.whitelistIds.includes(coinIdToRemove)) {
-      await db.collection("users").updateOne(
-        { telegramId: chatId },
-        { $pull: { whitelistIds: coinIdToRemove } }
-      );
-      await sendTelegramMessage(chatId, `Coin ID ${coinIdToRemove} has been removed from your whitelist.`);
-    } else {
-      await sendTelegramMessage(chatId, `Coin ID ${coinIdToRemove} is not in your whitelist.`);
-    }
-  } catch (error) {
-    await sendTelegramMessage(chatId, "There was an error removing the coin ID. Please try again.");
+  await db
+    .collection("users")
+    .updateOne({ telegramId: user.telegramId }, { $set: { coinQuotaNotified: overQuota } });
+  if (overQuota) {
+    await sendTelegramMessage(
+      user.telegramId,
+      `Your ${name} plan scans up to ${maxCoins} coins, so only the first ${maxCoins} of your ${wanted} (tracked coins first, then price alert coins) are checked. ` +
+        "Shorten your whitelist or price alerts, or ask the operator for a larger plan.",
+    );
   }
+}
 
-  // Reset the user's state
-  delete userState[chatId];
+// Coin ID, symbol and name for the providers; direct exchange adapters need
+// the symbol, which comes from the coin universe or earlier CoinGecko tickers
+function getCoinInfo(coinId) {
+  if (knownCoins.has(coinId)) {
+    return knownCoins.get(coinId);
+  }
+  if (getCoin(coinId)) {
+    return getCoin(coinId);
+  }
+  const cached = getLastTickers(coinId);
+  const symbol =
+    cached?.symbol || cached?.tickers.find((ticker) => ticker.coin_id === coinId)?.base;
+  return { id: coinId, symbol, name: cached?.name };
 }
 
-if (userState[chatId] === "adding_to_blacklist") {
-  const blacklistId = msg.text.trim().toLowerCase();
+// Fetch a coin from the given providers and store it in the shared cache.
+// Throws when no provider returned anything and at least one failed.
+async function fetchAndCacheCoin(coinId, providerNames) {
+  const { coinData, errors } = await providers.fetchCoinData(
+    getCoinInfo(coinId),
+    providerNames,
+  );
 
-  try {
-    // Check if blacklistId is already in the user's blacklist
-    const user = await db.collection("users").findOne({ telegramId: chatId });
-    if (user && user.blacklistIds.includes(blacklistId)) {
-      await sendTelegramMessage(chatId, `${blacklistId} is already in your blacklist.`);
-    } else {
-      await db.collection("users").updateOne(
-        { telegramId: chatId },
-        { $addToSet: { blacklistIds: blacklistId } }
-      );
-      await sendTelegramMessage(chatId, `${blacklistId} has been added to your blacklist.`);
-    }
-  } catch (error) {
-    await sendTelegramMessage(chatId, "There was an error adding the coin ID to the blacklist. Please try again.");
+  for (const { provider, error } of errors) {
+    console.error(`Error fetching ${coinId} from ${provider}:`, error.message);
+  }
+  if (coinData.tickers.length === 0 && errors.length > 0) {
+    throw errors[0].error;
   }
 
-  delete userState[chatId];
-} else if (userState[chatId] === "removing_from_blacklist") {
-  const blacklistId = msg.text.trim().toLowerCase();
+  setCachedTickers(coinId, coinData);
+  return { coinData, errors };
+}
 
-  try {
-    // Check if blacklistId is in the user's blacklist
-    const user = await db.collection("users").findOne({ telegramId: chatId });
-    if (user && user.blacklistIds.includes(blacklistId)) {
-      await db.collection("users").updateOne(
-        { telegramId: chatId },
-        { $pull: { blacklistIds: blacklistId } }
-      );
-      await sendTelegramMessage(chatId, `${blacklistId} has been removed from your blacklist.`);
-    } else {
-      await sendTelegramMessage(chatId, `${blacklistId} is not in your blacklist.`);
+// Tickers for a single coin, from the shared cache when they are fresh enough
+async function getCoinData(coinId, user) {
+  const cached = getCachedTickers(coinId);
+  if (cached) {
+    return cached;
+  }
+  const { coinData } = await fetchAndCacheCoin(coinId, providers.getUserProviders(user));
+  return coinData;
+}
+
+// The cached tickers a user evaluates: their providers, merged per exchange
+function getUserTickers(coinData, user) {
+  return providers.selectTickers(coinData.tickers, providers.getUserProviders(user));
+}
+
+// Fetch the tickers for every coin watched by an active user, at most once
+// per coin, within this cycle's request budget. Returns a snapshot of the
+// coins that were refreshed in this cycle, keyed by coin ID.
+async function fetchScanSnapshot(coinIds, providerNames, budget) {
+  // The budget only limits providers that spend a CoinGecko request per coin
+  const { toFetch, deferred } = planFetches(
+    coinIds,
+    providers.usesPerCoinRequests(providerNames) ? budget : Infinity,
+  );
+
+  if (deferred.length > 0) {
+    console.log(
+      `Scan budget of ${budget} requests reached, ${deferred.length} coins deferred to the next cycle.`,
+    );
+  }
+
+  let activeProviders = providerNames;
+  const snapshot = new Map();
+  for (const coinId of toFetch) {
+    try {
+      const { coinData, errors } = await fetchAndCacheCoin(coinId, activeProviders);
+      snapshot.set(coinId, coinData);
+
+      // Once CoinGecko is failing or the budget is spent, leave it out for
+      // the rest of the cycle
+      if (errors.some(({ provider, error }) => provider === "coingecko" && isCoinGeckoUnavailable(error))) {
+        activeProviders = activeProviders.filter((provider) => provider !== "coingecko");
+        if (activeProviders.length === 0) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (isCoinGeckoUnavailable(error)) {
+        break;
+      }
     }
-  } catch (error) {
-    await sendTelegramMessage(chatId, "There was an error removing the coin ID from the blacklist. Please try again.");
   }
+  return snapshot;
+}
 
-  delete userState[chatId];
+// Whether no more CoinGecko requests should be tried this cycle
+function isCoinGeckoUnavailable(error) {
+  return error.isDegraded || error.type === coingecko.ErrorTypes.BUDGET_EXHAUSTED;
 }
 
-});
+// Describe a CoinGecko status for users
+function describeDataStatus(status) {
+  if (!status.degraded) {
+    return "✅ Market data: OK";
+  }
 
-async function checkUserArbitrage(coinId, chatId) {
-  const coinData = await fetchCoinData(coinId, chatId);
+  const reasons = {
+    [coingecko.ErrorTypes.RATE_LIMITED]: "CoinGecko rate limit reached",
+    [coingecko.ErrorTypes.UNAUTHORIZED]: "CoinGecko rejected the API key",
+    [coingecko.ErrorTypes.SERVER]: "CoinGecko is returning server errors",
+    [coingecko.ErrorTypes.NETWORK]: "CoinGecko is unreachable",
+  };
+  const reason = reasons[status.lastError?.type] || "CoinGecko requests are failing";
+  const retryAt = status.retryAt
+    ? ` Retrying at ${new Date(status.retryAt).toUTCString()}.`
+    : "";
 
-  if (!coinData) {
-    return null;
+  return `⚠️ Market data is degraded: ${reason}. Opportunities may be missed or delayed.${retryAt}`;
+}
+
+// Tell active users once when market data becomes degraded and again when it recovers
+async function notifyDataStatusChange(users) {
+  const status = coingecko.getStatus();
+  if (status.degraded === degradedNotified) {
+    return;
   }
+  degradedNotified = status.degraded;
 
-  const arbitrageOpportunity = await checkArbitrage(
-    coinData.data.tickers,
-    chatId,
+  for (const user of users) {
+    await sendTelegramMessage(user.telegramId, describeDataStatus(status));
+  }
+}
+
+// Subscribe the streams to every watched coin and remember who watches what
+function updateStreamWatchers(users, universe, coinIds) {
+  const watchers = new Map();
+  for (const user of users) {
+    if (!providers.getUserProviders(user).includes("stream")) {
+      continue;
+    }
+    for (const coinId of getTrackedCoinIds(user, universe)) {
+      if (!watchers.has(coinId)) {
+        watchers.set(coinId, []);
+      }
+      watchers.get(coinId).push(user);
+    }
+  }
+  coinWatchers = watchers;
+  streaming.setWatchedCoins(
+    coinIds.filter((coinId) => watchers.has(coinId)).map(getCoinInfo),
   );
+}
 
-  if (arbitrageOpportunity) {
-    return (
-      `💰 <b>Arbitrage Opportunity Found:</b>\n` +
-      `🪙 <b>Coin:</b> <b>${coinData.data.name}</b>\n` +
-      `🖇️ <b>Coin Pair:</b> ${arbitrageOpportunity.coinPair}\n` +
-      `📉 <b>Buy Price:</b> <i>$${arbitrageOpportunity.lowestPrice}</i> on <a href="${arbitrageOpportunity.lowestExchangeUrl}">${arbitrageOpportunity.lowestExchange}</a>\n` +
-      `📈 <b>Sell Price:</b> <i>$${arbitrageOpportunity.highestPrice}</i> on <a href="${arbitrageOpportunity.highestExchangeUrl}">${arbitrageOpportunity.highestExchange}</a>\n` +
-      `💵 <b>24h Volume:</b> ${arbitrageOpportunity.volume}\n` +
-      `📊 <b>Potential Profit:</b> <u>${arbitrageOpportunity.potentialProfit}%</u>\n` +
-      `🔒 <b>Trust Score:</b> ${arbitrageOpportunity.trustScore}`
-    );
-} else {
-    return null;
+// Evaluate a coin shortly after its streamed price changes; later changes
+// within the delay are picked up by the same evaluation
+function scheduleStreamEvaluation(coinId) {
+  if (streamEvaluationTimers.has(coinId)) {
+    return;
+  }
+  streamEvaluationTimers.set(
+    coinId,
+    setTimeout(() => {
+      streamEvaluationTimers.delete(coinId);
+      evaluateStreamedCoin(coinId).catch((error) =>
+        console.error(`Error evaluating streamed prices for ${coinId}:`, error.message),
+      );
+    }, STREAM_EVALUATION_DELAY_MS),
+  );
 }
+
+// Combine the latest polled tickers with the current stream books and check
+// the coin for every user watching it
+async function evaluateStreamedCoin(coinId) {
+  const users = coinWatchers.get(coinId) || [];
+  if (users.length === 0) {
+    return;
+  }
+
+  const coinInfo = getCoinInfo(coinId);
+  const cached = getLastTickers(coinId) || { name: coinInfo.name || coinId, tickers: [] };
+  const { coinData: streamed } = await providers.fetchCoinData(coinInfo, ["stream"]);
+  const coinData = {
+    ...cached,
+    tickers: [
+      ...cached.tickers.filter((ticker) => ticker.provider !== "stream"),
+      ...streamed.tickers,
+    ],
+  };
+
+  // Streamed prices follow the same per-plan interval as the scan cycle
+  const now = Date.now();
+  for (const user of users) {
+    const scanTimes = lastScanTimes.get(user.telegramId);
+    if (!scanTimes || !isScanDue(user, user.scanPlan, scanTimes.get(coinId), now)) {
+      continue;
+    }
+    scanTimes.set(coinId, now);
+    await evaluateUserCoin(user, coinId, coinData);
+  }
 }
 
 // Function to check arbitrage for all users
 async function checkAllUsersArbitrage() {
+  // Skip this tick if the previous cycle is still running
+  if (scanInProgress) {
+    return;
+  }
+  scanInProgress = true;
+
   try {
-    // Fetch top 100 coins from the top100coins collection
-    const top100Coins = await db.collection("top100coins").find().toArray();
-    const top100coinsIds = top100Coins.map((coin) => coin.id);
+    // Each user's universe is picked from the shared one at scan time
+    const universe = await loadUniverse(db);
+    for (const coin of universe.ranked.volume) {
+      knownCoins.set(coin.id, { id: coin.id, symbol: coin.symbol, name: coin.name });
+    }
+
+    const activeUsers = await db
+      .collection("users")
+      .find({ isPaused: { $ne: true } })
+      .toArray();
+    await attachMutes(db, activeUsers);
+    await attachPriceAlertCoinIds(db, activeUsers);
+
+    // Each user's coins are due once the user's scan interval has passed since
+    // they were last evaluated; users with no coins due sit this cycle out
+    const plans = await loadPlans(db);
+    const now = Date.now();
+    const users = [];
+    for (const user of activeUsers) {
+      user.scanPlan = getUserPlan(plans, user);
+      const scheduled = getScheduledCoinIds(user, universe);
+      const previous = lastScanTimes.get(user.telegramId) || new Map();
+      const scanTimes = new Map(
+        scheduled.filter((coinId) => previous.has(coinId)).map((coinId) => [coinId, previous.get(coinId)]),
+      );
+      lastScanTimes.set(user.telegramId, scanTimes);
+
+      user.dueCoinIds = scheduled.filter((coinId) =>
+        isScanDue(user, user.scanPlan, scanTimes.get(coinId), now),
+      );
+      if (user.dueCoinIds.length > 0) {
+        users.push(user);
+      }
+    }
+
+    // Union of the coins due now across users, including price alert coins
+    const coinIds = [...new Set(users.flatMap((user) => user.dueCoinIds))];
+    // Streams follow every active user, so only their coins are kept cached
+    const activeCoinIds = [
+      ...new Set(activeUsers.flatMap((user) => getScheduledCoinIds(user, universe))),
+    ];
+    pruneCache(activeCoinIds);
+    if (STREAMING_ENABLED) {
+      updateStreamWatchers(activeUsers, universe, activeCoinIds);
+    }
+
+    // The derivatives list is one request for all coins, refreshed on its own TTL
+    let derivativesRefreshed = false;
+    if (users.some((user) => user.derivativesEnabled) && !derivatives.isDerivativesCacheFresh()) {
+      try {
+        derivatives.setDerivatives(await coingecko.getDerivatives());
+        derivativesRefreshed = true;
+      } catch (error) {
+        console.error("Error fetching derivatives:", error.message);
+      }
+    }
 
-    const users = await db.collection("users").find().toArray();
+    const providerNames = [
+      ...new Set(users.flatMap((user) => providers.getUserProviders(user))),
+    ];
+    const budget = Math.min(SCAN_REQUEST_BUDGET, coingecko.getRemainingRequests());
+    const snapshot = await fetchScanSnapshot(coinIds, providerNames, budget);
+    await recordSnapshot(snapshot);
+    await notifyDataStatusChange(activeUsers);
+    recordPriceHistory(snapshot, [...new Set(activeUsers.flatMap((user) => user.priceAlertCoinIds))]);
 
     for (const user of users) {
-      const { telegramId, whitelistIds, isTop100 } = user;
+      await notifyCoinQuota(user, universe);
+
+      // Due coins are evaluated from this cycle's fetch or, when another
+      // user's scan fetched them recently, from the shared cache; coins the
+      // budget deferred stay due for the next cycle
+      const scanTimes = lastScanTimes.get(user.telegramId);
+      const dueData = new Map();
+      for (const coinId of user.dueCoinIds) {
+        const coinData = snapshot.get(coinId) || getCachedTickers(coinId);
+        if (coinData) {
+          dueData.set(coinId, coinData);
+          scanTimes.set(coinId, now);
+        }
+      }
 
-      const coinIds = isTop100 ? top100coinsIds : whitelistIds;
+      // Price alerts run on the same tickers as the arbitrage checks
+      const firedAlerts = dueData.size > 0 ? await evaluatePriceAlerts(db, dueData, [user.telegramId]) : [];
+      for (const { rule, message } of firedAlerts) {
+        try {
+          await bot.sendMessage(rule.telegramId, message, { parse_mode: "HTML" });
+          await markPriceAlertSent(db, rule);
+        } catch (error) {
+          console.error("Failed to send price alert:", error.message);
+        }
+      }
+
+      const userCoinIds = getTrackedCoinIds(user, universe);
+      const evaluatedCoinIds = userCoinIds.filter((coinId) => dueData.has(coinId));
+      for (const coinId of evaluatedCoinIds) {
+        await evaluateUserCoin(user, coinId, dueData.get(coinId));
+      }
 
-      for (const coinId of coinIds) {
-        const message = await checkUserArbitrage(coinId, telegramId);
-        // Only send a message if there's a valid arbitrage opportunity
-        if (message) {
-          await bot.sendMessage(telegramId, message, { parse_mode: "HTML" });
+      // Carry trades need new spot data or a new derivatives list
+      if (user.derivativesEnabled) {
+        for (const coinId of userCoinIds) {
+          if (derivativesRefreshed || dueData.has(coinId)) {
+            await checkUserCarry(user, coinId);
+          }
         }
       }
+
+      // Only rescan triangles when some of the user's coins were evaluated
+      if (user.triangularEnabled && evaluatedCoinIds.length > 0) {
+        await checkUserTriangular(user, userCoinIds);
+      }
     }
   } catch (error) {
     console.error("Error checking arbitrage for all users:", error.message);
+  } finally {
+    scanInProgress = false;
   }
 }
 
-// Function to check and create the top100coins collection
-async function checkAndCreateTop100CoinsCollection() {
-  const collectionName = "top100coins";
-  const collections = await db.listCollections().toArray();
-
-  // Check if the collection exists
-  const collectionExists = collections.some(
-    (collection) => collection.name === collectionName,
-  );
-
-  if (!collectionExists) {
-    console.log(
-      `Collection ${collectionName} does not exist. Creating and populating it.`,
-    );
-
-    // Fetch data from CoinGecko API
-    await fetchAndInsertTop100Coins();
-  } else {
-    console.log(`Collection ${collectionName} already exists.`);
+// Send the digest of queued opportunities to every user whose digest is due.
+// A check that starts while the last one is still sending shares it, so one
+// user's queue is never split over several messages.
+function sendDueDigests() {
+  if (!digestRun) {
+    digestRun = sendDigests().finally(() => {
+      digestRun = null;
+    });
   }
+  return digestRun;
 }
 
-// Function to fetch and insert top 100 coins into the collection
-async function fetchAndInsertTop100Coins() {
-  const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=volume_desc&per_page=100&page=1&precision=full`;
-  const options = {
-    method: "GET",
-    headers: {
-      accept: "application/json",
-      "x-cg-demo-api-key": COINGECKO_API_KEY, // Replace with your actual API key if necessary
-    },
-  };
-
-  try {
-    const response = await axios.get(url, options);
-    const top100Coins = response.data.map((coin) => ({
-      id: coin.id,
-      name: coin.name,
-      symbol: coin.symbol,
-      market_cap: coin.market_cap,
-      last_updated: coin.last_updated,
-    }));
+async function sendDigests() {
+  const now = new Date();
+  const users = await db
+    .collection("users")
+    .find({ $or: [{ deliveryMode: "digest" }, { quietHours: { $ne: null } }] })
+    .toArray();
 
-    // Create the collection and insert the data
-    await db.createCollection("top100coins");
-    await db.collection("top100coins").insertMany(top100Coins);
-    console.log(
-      `${top100Coins.length} coins inserted into top100coins collection.`,
-    );
-  } catch (apiError) {
-    console.error(
-      "Error fetching top 100 coins from CoinGecko:",
-      apiError.message,
-    );
+  for (const user of users.filter((candidate) => isDigestDue(candidate, now))) {
+    try {
+      // Entries stay claimed until the send succeeds; a failed digest is
+      // retried on the next check with whatever was queued since
+      const entries = await claimQueuedOpportunities(db, user.telegramId);
+      if (entries.length > 0) {
+        await bot.sendMessage(user.telegramId, formatDigest(entries, user, now), {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        });
+        await deleteSentOpportunities(db, entries);
+      }
+      if (getDeliverySettings(user).mode === "digest") {
+        await db
+          .collection("users")
+          .updateOne({ telegramId: user.telegramId }, { $set: { lastDigestAt: now } });
+      }
+    } catch (error) {
+      console.error(`Error sending digest to ${user.telegramId}:`, error.message);
+    }
   }
 }
 
-async function updateTop100Coins() {
-  const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=volume_desc&per_page=100&page=1&precision=full`;
-  const options = {
-    method: "GET",
-    headers: {
-      accept: "application/json",
-      "x-cg-demo-api-key": COINGECKO_API_KEY, // Replace with your actual API key if necessary
-    },
-  };
-
-  try {
-    const response = await axios.get(url, options);
-    const top100Coins = response.data.map((coin) => ({
-      id: coin.id,
-      name: coin.name,
-      symbol: coin.symbol,
-      market_cap: coin.market_cap,
-      last_updated: coin.last_updated,
-    }));
+// Convert blacklists saved as ticker symbols to coin IDs and tell each user
+// what changed and which entries could not be matched to a coin
+async function migrateBlacklists() {
+  const { ranked } = await loadUniverse(db);
+  const ranks = new Map(ranked.volume.map((coin, index) => [coin.id, index]));
 
-    // Clear the existing collection
-    await db.collection("top100coins").deleteMany({}); // Remove all documents
+  for (const { telegramId, mapped, unmapped } of await migrateBlacklistSymbols(db, ranks)) {
+    const lines = ["Your blacklist now matches CoinGecko coin IDs instead of ticker symbols."];
+    if (mapped.length > 0) {
+      lines.push(`Converted: ${mapped.map(([entry, coinId]) => `${entry} → ${describeCoin(coinId)}`).join(", ")}.`);
+    }
+    if (unmapped.length > 0) {
+      lines.push(
+        `Could not match to a coin, so these no longer exclude anything: ${unmapped.join(", ")}. ` +
+          "Remove them with /view_blacklist and add the coins again by name or ID.",
+      );
+    }
+    await sendTelegramMessage(telegramId, lines.join("\n"));
+  }
+}
 
-    // Insert the new data
-    await db.collection("top100coins").insertMany(top100Coins);
-    console.log(
-      `Top 100 coins updated in the collection. ${top100Coins.length} coins inserted.`,
-    );
-  } catch (apiError) {
-    console.error(
-      "Error fetching top 100 coins from CoinGecko for update:",
-      apiError.message,
-    );
+// Refresh the coin universe for the users tracking it, if any. Callers share
+// the refresh already running instead of starting another one next to it.
+function updateCoinUniverse() {
+  if (!universeRefresh) {
+    universeRefresh = (async () => {
+      const users = await db.collection("users").find({ isTop100: true }).toArray();
+      if (users.length > 0) {
+        await refreshUniverse(db, users);
+      }
+    })().finally(() => {
+      universeRefresh = null;
+    });
   }
+  return universeRefresh;
 }
 
 async function checkAndCreateUserCollection() {
@@ -853,11 +3120,54 @@ async function startBot() {
 })
  // Check and create collections if they do not exist
   
-  // Schedule to update the top 100 coins every hour
-  setInterval(updateTop100Coins, 60 * 60 * 1000); // Update every hour
+  // Fill the coin universe now and refresh it every UNIVERSE_REFRESH_MINUTES
+  await updateCoinUniverse().catch((error) => {
+    console.error("Error refreshing the coin universe:", error.message);
+  });
+  setInterval(() => {
+    updateCoinUniverse().catch((error) => {
+      console.error("Error refreshing the coin universe:", error.message);
+    });
+  }, UNIVERSE_REFRESH_MINUTES * 60 * 1000);
+
+  // Blacklists from before coin IDs are converted once, ranked by the universe
+  await migrateBlacklists().catch((error) => {
+    console.error("Error migrating blacklists:", error.message);
+  });
+
+  // Refresh the coin list used to resolve typed coins
+  setInterval(() => updateCoinList(db), COIN_LIST_REFRESH_HOURS * 60 * 60 * 1000);
 
-  // Check for arbitrage opportunities every minute (60000 milliseconds)
-  setInterval(checkAllUsersArbitrage, 10000);
+  // Check for arbitrage opportunities on every scan cycle
+  setInterval(checkAllUsersArbitrage, SCAN_INTERVAL_MS);
+
+  // Send digests that are due, checked every minute
+  setInterval(() => {
+    sendDueDigests().catch((error) => {
+      console.error("Error sending digests:", error.message);
+    });
+  }, 60 * 1000);
+
+  // Close routes that stopped being checked, every 10 minutes
+  setInterval(() => {
+    expireStaleRoutes().catch((error) => {
+      console.error("Error closing stale routes:", error.message);
+    });
+  }, 10 * 60 * 1000);
+
+  // End prompts nobody answered within CONVERSATION_TIMEOUT_MINUTES
+  setInterval(() => {
+    conversations.expireConversations().catch((error) => {
+      console.error("Error expiring conversations:", error.message);
+    });
+  }, 60 * 1000);
+
+  // Streamed prices are evaluated as they change; the scan cycle keeps the
+  // subscriptions in line with the watched coins
+  if (STREAMING_ENABLED) {
+    streaming.startStreaming(scheduleStreamEvaluation);
+    console.log(`Streaming prices from ${streaming.STREAMING_EXCHANGES.join(", ")}.`);
+  }
   console.log("Arbitrage bot is running...");
 }
 
@@ -0,0 +1,331 @@
+// Local copy of CoinGecko's /coins/list (every coin's ID, symbol and name),
+// used to turn what users type ("BTC", "Bitcoin", "bitcoin") into coin IDs.
+// The list is kept in the "coinlist" collection so a restart does not need
+// CoinGecko, refreshed on a schedule, and indexed in memory for lookups.
+const coingecko = require("./coingecko");
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "coinlist";
+// Marks the one-time blacklist migration as done in the "migrations" collection
+const BLACKLIST_MIGRATION = "blacklist-symbols-to-coin-ids";
+const COIN_LIST_REFRESH_HOURS = parseFloat(process.env.COIN_LIST_REFRESH_HOURS) || 24;
+// Candidates offered for one ambiguous or misspelled entry
+const MAX_CANDIDATES = 6;
+
+// In-memory indexes over the list
+let coinsById = new Map();
+let coinsBySymbol = new Map();
+let coinsByName = new Map();
+
+function normalize(text) {
+  return text.trim().toLowerCase();
+}
+
+function addToIndex(index, key, coin) {
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(coin);
+}
+
+function buildIndexes(coins) {
+  coinsById = new Map();
+  coinsBySymbol = new Map();
+  coinsByName = new Map();
+  for (const coin of coins) {
+    coinsById.set(coin.id, coin);
+    addToIndex(coinsBySymbol, normalize(coin.symbol), coin);
+    addToIndex(coinsByName, normalize(coin.name), coin);
+  }
+}
+
+// Fetch the list from CoinGecko and replace the stored copy. Coins are
+// upserted before the ones CoinGecko dropped are pruned, so a failed write
+// never leaves the collection empty.
+async function updateCoinList(db) {
+  try {
+    const coins = (await coingecko.getCoinsList()).map(({ id, symbol, name }) => ({
+      id,
+      symbol,
+      name,
+    }));
+    if (coins.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await db.collection(COLLECTION).bulkWrite(
+      coins.map((coin) => ({
+        replaceOne: { filter: { id: coin.id }, replacement: { ...coin, updatedAt: now }, upsert: true },
+      })),
+      { ordered: false },
+    );
+    await db.collection(COLLECTION).deleteMany({ updatedAt: { $ne: now } });
+    buildIndexes(coins);
+    console.log(`Coin list updated. ${coins.length} coins stored.`);
+  } catch (error) {
+    console.error("Error fetching the coin list from CoinGecko:", error.message);
+  }
+}
+
+// Load the stored list into memory, fetching it first if it was never stored
+async function checkAndCreateCoinListCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ id: 1 }, { unique: true });
+      console.log(`Created '${COLLECTION}' collection with unique index on id.`);
+    }
+
+    const coins = await db
+      .collection(COLLECTION)
+      .find({}, { projection: { _id: 0, id: 1, symbol: 1, name: 1 } })
+      .toArray();
+    if (coins.length === 0) {
+      await updateCoinList(db);
+    } else {
+      buildIndexes(coins);
+      console.log(`Loaded ${coins.length} coins from '${COLLECTION}'.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+function getCoin(coinId) {
+  return coinsById.get(coinId) || null;
+}
+
+function isKnownCoinId(coinId) {
+  return coinsById.has(coinId);
+}
+
+// IDs of every listed coin with the given symbol
+function getSymbolCoinIds(symbol) {
+  return (coinsBySymbol.get(normalize(symbol)) || []).map((coin) => coin.id);
+}
+
+// Edit distance between two strings, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Coins whose ID or name is within a few typos of the query, closest first
+function findSimilar(query, coins) {
+  const max = query.length < 5 ? 1 : 2;
+  const matches = [];
+  for (const coin of coins) {
+    const distance = Math.min(
+      editDistance(query, coin.id, max),
+      editDistance(query, normalize(coin.name), max),
+    );
+    if (distance <= max) {
+      matches.push({ coin, distance });
+    }
+  }
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+// Order candidates so coins the bot already tracks (`ranks`: coin ID -> rank,
+// e.g. the top 100 list) come first, then shorter and so more canonical IDs
+function sortCandidates(coins, ranks) {
+  const rankOf = (coin) => (ranks.has(coin.id) ? ranks.get(coin.id) : Infinity);
+  return [...coins].sort((a, b) => rankOf(a) - rankOf(b) || a.id.length - b.id.length);
+}
+
+// Resolve one entry. Returns { status: "resolved", coin, exact } or
+// { status: "ambiguous", candidates } or { status: "unknown" }.
+// `within` limits the search to a set of coin IDs, e.g. the user's list when removing.
+// `symbolFirst` looks the entry up as a symbol before as an ID.
+function resolveCoin(query, { ranks = new Map(), within = null, symbolFirst = false } = {}) {
+  const text = normalize(query);
+  const allowed = (coin) => !within || within.has(coin.id);
+
+  const byId = coinsById.get(text);
+  const symbolMatches = (coinsBySymbol.get(text) || []).filter(allowed);
+  if (byId && allowed(byId) && !(symbolFirst && symbolMatches.length > 0)) {
+    return { status: "resolved", coin: byId, exact: true };
+  }
+
+  // Exact symbol or name matches; one match is taken, several are offered
+  for (const index of [coinsBySymbol, coinsByName]) {
+    const matches = (index.get(text) || []).filter(allowed);
+    if (matches.length === 1) {
+      return { status: "resolved", coin: matches[0], exact: true };
+    }
+    if (matches.length > 1) {
+      return {
+        status: "ambiguous",
+        candidates: sortCandidates(matches, ranks).slice(0, MAX_CANDIDATES),
+      };
+    }
+  }
+
+  if (text.length < 3) {
+    return { status: "unknown" };
+  }
+
+  // Typos: take a single closest match, otherwise offer the closest ones
+  const pool = within ? [...within].map(getCoin).filter(Boolean) : coinsById.values();
+  const similar = findSimilar(text, pool);
+  if (similar.length === 0) {
+    return { status: "unknown" };
+  }
+  const closest = similar.filter((match) => match.distance === similar[0].distance);
+  if (closest.length === 1) {
+    return { status: "resolved", coin: closest[0].coin, exact: false };
+  }
+  return {
+    status: "ambiguous",
+    candidates: sortCandidates(
+      closest.map((match) => match.coin),
+      ranks,
+    ).slice(0, MAX_CANDIDATES),
+  };
+}
+
+// Coins to suggest for an entry resolveCoin found nothing for: IDs and names
+// that start with it or are a few more typos away than it accepts
+function suggestCoins(query, ranks = new Map()) {
+  const text = normalize(query);
+  if (text.length < 2) {
+    return [];
+  }
+  const max = text.length < 5 ? 2 : 3;
+  const suggestions = [];
+  for (const coin of coinsById.values()) {
+    const name = normalize(coin.name);
+    if (
+      coin.id.startsWith(text) ||
+      name.startsWith(text) ||
+      Math.min(editDistance(text, coin.id, max), editDistance(text, name, max)) <= max
+    ) {
+      suggestions.push(coin);
+    }
+  }
+  return sortCandidates(suggestions, ranks).slice(0, MAX_CANDIDATES);
+}
+
+// Split a message into entries: commas, semicolons and new lines always
+// separate them; spaces do unless the words together name a coin ("shiba inu")
+function splitCoinQueries(text) {
+  const queries = [];
+  for (const part of text.split(/[,;\n]+/).map((entry) => entry.trim()).filter(Boolean)) {
+    if (/\s/.test(part) && !coinsByName.has(normalize(part))) {
+      queries.push(...part.split(/\s+/));
+    } else {
+      queries.push(part);
+    }
+  }
+  return [...new Set(queries)];
+}
+
+// Resolve every entry in a message, returning the query alongside each result
+function resolveCoins(text, options) {
+  return splitCoinQueries(text).map((query) => ({
+    query,
+    ...resolveCoin(query, options),
+  }));
+}
+
+// The coin a blacklist entry saved as a ticker symbol ("btc") meant, or null.
+// Entries used to be compared with ticker symbols, so they are read as
+// symbols first, except for IDs of coins the bot tracks; a symbol several
+// coins share maps to the highest-ranked of them if any is ranked.
+function resolveLegacyBlacklistEntry(entry, ranks) {
+  if (isKnownCoinId(entry) && ranks.has(entry)) {
+    return getCoin(entry);
+  }
+  const result = resolveCoin(entry, { ranks, symbolFirst: true });
+  if (result.status === "resolved") {
+    return result.exact ? result.coin : null;
+  }
+  const [best] = result.candidates || [];
+  return best && ranks.has(best.id) && normalize(best.symbol) === normalize(entry) ? best : null;
+}
+
+// One-time migration of every blacklist from ticker symbols to coin IDs.
+// Entries that map to no coin are kept as they are. Resolves to one report
+// per changed user: { telegramId, mapped: [[entry, coinId]], unmapped: [entry] }.
+async function migrateBlacklistSymbols(db, ranks) {
+  // The coin list is needed to map anything; try again on the next start
+  if (coinsById.size === 0) {
+    return [];
+  }
+  if (await db.collection("migrations").findOne({ name: BLACKLIST_MIGRATION })) {
+    return [];
+  }
+
+  const reports = [];
+  const users = await db
+    .collection("users")
+    .find({ "blacklistIds.0": { $exists: true } })
+    .toArray();
+  for (const user of users) {
+    const blacklistIds = [];
+    const mapped = [];
+    const unmapped = [];
+    for (const entry of user.blacklistIds) {
+      const coin = resolveLegacyBlacklistEntry(normalize(entry), ranks);
+      if (!coin) {
+        blacklistIds.push(entry);
+        unmapped.push(entry);
+        continue;
+      }
+      blacklistIds.push(coin.id);
+      if (coin.id !== entry) {
+        mapped.push([entry, coin.id]);
+      }
+    }
+
+    if (mapped.length > 0 || unmapped.length > 0) {
+      await db
+        .collection("users")
+        .updateOne(
+          { telegramId: user.telegramId },
+          { $set: { blacklistIds: [...new Set(blacklistIds)] } },
+        );
+      reports.push({ telegramId: user.telegramId, mapped, unmapped });
+    }
+  }
+
+  await db.collection("migrations").insertOne({ name: BLACKLIST_MIGRATION, doneAt: new Date() });
+  console.log(`Blacklist migration done: ${reports.length} users updated.`);
+  return reports;
+}
+
+module.exports = {
+  COIN_LIST_REFRESH_HOURS,
+  checkAndCreateCoinListCollection,
+  updateCoinList,
+  getCoin,
+  isKnownCoinId,
+  getSymbolCoinIds,
+  resolveCoin,
+  resolveCoins,
+  suggestCoins,
+  migrateBlacklistSymbols,
+};
@@ -0,0 +1,341 @@
+// CoinGecko API client shared by the scanner and the bot.
+// Every request goes through here so retries, rate limiting and the circuit
+// breaker apply to all callers, and failures surface as typed errors instead
+// of looking like "no data".
+const axios = require("axios");
+
+// Load environment variables
+require("dotenv").config();
+
+const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY;
+// "demo" or "pro"; pro keys use a different header and base URL
+const COINGECKO_API_PLAN = (process.env.COINGECKO_API_PLAN || "demo").toLowerCase();
+
+const PLANS = {
+  demo: {
+    baseUrl: "https://api.coingecko.com/api/v3",
+    keyHeader: "x-cg-demo-api-key",
+  },
+  pro: {
+    baseUrl: "https://pro-api.coingecko.com/api/v3",
+    keyHeader: "x-cg-pro-api-key",
+  },
+};
+
+// Requests every caller together may send per rolling minute. Each attempt,
+// retries included, is charged, so scans, refreshes and commands share it.
+const COINGECKO_REQUESTS_PER_MINUTE =
+  parseInt(process.env.COINGECKO_REQUESTS_PER_MINUTE, 10) || 30;
+const BUDGET_WINDOW_MS = 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Circuit breaker: open after this many failed requests in a row and stay
+// open for the cooldown (or for the server's Retry-After, if longer)
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 60 * 1000;
+
+const ErrorTypes = {
+  RATE_LIMITED: "RATE_LIMITED",
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
+  NOT_FOUND: "NOT_FOUND",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  SERVER: "SERVER",
+  NETWORK: "NETWORK",
+  BAD_REQUEST: "BAD_REQUEST",
+  BUDGET_EXHAUSTED: "BUDGET_EXHAUSTED",
+};
+
+class CoinGeckoError extends Error {
+  constructor(type, message, { status, retryAfterMs } = {}) {
+    super(message);
+    this.name = "CoinGeckoError";
+    this.type = type;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Whether the failure says something about CoinGecko's health rather than
+  // about the request itself (an unknown coin ID is not an outage) or about
+  // our own request budget
+  get isDegraded() {
+    return ![ErrorTypes.NOT_FOUND, ErrorTypes.BAD_REQUEST, ErrorTypes.BUDGET_EXHAUSTED].includes(
+      this.type,
+    );
+  }
+}
+
+const breaker = {
+  state: "closed", // closed | open | half-open
+  consecutiveFailures: 0,
+  openedAt: null,
+  retryAt: null,
+  lastError: null,
+  // Whether the half-open trial request is still running
+  probing: false,
+};
+
+const plan = PLANS[COINGECKO_API_PLAN] || PLANS.demo;
+
+// When each attempt within the current budget window was sent
+let attemptTimes = [];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Parse a Retry-After header given either in seconds or as an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Turn an axios error into a CoinGeckoError
+function toCoinGeckoError(error, path) {
+  const status = error.response?.status;
+
+  if (!error.response) {
+    return new CoinGeckoError(
+      ErrorTypes.NETWORK,
+      `Network error requesting ${path}: ${error.message}`,
+    );
+  }
+  if (status === 429) {
+    return new CoinGeckoError(
+      ErrorTypes.RATE_LIMITED,
+      `Rate limited by CoinGecko on ${path}`,
+      { status, retryAfterMs: parseRetryAfter(error.response.headers?.["retry-after"]) },
+    );
+  }
+  if (status === 401 || status === 403) {
+    return new CoinGeckoError(
+      ErrorTypes.UNAUTHORIZED,
+      `CoinGecko rejected the API key (${status}) on ${path}`,
+      { status },
+    );
+  }
+  if (status === 404) {
+    return new CoinGeckoError(ErrorTypes.NOT_FOUND, `Not found: ${path}`, { status });
+  }
+  if (status >= 500) {
+    return new CoinGeckoError(
+      ErrorTypes.SERVER,
+      `CoinGecko server error (${status}) on ${path}`,
+      { status },
+    );
+  }
+  return new CoinGeckoError(
+    ErrorTypes.BAD_REQUEST,
+    `CoinGecko request failed (${status}) on ${path}`,
+    { status },
+  );
+}
+
+function isRetryable(error) {
+  return [ErrorTypes.RATE_LIMITED, ErrorTypes.SERVER, ErrorTypes.NETWORK].includes(
+    error.type,
+  );
+}
+
+// Exponential backoff with jitter, unless the server told us how long to wait
+function backoffDelay(attempt, error) {
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs;
+  }
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Requests left in the rolling one-minute budget
+function getRemainingRequests(now = Date.now()) {
+  attemptTimes = attemptTimes.filter((time) => now - time < BUDGET_WINDOW_MS);
+  return Math.max(0, COINGECKO_REQUESTS_PER_MINUTE - attemptTimes.length);
+}
+
+function budgetExhaustedError() {
+  const retryAfterMs = Math.max(0, attemptTimes[0] + BUDGET_WINDOW_MS - Date.now());
+  return new CoinGeckoError(
+    ErrorTypes.BUDGET_EXHAUSTED,
+    `CoinGecko request budget of ${COINGECKO_REQUESTS_PER_MINUTE} per minute is used up`,
+    { retryAfterMs },
+  );
+}
+
+function openBreaker(error, cooldownMs) {
+  if (breaker.state !== "open") {
+    breaker.openedAt = Date.now();
+    console.error(`CoinGecko circuit opened: ${error.message}`);
+  }
+  breaker.state = "open";
+  breaker.retryAt = Date.now() + Math.max(BREAKER_COOLDOWN_MS, cooldownMs || 0);
+}
+
+function recordSuccess() {
+  if (breaker.state !== "closed") {
+    console.log("CoinGecko circuit closed, requests are succeeding again.");
+  }
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.retryAt = null;
+  breaker.lastError = null;
+}
+
+function recordFailure(error) {
+  // CoinGecko answered, so the connection itself is healthy
+  if (!error.isDegraded) {
+    recordSuccess();
+    return;
+  }
+  breaker.lastError = { type: error.type, message: error.message, at: new Date() };
+  breaker.consecutiveFailures += 1;
+
+  if (
+    breaker.state === "half-open" ||
+    breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD ||
+    error.retryAfterMs > MAX_BACKOFF_MS
+  ) {
+    openBreaker(error, error.retryAfterMs);
+  }
+}
+
+// Run a request with retries, recording the outcome on the breaker
+async function attemptRequest(path, params) {
+
+  const options = {
+    params,
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      accept: "application/json",
+      ...(COINGECKO_API_KEY && { [plan.keyHeader]: COINGECKO_API_KEY }),
+    },
+  };
+
+  let lastError;
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    // Retries stop once the budget is spent; the first attempt was checked
+    // by the caller
+    if (attempt > 0 && getRemainingRequests() === 0) {
+      break;
+    }
+    attemptTimes.push(Date.now());
+    try {
+      const response = await axios.get(`${plan.baseUrl}${path}`, options);
+      recordSuccess();
+      return response.data;
+    } catch (error) {
+      lastError = toCoinGeckoError(error, path);
+
+      // A probe during half-open gets no retries, and waits longer than our
+      // maximum backoff are better handled by the breaker than by sleeping
+      const delay = backoffDelay(attempt, lastError);
+      if (
+        !isRetryable(lastError) ||
+        attempt === MAX_RETRIES ||
+        breaker.state === "half-open" ||
+        delay > MAX_BACKOFF_MS
+      ) {
+        break;
+      }
+      await sleep(delay);
+    }
+  }
+
+  recordFailure(lastError);
+  throw lastError;
+}
+
+// GET a CoinGecko endpoint and return the response body
+async function request(path, params = {}) {
+  if (breaker.state === "open" && Date.now() < breaker.retryAt) {
+    throw new CoinGeckoError(
+      ErrorTypes.CIRCUIT_OPEN,
+      `CoinGecko requests are paused until ${new Date(breaker.retryAt).toISOString()}`,
+      { retryAfterMs: breaker.retryAt - Date.now() },
+    );
+  }
+  // Other callers fail fast while the trial request is running
+  if (breaker.probing) {
+    throw new CoinGeckoError(
+      ErrorTypes.CIRCUIT_OPEN,
+      "CoinGecko requests are paused while a trial request checks whether it recovered",
+    );
+  }
+  if (getRemainingRequests() === 0) {
+    throw budgetExhaustedError();
+  }
+
+  // Let one trial request through to probe whether CoinGecko recovered
+  const isProbe = breaker.state === "open";
+  if (isProbe) {
+    breaker.state = "half-open";
+    breaker.probing = true;
+  }
+  try {
+    return await attemptRequest(path, params);
+  } finally {
+    if (isProbe) {
+      breaker.probing = false;
+    }
+  }
+}
+
+// Current health of the CoinGecko connection, for the scanner and the bot
+function getStatus() {
+  return {
+    plan: COINGECKO_API_PLAN,
+    state: breaker.state,
+    degraded: breaker.state !== "closed",
+    lastError: breaker.lastError,
+    openedAt: breaker.openedAt,
+    retryAt: breaker.retryAt,
+  };
+}
+
+// Fetch coin data including tickers for a specific coin ID
+function getCoinTickers(coinId, params = {}) {
+  return request(`/coins/${encodeURIComponent(coinId)}/tickers`, params);
+}
+
+// Fetch a page of coins with market data
+function getCoinMarkets(params = {}) {
+  return request("/coins/markets", { vs_currency: "usd", precision: "full", ...params });
+}
+
+// Fetch the ID, symbol and name of every coin CoinGecko lists
+function getCoinsList() {
+  return request("/coins/list");
+}
+
+// Fetch the ID and name of every coin category, e.g. "layer-1" or "meme-token"
+function getCoinCategoriesList() {
+  return request("/coins/categories/list");
+}
+
+// Fetch every exchange's unexpired derivatives contracts, including perpetuals
+// with their basis and funding rate
+function getDerivatives() {
+  return request("/derivatives", { include_tickers: "unexpired" });
+}
+
+module.exports = {
+  COINGECKO_REQUESTS_PER_MINUTE,
+  ErrorTypes,
+  CoinGeckoError,
+  request,
+  getRemainingRequests,
+  getStatus,
+  getCoinTickers,
+  getCoinMarkets,
+  getCoinsList,
+  getCoinCategoriesList,
+  getDerivatives,
+};
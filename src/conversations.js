@@ -0,0 +1,167 @@
+// Typed-input flows ("conversations") such as setting the minimum profit or
+// adding coins to the whitelist. The state of each chat's flow lives in the
+// "conversations" collection, so it survives restarts and a message is only
+// ever read as input for the chat that sent it.
+//
+// A flow is a set of named steps; the first one is where it starts:
+//   prompt(data)              - text asking for the input
+//   parse(text, data)         - { value } or { error } to re-prompt
+//   handle(value, data, chatId) - acts on the value and returns the next
+//                               step's name, or nothing to finish
+// `data` is saved with the state, so it has to be plain JSON.
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "conversations";
+const CONVERSATION_TIMEOUT_MINUTES =
+  parseFloat(process.env.CONVERSATION_TIMEOUT_MINUTES) || 5;
+// Invalid answers in a row before a flow is abandoned
+const MAX_INVALID_ATTEMPTS = 3;
+
+// Create the conversations collection with one state per chat
+async function checkAndCreateConversationsCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ chatId: 1 }, { unique: true });
+      await db.collection(COLLECTION).createIndex({ expiresAt: 1 });
+      console.log(`Created '${COLLECTION}' collection with unique index on chatId.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// `getDb` returns the connected database; `send(chatId, text)` sends a message
+function createConversations({ getDb, send }) {
+  const flows = new Map();
+  const timeoutMs = CONVERSATION_TIMEOUT_MINUTES * 60 * 1000;
+
+  function collection() {
+    return getDb().collection(COLLECTION);
+  }
+
+  function defineFlow(name, steps) {
+    flows.set(name, steps);
+  }
+
+  // Start a flow for a chat, replacing any flow it was in
+  async function start(chatId, flowName, data = {}, now = new Date()) {
+    const [firstStep] = Object.keys(flows.get(flowName));
+    await collection().replaceOne(
+      { chatId },
+      {
+        chatId,
+        flow: flowName,
+        step: firstStep,
+        data,
+        attempts: 0,
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + timeoutMs),
+      },
+      { upsert: true },
+    );
+    await send(chatId, flows.get(flowName)[firstStep].prompt(data));
+  }
+
+  // Feed a message to the chat's flow. Resolves to false when the chat is not
+  // in a flow (or the message is a command), so other handlers can take it.
+  async function handleMessage(msg, now = new Date()) {
+    const chatId = msg.chat.id;
+    const text = msg.text?.trim();
+    if (!text || text.startsWith("/")) {
+      return false;
+    }
+
+    const conversation = await collection().findOne({ chatId });
+    const step = conversation && flows.get(conversation.flow)?.[conversation.step];
+    if (!step) {
+      return false;
+    }
+
+    if (conversation.expiresAt <= now) {
+      await collection().deleteOne({ chatId });
+      await send(chatId, "⌛ That prompt timed out. Please start again.");
+      return true;
+    }
+
+    const parsed = await step.parse(text, conversation.data);
+    if (parsed.error) {
+      if (conversation.attempts + 1 >= MAX_INVALID_ATTEMPTS) {
+        await collection().deleteOne({ chatId });
+        await send(chatId, `${parsed.error}\nToo many invalid answers, the prompt was cancelled.`);
+      } else {
+        await collection().updateOne(
+          { chatId },
+          {
+            $inc: { attempts: 1 },
+            $set: { expiresAt: new Date(now.getTime() + timeoutMs) },
+          },
+        );
+        await send(chatId, `${parsed.error}\n\n${step.prompt(conversation.data)}\nSend /cancel to stop.`);
+      }
+      return true;
+    }
+
+    let nextStep;
+    try {
+      nextStep = await step.handle(parsed.value, conversation.data, chatId);
+    } catch (error) {
+      console.error(`Error in ${conversation.flow} step ${conversation.step}:`, error.message);
+      await collection().deleteOne({ chatId });
+      await send(chatId, "There was an error saving your answer. Please try again.");
+      return true;
+    }
+
+    if (nextStep) {
+      await collection().updateOne(
+        { chatId },
+        {
+          $set: {
+            step: nextStep,
+            data: conversation.data,
+            attempts: 0,
+            expiresAt: new Date(now.getTime() + timeoutMs),
+          },
+        },
+      );
+      await send(chatId, flows.get(conversation.flow)[nextStep].prompt(conversation.data));
+    } else {
+      await collection().deleteOne({ chatId });
+    }
+    return true;
+  }
+
+  // End the chat's flow; resolves to whether there was one
+  async function cancel(chatId) {
+    const result = await collection().deleteOne({ chatId });
+    return result.deletedCount > 0;
+  }
+
+  // End flows nobody answered in time and tell their chats
+  async function expireConversations(now = new Date()) {
+    const expired = await collection().find({ expiresAt: { $lte: now } }).toArray();
+    for (const conversation of expired) {
+      await collection().deleteOne({ _id: conversation._id });
+      await send(conversation.chatId, "⌛ Your prompt timed out, nothing was changed.");
+    }
+  }
+
+  return {
+    defineFlow,
+    start,
+    handleMessage,
+    cancel,
+    expireConversations,
+  };
+}
+
+module.exports = {
+  CONVERSATION_TIMEOUT_MINUTES,
+  checkAndCreateConversationsCollection,
+  createConversations,
+};
@@ -0,0 +1,260 @@
+// When opportunity alerts reach a user. In instant mode each alert is sent as
+// it is found; in digest mode, and for everyone during their quiet hours,
+// opportunities are queued in the "digestQueue" collection (one document per
+// route, keeping its peak spread) and sent as one ranked summary later.
+//
+// Sending claims the queued documents by setting a digest ID on them, so
+// sightings queued while a digest is being sent start new documents, and the
+// claimed ones are deleted only once the digest went out.
+const { ObjectId } = require("mongodb");
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "digestQueue";
+const DIGEST_INTERVALS = [15, 30, 60, 240];
+const DEFAULT_DIGEST_INTERVAL_MINUTES =
+  parseInt(process.env.DIGEST_INTERVAL_MINUTES, 10) || 60;
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+// Routes listed per section of a digest
+const DIGEST_MAX_ROUTES = 8;
+
+// Digest sections by the kind of route, from the prefix of its alert key
+const SECTIONS = [
+  { kind: "spot", title: "💰 Spot arbitrage", unit: "% net" },
+  { kind: "triangular", title: "🔺 Triangular", unit: "% net" },
+  { kind: "derivatives", title: "📐 Carry", unit: "% funding APR" },
+];
+
+// Create the digest queue with a unique index on the queued route and the
+// digest that claimed it (null while unclaimed)
+async function checkAndCreateDigestQueueCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex(
+        { telegramId: 1, coinId: 1, buyExchange: 1, sellExchange: 1, digestId: 1 },
+        { unique: true },
+      );
+      console.log(`Created '${COLLECTION}' collection with unique index on the route.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A user's delivery preferences, falling back to instant delivery without quiet hours
+function getDeliverySettings(user) {
+  return {
+    mode: user?.deliveryMode || "instant",
+    intervalMinutes: user?.digestIntervalMinutes || DEFAULT_DIGEST_INTERVAL_MINUTES,
+    timezone: user?.timezone || DEFAULT_TIMEZONE,
+    // { start, end } in minutes after local midnight, or null
+    quietHours: user?.quietHours || null,
+  };
+}
+
+function parseClock(text) {
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2] || 0) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2] || 0);
+}
+
+// Parse quiet hours such as "23:00-07:00" or "22-6"; null if invalid
+function parseQuietHours(text) {
+  const [startText, endText] = text.split(/\s*-\s*/);
+  const start = parseClock(startText || "");
+  const end = parseClock(endText || "");
+  return start === null || end === null || start === end ? null : { start, end };
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function formatQuietHours(quietHours) {
+  return quietHours ? `${formatClock(quietHours.start)}–${formatClock(quietHours.end)}` : "off";
+}
+
+// Minutes after midnight in a timezone
+function getLocalMinutes(timezone, now) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return value("hour") * 60 + value("minute");
+}
+
+// Whether it is within the user's quiet hours; ranges may wrap past midnight
+function isInQuietHours(user, now = new Date()) {
+  const { quietHours, timezone } = getDeliverySettings(user);
+  if (!quietHours) {
+    return false;
+  }
+  const minutes = getLocalMinutes(timezone, now);
+  return quietHours.start < quietHours.end
+    ? minutes >= quietHours.start && minutes < quietHours.end
+    : minutes >= quietHours.start || minutes < quietHours.end;
+}
+
+// Whether an opportunity found now should be queued instead of sent
+function shouldQueue(user, now = new Date()) {
+  return getDeliverySettings(user).mode === "digest" || isInQuietHours(user, now);
+}
+
+// Queue one sighting of an opportunity, merging it into the route's entry
+async function queueOpportunity(db, user, coinId, opportunity, label, now = new Date()) {
+  const profit = Number(opportunity.potentialProfit);
+
+  await db.collection(COLLECTION).updateOne(
+    {
+      telegramId: user.telegramId,
+      coinId,
+      buyExchange: opportunity.lowestExchangeId,
+      sellExchange: opportunity.highestExchangeId,
+      digestId: null,
+    },
+    {
+      $setOnInsert: { firstSeenAt: now },
+      $set: { label, lastSeenAt: now, lastProfit: profit },
+      $max: { peakProfit: profit },
+      $inc: { sightings: 1 },
+    },
+    { upsert: true },
+  );
+}
+
+// Whether a user's queued opportunities should go out now: on the digest
+// interval in digest mode, or as soon as quiet hours end in instant mode
+function isDigestDue(user, now = new Date()) {
+  if (isInQuietHours(user, now)) {
+    return false;
+  }
+  const { mode, intervalMinutes } = getDeliverySettings(user);
+  if (mode !== "digest") {
+    return true;
+  }
+  return !user.lastDigestAt || now - user.lastDigestAt >= intervalMinutes * 60 * 1000;
+}
+
+// Claim a user's queued opportunities for a digest and return every claimed
+// entry, including ones from earlier digests that failed to send, merged per
+// route. Each entry lists the documents behind it in `ids`.
+async function claimQueuedOpportunities(db, telegramId) {
+  await db
+    .collection(COLLECTION)
+    .updateMany({ telegramId, digestId: null }, { $set: { digestId: new ObjectId() } });
+  const documents = await db
+    .collection(COLLECTION)
+    .find({ telegramId, digestId: { $ne: null } })
+    .sort({ lastSeenAt: 1 })
+    .toArray();
+
+  const routes = new Map();
+  for (const document of documents) {
+    const key = `${document.coinId}|${document.buyExchange}|${document.sellExchange}`;
+    const entry = routes.get(key);
+    if (!entry) {
+      routes.set(key, { ...document, ids: [document._id] });
+      continue;
+    }
+    entry.ids.push(document._id);
+    entry.label = document.label;
+    entry.lastProfit = document.lastProfit;
+    entry.lastSeenAt = document.lastSeenAt;
+    entry.peakProfit = Math.max(entry.peakProfit, document.peakProfit);
+    entry.sightings += document.sightings;
+    if (document.firstSeenAt < entry.firstSeenAt) {
+      entry.firstSeenAt = document.firstSeenAt;
+    }
+  }
+  return [...routes.values()];
+}
+
+// Delete the claimed entries once their digest was sent
+async function deleteSentOpportunities(db, entries) {
+  await db
+    .collection(COLLECTION)
+    .deleteMany({ _id: { $in: entries.flatMap((entry) => entry.ids) } });
+}
+
+function getKind(entry) {
+  const [prefix] = entry.coinId.split(":");
+  return prefix === "triangular" || prefix === "derivatives" ? prefix : "spot";
+}
+
+function formatLocalTime(date, timezone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+}
+
+// HTML digest of the queued opportunities, best peak spread first per kind
+function formatDigest(entries, user, now = new Date()) {
+  const { timezone } = getDeliverySettings(user);
+  const from = new Date(Math.min(...entries.map((entry) => entry.firstSeenAt.getTime())));
+  const lines = [
+    `📬 <b>Opportunity digest</b>\n${formatLocalTime(from, timezone)} – ${formatLocalTime(now, timezone)} (${timezone})`,
+  ];
+
+  for (const section of SECTIONS) {
+    const routes = entries
+      .filter((entry) => getKind(entry) === section.kind)
+      .sort((a, b) => b.peakProfit - a.peakProfit);
+    if (routes.length === 0) {
+      continue;
+    }
+
+    lines.push("", `<b>${section.title}</b> (${routes.length} route${routes.length === 1 ? "" : "s"})`);
+    for (const [index, route] of routes.slice(0, DIGEST_MAX_ROUTES).entries()) {
+      lines.push(
+        `${index + 1}. ${route.label}\n` +
+          `   peak <b>${route.peakProfit}${section.unit}</b>, last ${route.lastProfit}, ` +
+          `seen ${route.sightings}× since ${formatLocalTime(route.firstSeenAt, timezone)}`,
+      );
+    }
+    if (routes.length > DIGEST_MAX_ROUTES) {
+      lines.push(`…and ${routes.length - DIGEST_MAX_ROUTES} more`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  DIGEST_INTERVALS,
+  checkAndCreateDigestQueueCollection,
+  isValidTimezone,
+  getDeliverySettings,
+  parseQuietHours,
+  formatQuietHours,
+  isInQuietHours,
+  shouldQueue,
+  queueOpportunity,
+  isDigestDue,
+  claimQueuedOpportunities,
+  deleteSentOpportunities,
+  formatDigest,
+};
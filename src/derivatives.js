@@ -0,0 +1,127 @@
+// Cash-and-carry opportunities: buy spot and short the perpetual when the
+// perp trades at a premium (basis) or longs pay a high funding rate.
+// Perpetual tickers come from CoinGecko's /derivatives endpoint, which lists
+// every exchange's contracts in one response, and are joined with the spot
+// tickers already fetched for the coin by the asset symbol (index_id).
+const { validateTickers } = require("./tickerValidation");
+const { isExchangeAllowed } = require("./exchanges");
+
+// Load environment variables
+require("dotenv").config();
+
+const DERIVATIVES_TTL_MS = parseInt(process.env.DERIVATIVES_TTL_MS, 10) || 5 * 60 * 1000;
+const DERIVATIVES_MIN_VOLUME_USD =
+  parseFloat(process.env.DERIVATIVES_MIN_VOLUME_USD) || 100000;
+const DEFAULT_MIN_FUNDING_APR = parseFloat(process.env.MIN_FUNDING_APR) || 20;
+const DEFAULT_MIN_BASIS = parseFloat(process.env.MIN_BASIS_PERCENT) || 0.5;
+
+// CoinGecko reports funding per interval; most perps settle every 8 hours
+const FUNDING_INTERVALS_PER_YEAR = 3 * 365;
+
+let cache = { perpetuals: [], fetchedAt: 0 };
+
+function isDerivativesCacheFresh(now = Date.now()) {
+  return now - cache.fetchedAt <= DERIVATIVES_TTL_MS;
+}
+
+// Keep only live perpetual contracts from a /derivatives response
+function setDerivatives(derivatives, now = Date.now()) {
+  cache = {
+    perpetuals: derivatives.filter(
+      (contract) =>
+        contract.contract_type === "perpetual" &&
+        contract.index_id &&
+        Number(contract.price) > 0 &&
+        !contract.expired_at,
+    ),
+    fetchedAt: now,
+  };
+}
+
+function getPerpetuals() {
+  return cache.perpetuals;
+}
+
+// Find the best cash-and-carry trade for a coin: the cheapest validated spot
+// market to buy on and the perpetual with the highest annualized funding
+function findCarryOpportunity(coinId, spotTickers, perpetuals, settings) {
+  const { valid } = validateTickers(spotTickers, coinId, settings);
+  const spotCandidates = valid.filter(
+    (ticker) =>
+      settings.targets.includes(ticker.target) &&
+      ticker.volume >= settings.minVolume &&
+      isExchangeAllowed(ticker, settings),
+  );
+  if (spotCandidates.length === 0) {
+    return null;
+  }
+
+  const spotTicker = spotCandidates.reduce((cheapest, ticker) =>
+    ticker.converted_last.usd < cheapest.converted_last.usd ? ticker : cheapest,
+  );
+  const symbol = spotTicker.base.toUpperCase();
+  const spotPrice = spotTicker.converted_last.usd;
+
+  let best = null;
+  for (const perp of perpetuals) {
+    if (
+      perp.index_id.toUpperCase() !== symbol ||
+      Number(perp.volume_24h) < DERIVATIVES_MIN_VOLUME_USD
+    ) {
+      continue;
+    }
+
+    const perpPrice = Number(perp.price);
+    const basisPercent = ((perpPrice - spotPrice) / spotPrice) * 100;
+    const fundingRate = Number(perp.funding_rate) || 0;
+    const fundingApr = fundingRate * FUNDING_INTERVALS_PER_YEAR;
+
+    if (fundingApr < settings.minFundingApr && basisPercent < settings.minBasis) {
+      continue;
+    }
+    if (!best || fundingApr > best.fundingApr) {
+      best = { perp, perpPrice, basisPercent, fundingRate, fundingApr };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    spotExchange: spotTicker.market.name,
+    spotExchangeId: spotTicker.market.identifier,
+    spotExchangeUrl: spotTicker.trade_url,
+    spotPair: `${spotTicker.base}/${spotTicker.target}`,
+    spotPrice,
+    perpMarket: best.perp.market,
+    perpSymbol: best.perp.symbol,
+    perpPrice: best.perpPrice,
+    basisPercent: best.basisPercent,
+    fundingRate: best.fundingRate,
+    fundingApr: best.fundingApr,
+    openInterest: Number(best.perp.open_interest) || null,
+  };
+}
+
+// Alert key for a carry trade; the annualized funding is what re-alerts compare
+function toAlertRoute(coinId, opportunity) {
+  return {
+    coinId: `derivatives:${coinId}:${opportunity.perpMarket}`,
+    opportunity: {
+      lowestExchangeId: opportunity.spotExchangeId,
+      highestExchangeId: opportunity.perpMarket,
+      potentialProfit: opportunity.fundingApr.toFixed(2),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_FUNDING_APR,
+  DEFAULT_MIN_BASIS,
+  isDerivativesCacheFresh,
+  setDerivatives,
+  getPerpetuals,
+  findCarryOpportunity,
+  toAlertRoute,
+};
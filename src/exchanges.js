@@ -0,0 +1,56 @@
+// Exchange filters: per-user allow and deny lists keyed by CoinGecko's
+// market.identifier, and a market type switch between centralized exchanges,
+// DEXes or both.
+const knownDexes = new Set(require("./data/dexes.json"));
+
+const MARKET_TYPES = {
+  all: "Both",
+  cex: "Centralized only",
+  dex: "DEX only",
+};
+
+// DEX tickers on CoinGecko quote tokens by contract address instead of symbol
+const CONTRACT_ADDRESS = /^0x[0-9a-f]{40}$/i;
+
+function isDexTicker(ticker) {
+  return (
+    knownDexes.has(ticker.market?.identifier) ||
+    CONTRACT_ADDRESS.test(ticker.base) ||
+    CONTRACT_ADDRESS.test(ticker.target)
+  );
+}
+
+// Whether a ticker's exchange passes the user's exchange lists and market type
+function isExchangeAllowed(ticker, settings) {
+  const exchangeId = ticker.market?.identifier;
+  const { exchangeAllowlist = [], exchangeDenylist = [], marketType = "all" } = settings;
+
+  if (exchangeDenylist.includes(exchangeId)) {
+    return false;
+  }
+  if (exchangeAllowlist.length > 0 && !exchangeAllowlist.includes(exchangeId)) {
+    return false;
+  }
+  if (marketType === "cex") {
+    return !isDexTicker(ticker);
+  }
+  if (marketType === "dex") {
+    return isDexTicker(ticker);
+  }
+  return true;
+}
+
+// Parse exchange IDs typed by a user: comma or space separated, lowercased
+function parseExchangeIds(text) {
+  return (text || "")
+    .split(/[\s,]+/)
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+module.exports = {
+  MARKET_TYPES,
+  isDexTicker,
+  isExchangeAllowed,
+  parseExchangeIds,
+};
@@ -0,0 +1,62 @@
+// Trading and withdrawal fees per exchange, used to turn a gross spread into
+// the profit that is left after actually trading it.
+// Defaults ship in data/fees.json keyed by CoinGecko's market.identifier;
+// users can override any exchange's taker fee or per-asset withdrawal fee.
+const defaultFees = require("./data/fees.json");
+
+// Load environment variables
+require("dotenv").config();
+
+// Trade size in USD used to turn fixed withdrawal fees into a percentage
+const REFERENCE_TRADE_SIZE = parseFloat(process.env.REFERENCE_TRADE_SIZE) || 1000;
+
+// Effective fees for an exchange, with the user's overrides applied
+function getExchangeFees(exchangeId, feeOverrides = {}) {
+  const base = defaultFees[exchangeId] || defaultFees.default;
+  const override = feeOverrides[exchangeId] || {};
+
+  return {
+    taker: override.taker ?? base.taker,
+    defaultWithdrawalUsd: base.defaultWithdrawalUsd ?? defaultFees.default.defaultWithdrawalUsd,
+    withdrawal: { ...base.withdrawal, ...override.withdrawal },
+  };
+}
+
+// Net result of buying `tradeSize` USD of an asset on one exchange, moving it
+// to the other and selling it there, paying the taker fee on both legs and
+// the buy exchange's withdrawal fee for the asset.
+function computeNetProfit({
+  asset,
+  buyExchangeId,
+  buyPrice,
+  sellExchangeId,
+  sellPrice,
+  tradeSize,
+  feeOverrides,
+}) {
+  const buyFees = getExchangeFees(buyExchangeId, feeOverrides);
+  const sellFees = getExchangeFees(sellExchangeId, feeOverrides);
+
+  const withdrawalUnits = buyFees.withdrawal[asset.toUpperCase()];
+  const withdrawalFeeUsd =
+    withdrawalUnits != null ? withdrawalUnits * buyPrice : buyFees.defaultWithdrawalUsd;
+
+  const unitsBought = (tradeSize * (1 - buyFees.taker)) / buyPrice;
+  const unitsArrived = unitsBought - withdrawalFeeUsd / buyPrice;
+  const proceeds = Math.max(0, unitsArrived) * sellPrice * (1 - sellFees.taker);
+  const netProfitUsd = proceeds - tradeSize;
+
+  return {
+    netProfitUsd,
+    netProfitPercent: (netProfitUsd / tradeSize) * 100,
+    buyTakerFee: buyFees.taker,
+    sellTakerFee: sellFees.taker,
+    withdrawalFeeUsd,
+  };
+}
+
+module.exports = {
+  REFERENCE_TRADE_SIZE,
+  getExchangeFees,
+  computeNetProfit,
+};
@@ -0,0 +1,280 @@
+// Opportunity history. Every spread detected for a user, sent or suppressed,
+// is one document in the "opportunities" collection for as long as it stays
+// open: the first sighting creates it, later scans update the latest and peak
+// numbers, and it is closed with its lifetime once the route disappears.
+
+const COLLECTION = "opportunities";
+
+// Default look-back for /history and /stats
+const DEFAULT_RANGE_DAYS = 7;
+// Episodes listed by /history
+const HISTORY_LIMIT = 10;
+// Rows in each /stats breakdown
+const STATS_LIMIT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create the opportunities collection with indexes for route lookups and date ranges
+async function checkAndCreateOpportunitiesCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({
+        telegramId: 1,
+        coinId: 1,
+        status: 1,
+      });
+      await db.collection(COLLECTION).createIndex({ telegramId: 1, firstSeenAt: -1 });
+      console.log(`Created '${COLLECTION}' collection with route and date indexes.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// Record one sighting of an opportunity, opening a new episode for the route
+// if none is open
+async function recordOpportunity(db, user, coinId, coinName, opportunity, { sent }, now = new Date()) {
+  const profit = Number(opportunity.potentialProfit);
+  const prices = {
+    buyPrice: opportunity.lowestPrice,
+    sellPrice: opportunity.highestPrice,
+    volumeUsd: opportunity.volumeUsd,
+    profit,
+  };
+
+  await db.collection(COLLECTION).updateOne(
+    {
+      telegramId: user.telegramId,
+      coinId,
+      buyExchange: opportunity.lowestExchangeId,
+      sellExchange: opportunity.highestExchangeId,
+      status: "open",
+    },
+    {
+      $setOnInsert: {
+        coinName,
+        buyPair: opportunity.buyPair,
+        sellPair: opportunity.sellPair,
+        firstSeenAt: now,
+        first: prices,
+      },
+      $set: { lastSeenAt: now, last: prices },
+      $max: { peakProfit: profit },
+      $inc: { sightings: 1, sentCount: sent ? 1 : 0, suppressedCount: sent ? 0 : 1 },
+    },
+    { upsert: true },
+  );
+}
+
+// Close a user's open episodes for a coin except the route still open (pass
+// null when the coin has no opportunity anymore), storing how long they lasted
+async function closeOpportunities(db, telegramId, coinId, openOpportunity, now = new Date()) {
+  const filter = { telegramId, coinId, status: "open" };
+  if (openOpportunity) {
+    filter.$nor = [
+      {
+        buyExchange: openOpportunity.lowestExchangeId,
+        sellExchange: openOpportunity.highestExchangeId,
+      },
+    ];
+  }
+
+  await db.collection(COLLECTION).updateMany(filter, [
+    {
+      $set: {
+        status: "closed",
+        closedAt: now,
+        durationMs: { $subtract: [now, "$firstSeenAt"] },
+      },
+    },
+  ]);
+}
+
+// Close open episodes last seen before `before`, for routes nobody checks
+// anymore, with the lifetime they had when they were last seen
+async function expireStaleOpportunities(db, before) {
+  await db.collection(COLLECTION).updateMany({ status: "open", lastSeenAt: { $lt: before } }, [
+    {
+      $set: {
+        status: "closed",
+        closedAt: "$lastSeenAt",
+        durationMs: { $subtract: ["$lastSeenAt", "$firstSeenAt"] },
+      },
+    },
+  ]);
+}
+
+// Parse a date range from command arguments: a relative span such as "24h"
+// or "30d", or one or two dates (YYYY-MM-DD, UTC). Other arguments are
+// returned untouched so commands can use them, e.g. as a coin ID.
+function parseDateRange(args, now = new Date()) {
+  const dates = [];
+  const rest = [];
+  let from = null;
+
+  for (const arg of args) {
+    const relative = arg.match(/^(\d+)([hd])$/i);
+    if (relative) {
+      const unitMs = relative[2].toLowerCase() === "h" ? 60 * 60 * 1000 : DAY_MS;
+      from = new Date(now - Number(relative[1]) * unitMs);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(arg) && !Number.isNaN(Date.parse(arg))) {
+      dates.push(new Date(`${arg}T00:00:00Z`));
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  let to = now;
+  if (dates.length > 0) {
+    from = dates[0];
+    // The end date is inclusive
+    to = dates[1] ? new Date(dates[1].getTime() + DAY_MS) : now;
+  }
+
+  return {
+    from: from || new Date(now - DEFAULT_RANGE_DAYS * DAY_MS),
+    to,
+    rest,
+  };
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+}
+
+function formatRange({ from, to }) {
+  return `${from.toISOString().slice(0, 16).replace("T", " ")} – ${to
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ")} UTC`;
+}
+
+// A user's most recent episodes, optionally for one coin
+async function getHistory(db, telegramId, { coinId, from, to }) {
+  return db
+    .collection(COLLECTION)
+    .find({
+      telegramId,
+      firstSeenAt: { $gte: from, $lt: to },
+      ...(coinId && { coinId }),
+    })
+    .sort({ firstSeenAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .toArray();
+}
+
+function formatHistory(episodes, range, coinId, now = new Date()) {
+  const header = `📜 <b>Opportunity history${coinId ? ` for ${coinId}` : ""}</b>\n${formatRange(range)}\n`;
+  if (episodes.length === 0) {
+    return `${header}\nNo opportunities recorded in this range.`;
+  }
+
+  const lines = episodes.map((episode) => {
+    const lifetime =
+      episode.status === "open"
+        ? `open for ${formatDuration(now - episode.firstSeenAt)}`
+        : `lasted ${formatDuration(episode.durationMs)}`;
+    return (
+      `• <b>${episode.coinName || episode.coinId}</b> ${episode.buyExchange} → ${episode.sellExchange}\n` +
+      `  ${episode.firstSeenAt.toISOString().slice(0, 16).replace("T", " ")}, ${lifetime}, ` +
+      `peak ${episode.peakProfit}%, sent ${episode.sentCount}×, suppressed ${episode.suppressedCount}×`
+    );
+  });
+  return `${header}\n${lines.join("\n")}`;
+}
+
+// Summaries of a user's episodes by coin, by exchange pair and by hour of day
+async function getStats(db, telegramId, { from, to }) {
+  const match = { $match: { telegramId, firstSeenAt: { $gte: from, $lt: to } } };
+  const summary = {
+    count: { $sum: 1 },
+    avgDurationMs: { $avg: "$durationMs" },
+    peakProfit: { $max: "$peakProfit" },
+  };
+  const collection = db.collection(COLLECTION);
+
+  const [totals, byCoin, byRoute, byHour] = await Promise.all([
+    collection.aggregate([match, { $group: { _id: null, ...summary } }]).toArray(),
+    collection
+      .aggregate([
+        match,
+        { $group: { _id: "$coinId", ...summary } },
+        { $sort: { count: -1 } },
+        { $limit: STATS_LIMIT },
+      ])
+      .toArray(),
+    collection
+      .aggregate([
+        match,
+        { $group: { _id: { buy: "$buyExchange", sell: "$sellExchange" }, ...summary } },
+        { $sort: { count: -1 } },
+        { $limit: STATS_LIMIT },
+      ])
+      .toArray(),
+    collection
+      .aggregate([
+        match,
+        { $group: { _id: { $hour: "$firstSeenAt" }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ])
+      .toArray(),
+  ]);
+
+  return { totals: totals[0] || null, byCoin, byRoute, byHour };
+}
+
+function formatSummaryRow(label, row) {
+  const duration = row.avgDurationMs ? `, avg ${formatDuration(row.avgDurationMs)}` : "";
+  return `• ${label}: ${row.count}${duration}, peak ${row.peakProfit}%`;
+}
+
+function formatStats(stats, range) {
+  const header = `📊 <b>Opportunity stats</b>\n${formatRange(range)}\n`;
+  if (!stats.totals) {
+    return `${header}\nNo opportunities recorded in this range.`;
+  }
+
+  // Opportunities by three-hour block of the day they were first seen
+  const blocks = Array(8).fill(0);
+  for (const { _id: hour, count } of stats.byHour) {
+    blocks[Math.floor(hour / 3)] += count;
+  }
+  const busiest = Math.max(...blocks);
+  const timeOfDay = blocks.map((count, block) => {
+    const start = String(block * 3).padStart(2, "0");
+    const end = String(block * 3 + 3).padStart(2, "0");
+    const bar = "▇".repeat(Math.round((count / busiest) * 10));
+    return `${start}–${end}h ${bar} ${count}`;
+  });
+
+  return (
+    `${header}\n` +
+    `${formatSummaryRow("Total", stats.totals)}\n\n` +
+    `<b>By coin</b>\n${stats.byCoin.map((row) => formatSummaryRow(row._id, row)).join("\n")}\n\n` +
+    `<b>By exchange pair</b>\n${stats.byRoute
+      .map((row) => formatSummaryRow(`${row._id.buy} → ${row._id.sell}`, row))
+      .join("\n")}\n\n` +
+    `<b>By time of day (UTC)</b>\n<code>${timeOfDay.join("\n")}</code>`
+  );
+}
+
+module.exports = {
+  checkAndCreateOpportunitiesCollection,
+  recordOpportunity,
+  closeOpportunities,
+  expireStaleOpportunities,
+  parseDateRange,
+  getHistory,
+  formatHistory,
+  getStats,
+  formatStats,
+};
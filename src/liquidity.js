@@ -0,0 +1,32 @@
+// Order book depth estimates from CoinGecko's ticker fields.
+// cost_to_move_up_usd is the USD needed to push a market's price up 2%
+// (the ask side), cost_to_move_down_usd the USD that pushes it down 2% (the
+// bid side). Depth is assumed to be spread evenly over that 2% range.
+
+const DEPTH_RANGE_PERCENT = 2;
+
+// Largest USD size that can be bought on the buy market and sold on the sell
+// market before either side's 2% depth is used up, or null when a market does
+// not report depth
+function getExecutableSize(buyTicker, sellTicker) {
+  const askDepth = buyTicker.cost_to_move_up_usd;
+  const bidDepth = sellTicker.cost_to_move_down_usd;
+
+  if (!(askDepth > 0) || !(bidDepth > 0)) {
+    return null;
+  }
+  return Math.min(askDepth, bidDepth);
+}
+
+// Average fill price for a trade of `size` USD: with evenly spread depth the
+// price moves linearly, so the average fill is half of the final move away
+function getAverageFillPrice(price, size, depth, side) {
+  const impact = (DEPTH_RANGE_PERCENT / 100) * (size / depth) / 2;
+  return side === "buy" ? price * (1 + impact) : price * (1 - impact);
+}
+
+module.exports = {
+  DEPTH_RANGE_PERCENT,
+  getExecutableSize,
+  getAverageFillPrice,
+};
@@ -0,0 +1,112 @@
+// Temporary mutes set from the buttons under an alert. A coin mute skips the
+// coin entirely; a route mute skips one buy/sell exchange pair for every coin.
+// Each mute is a document in the "mutes" collection that MongoDB deletes once
+// it expires.
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "mutes";
+// How long "Mute this exchange route" lasts
+const ROUTE_MUTE_HOURS = parseFloat(process.env.ROUTE_MUTE_HOURS) || 7 * 24;
+
+// Create the mutes collection; the TTL index removes expired mutes
+async function checkAndCreateMutesCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await db.collection(COLLECTION).createIndex({ telegramId: 1 });
+      console.log(`Created '${COLLECTION}' collection with an expiry index.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// Mute a coin for a number of hours, extending an existing mute if needed
+async function muteCoin(db, telegramId, coinId, hours, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  await db
+    .collection(COLLECTION)
+    .updateOne(
+      { telegramId, type: "coin", coinId },
+      { $max: { expiresAt } },
+      { upsert: true },
+    );
+  return expiresAt;
+}
+
+// Mute a buy/sell exchange pair for ROUTE_MUTE_HOURS
+async function muteRoute(db, telegramId, buyExchange, sellExchange, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + ROUTE_MUTE_HOURS * 60 * 60 * 1000);
+  await db
+    .collection(COLLECTION)
+    .updateOne(
+      { telegramId, type: "route", buyExchange, sellExchange },
+      { $max: { expiresAt } },
+      { upsert: true },
+    );
+  return expiresAt;
+}
+
+// A user's mutes that have not expired yet. The TTL monitor only runs about
+// once a minute, so expiry is checked here as well.
+async function getActiveMutes(db, telegramId, now = new Date()) {
+  return db
+    .collection(COLLECTION)
+    .find({ telegramId, expiresAt: { $gt: now } })
+    .sort({ expiresAt: 1 })
+    .toArray();
+}
+
+// Put the active mutes of several users on their documents as `mutedCoinIds`
+// and `mutedRoutes`, which the scan and getUserSettings read
+async function attachMutes(db, users, now = new Date()) {
+  const mutes = await db
+    .collection(COLLECTION)
+    .find({ telegramId: { $in: users.map((user) => user.telegramId) }, expiresAt: { $gt: now } })
+    .toArray();
+
+  for (const user of users) {
+    const userMutes = mutes.filter((mute) => mute.telegramId === user.telegramId);
+    user.mutedCoinIds = userMutes.filter((mute) => mute.type === "coin").map((mute) => mute.coinId);
+    user.mutedRoutes = userMutes
+      .filter((mute) => mute.type === "route")
+      .map(({ buyExchange, sellExchange }) => ({ buyExchange, sellExchange }));
+  }
+}
+
+// Remove all of a user's mutes; resolves to how many there were
+async function clearMutes(db, telegramId) {
+  const result = await db.collection(COLLECTION).deleteMany({ telegramId });
+  return result.deletedCount;
+}
+
+function formatMutes(mutes, now = new Date()) {
+  if (mutes.length === 0) {
+    return "🔔 You have no muted coins or routes.";
+  }
+  const lines = mutes.map((mute) => {
+    const minutes = Math.max(1, Math.round((mute.expiresAt - now) / 60000));
+    const remaining = minutes < 60 ? `${minutes}m` : `${Math.round(minutes / 60)}h`;
+    return mute.type === "coin"
+      ? `• Coin ${mute.coinId}, ${remaining} left`
+      : `• Route ${mute.buyExchange} → ${mute.sellExchange}, ${remaining} left`;
+  });
+  return `🔕 <b>Muted</b>\n${lines.join("\n")}\n\nSend /unmute to remove all mutes.`;
+}
+
+module.exports = {
+  ROUTE_MUTE_HOURS,
+  checkAndCreateMutesCollection,
+  muteCoin,
+  muteRoute,
+  getActiveMutes,
+  attachMutes,
+  clearMutes,
+  formatMutes,
+};
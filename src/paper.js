@@ -0,0 +1,395 @@
+// Paper trading: users "execute" an alert with virtual balances to see
+// whether following the bot would have made money.
+//
+// Every spot alert stores its prices as a signal in "paperSignals"; the alert's
+// button refers to it by ID. Once the user's execution delay has passed,
+// executing buys on the buy exchange and sells the same coin from the
+// inventory held on the sell exchange, at the alert prices (or, for users who
+// opt in, at the prices found after the delay), after taker fees and the
+// withdrawal fee of moving the coin back, exactly as computeNetProfit prices
+// the alert. Each exchange starts with PAPER_STARTING_BALANCE USD and, the
+// first time a coin is traded there, the same value in that coin, so
+// repeated trades leave coins and dollars piled up on some exchanges and
+// missing on others; the portfolio shows the transfers needed to rebalance.
+const { ObjectId } = require("mongodb");
+const { computeNetProfit } = require("./fees");
+
+// Load environment variables
+require("dotenv").config();
+
+const PAPER_STARTING_BALANCE = parseFloat(process.env.PAPER_STARTING_BALANCE) || 10000;
+const PAPER_EXECUTION_DELAY_SECONDS =
+  parseFloat(process.env.PAPER_EXECUTION_DELAY_SECONDS) || 2;
+
+// Alert prices stay executable for a week, then the signal expires
+const SIGNAL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Balances smaller than this are treated as empty
+const DUST = 1e-9;
+
+// Create the paper trading collections and their indexes
+async function checkAndCreatePaperCollections(db) {
+  try {
+    const existing = (await db.listCollections().toArray()).map((collection) => collection.name);
+
+    if (!existing.includes("paperSignals")) {
+      await db.createCollection("paperSignals");
+      await db
+        .collection("paperSignals")
+        .createIndex({ createdAt: 1 }, { expireAfterSeconds: SIGNAL_TTL_SECONDS });
+    }
+    if (!existing.includes("paperAccounts")) {
+      await db.createCollection("paperAccounts");
+      await db.collection("paperAccounts").createIndex({ telegramId: 1 }, { unique: true });
+    }
+    if (!existing.includes("paperTrades")) {
+      await db.createCollection("paperTrades");
+      await db.collection("paperTrades").createIndex({ telegramId: 1, executedAt: -1 });
+    }
+  } catch (error) {
+    console.error("Error checking/creating paper trading collections:", error.message);
+  }
+}
+
+// Seconds between pressing "Execute (paper)" and the fill
+function getPaperDelaySeconds(user) {
+  return user?.paperDelaySeconds ?? PAPER_EXECUTION_DELAY_SECONDS;
+}
+
+// Store an alert's prices so it can be executed later; returns the signal ID
+async function createPaperSignal(db, user, coinId, opportunity, now = new Date()) {
+  const result = await db.collection("paperSignals").insertOne({
+    telegramId: user.telegramId,
+    coinId,
+    asset: opportunity.buyPair.split("/")[0].toUpperCase(),
+    buyExchangeId: opportunity.lowestExchangeId,
+    buyExchange: opportunity.lowestExchange,
+    buyPair: opportunity.buyPair,
+    buyPrice: opportunity.lowestPrice,
+    sellExchangeId: opportunity.highestExchangeId,
+    sellExchange: opportunity.highestExchange,
+    sellPair: opportunity.sellPair,
+    sellPrice: opportunity.highestPrice,
+    createdAt: now,
+    executedAt: null,
+  });
+  return result.insertedId.toString();
+}
+
+// A signal that can still be executed, or null if it is unknown, expired,
+// someone else's or was already executed
+async function findPaperSignal(db, telegramId, signalId) {
+  if (!ObjectId.isValid(signalId)) {
+    return null;
+  }
+  return db
+    .collection("paperSignals")
+    .findOne({ _id: new ObjectId(signalId), telegramId, executedAt: null });
+}
+
+// Mark a signal as executed and return it, or null if it is unknown, expired,
+// someone else's or was already executed
+async function claimPaperSignal(db, telegramId, signalId, now = new Date()) {
+  if (!ObjectId.isValid(signalId)) {
+    return null;
+  }
+  return db
+    .collection("paperSignals")
+    .findOneAndUpdate(
+      { _id: new ObjectId(signalId), telegramId, executedAt: null },
+      { $set: { executedAt: now } },
+    );
+}
+
+function emptyBalances() {
+  return { USD: PAPER_STARTING_BALANCE };
+}
+
+async function getPaperAccount(db, telegramId) {
+  const account = await db.collection("paperAccounts").findOne({ telegramId });
+  return account || { telegramId, balances: {}, starting: {}, realizedPnl: 0, tradeCount: 0 };
+}
+
+// An exchange's balances and starting balances, with PAPER_STARTING_BALANCE
+// worth of the asset at `price` added the first time it is traded there
+function getSeededBalances(account, exchangeId, asset, price) {
+  const balances = account.balances[exchangeId] || emptyBalances();
+  const starting = account.starting?.[exchangeId] || emptyBalances();
+  if (starting[asset] == null) {
+    starting[asset] = PAPER_STARTING_BALANCE / price;
+    balances[asset] = (balances[asset] || 0) + starting[asset];
+  }
+  return { balances, starting };
+}
+
+// Fill both legs of a signal at its prices; a re-priced signal keeps the
+// alert's prices as alertBuyPrice and alertSellPrice. Resolves to the trade, or to
+// { rejected } when the buy exchange has too few paper dollars or the sell
+// exchange too few coins. Trades the user's trade size with their fee overrides.
+async function executePaperTrade(db, telegramId, signal, { tradeSize, feeOverrides }, now = new Date()) {
+  const account = await getPaperAccount(db, telegramId);
+  const buy = getSeededBalances(account, signal.buyExchangeId, signal.asset, signal.buyPrice);
+  const sell = getSeededBalances(account, signal.sellExchangeId, signal.asset, signal.sellPrice);
+  const buyBalances = buy.balances;
+  const sellBalances = sell.balances;
+
+  if (buyBalances.USD < tradeSize) {
+    return {
+      rejected: `Not enough paper USD on ${signal.buyExchange}: $${buyBalances.USD.toFixed(2)} available, $${tradeSize} needed. Rebalance with /portfolio reset.`,
+    };
+  }
+
+  const net = computeNetProfit({
+    asset: signal.asset,
+    buyExchangeId: signal.buyExchangeId,
+    buyPrice: signal.buyPrice,
+    sellExchangeId: signal.sellExchangeId,
+    sellPrice: signal.sellPrice,
+    tradeSize,
+    feeOverrides,
+  });
+  // The sell leg sells what is left after paying for the coin's transfer back
+  const unitsBought = (tradeSize * (1 - net.buyTakerFee)) / signal.buyPrice;
+  const unitsSold = unitsBought - net.withdrawalFeeUsd / signal.buyPrice;
+  const proceeds = tradeSize + net.netProfitUsd;
+
+  if (sellBalances[signal.asset] < unitsSold - DUST) {
+    return {
+      rejected: `Not enough paper ${signal.asset} on ${signal.sellExchange}: ${formatUnits(Math.max(0, sellBalances[signal.asset]))} available, ${formatUnits(unitsSold)} needed. Rebalance with /portfolio reset.`,
+    };
+  }
+
+  buyBalances.USD -= tradeSize;
+  buyBalances[signal.asset] = (buyBalances[signal.asset] || 0) + unitsBought;
+  sellBalances.USD += proceeds;
+  sellBalances[signal.asset] = (sellBalances[signal.asset] || 0) - unitsSold;
+
+  await db.collection("paperAccounts").updateOne(
+    { telegramId },
+    {
+      $set: {
+        [`balances.${signal.buyExchangeId}`]: buyBalances,
+        [`balances.${signal.sellExchangeId}`]: sellBalances,
+        [`starting.${signal.buyExchangeId}`]: buy.starting,
+        [`starting.${signal.sellExchangeId}`]: sell.starting,
+      },
+      $inc: { realizedPnl: net.netProfitUsd, tradeCount: 1 },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true },
+  );
+
+  const trade = {
+    telegramId,
+    signalId: signal._id,
+    coinId: signal.coinId,
+    asset: signal.asset,
+    buyExchange: signal.buyExchange,
+    buyExchangeId: signal.buyExchangeId,
+    buyPair: signal.buyPair,
+    buyPrice: signal.buyPrice,
+    alertBuyPrice: signal.alertBuyPrice ?? signal.buyPrice,
+    sellExchange: signal.sellExchange,
+    sellExchangeId: signal.sellExchangeId,
+    sellPair: signal.sellPair,
+    sellPrice: signal.sellPrice,
+    alertSellPrice: signal.alertSellPrice ?? signal.sellPrice,
+    // Whether the fill was re-priced at the market after the delay
+    repriced: signal.alertBuyPrice != null,
+    delaySeconds: signal.delaySeconds ?? null,
+    tradeSize,
+    unitsBought,
+    unitsSold,
+    proceeds,
+    feesUsd:
+      tradeSize * net.buyTakerFee + unitsSold * signal.sellPrice * net.sellTakerFee + net.withdrawalFeeUsd,
+    realizedPnl: net.netProfitUsd,
+    signalAt: signal.createdAt,
+    executedAt: now,
+  };
+  await db.collection("paperTrades").insertOne(trade);
+  return trade;
+}
+
+async function resetPaperAccount(db, telegramId) {
+  await db.collection("paperAccounts").deleteOne({ telegramId });
+  await db.collection("paperTrades").deleteMany({ telegramId });
+}
+
+function formatUsd(value) {
+  const sign = value < 0 ? "-" : "";
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatUnits(value) {
+  return Number(value.toPrecision(6)).toString();
+}
+
+// " (alert $x)" when the fill price moved away from the alert's
+function formatAlertPrice(fillPrice, alertPrice) {
+  return alertPrice != null && alertPrice !== fillPrice ? ` (alert $${alertPrice})` : "";
+}
+
+function formatPaperFill(trade) {
+  return (
+    `📝 <b>Paper trade filled</b>\n` +
+    `Bought ${formatUnits(trade.unitsBought)} ${trade.asset} on ${trade.buyExchange} @ $${trade.buyPrice}` +
+    `${formatAlertPrice(trade.buyPrice, trade.alertBuyPrice)}\n` +
+    `Sold ${formatUnits(trade.unitsSold)} ${trade.asset} on ${trade.sellExchange} @ $${trade.sellPrice}` +
+    `${formatAlertPrice(trade.sellPrice, trade.alertSellPrice)}\n` +
+    `Fees: ${formatUsd(trade.feesUsd)}\n` +
+    `Realized P&amp;L: <b>${formatUsd(trade.realizedPnl)}</b>\n` +
+    (trade.repriced
+      ? `<i>Re-priced at the market after your ${trade.delaySeconds}s fill delay.</i>`
+      : `<i>Filled at the alert prices after your ${trade.delaySeconds}s fill delay.</i>`)
+  );
+}
+
+// What an exchange started with in an asset: PAPER_STARTING_BALANCE dollars,
+// the coins it was seeded with, and no coins it was never seeded with
+function getStartingAmount(starting, exchangeId, asset) {
+  return starting?.[exchangeId]?.[asset] ?? (asset === "USD" ? PAPER_STARTING_BALANCE : 0);
+}
+
+// Transfers that bring every exchange back to its starting balances.
+// Surpluses are matched greedily with deficits, per asset.
+function planRebalancing(balances, starting) {
+  const transfers = [];
+  const assets = new Set(Object.values(balances).flatMap((held) => Object.keys(held)));
+
+  for (const asset of assets) {
+    const offsets = Object.entries(balances).map(([exchangeId, held]) => ({
+      exchangeId,
+      amount: (held[asset] || 0) - getStartingAmount(starting, exchangeId, asset),
+    }));
+    const surpluses = offsets.filter((entry) => entry.amount > DUST);
+    const deficits = offsets.filter((entry) => entry.amount < -DUST);
+
+    for (const deficit of deficits) {
+      for (const surplus of surpluses) {
+        const amount = Math.min(surplus.amount, -deficit.amount);
+        if (amount <= DUST) {
+          continue;
+        }
+        transfers.push({ asset, from: surplus.exchangeId, to: deficit.exchangeId, amount });
+        surplus.amount -= amount;
+        deficit.amount += amount;
+      }
+    }
+  }
+  return transfers;
+}
+
+function formatPortfolio(account) {
+  const exchanges = Object.entries(account.balances);
+  if (exchanges.length === 0) {
+    return (
+      `💼 <b>Paper portfolio</b>\n\nNo paper trades yet. Press "Execute (paper)" on an alert to start. ` +
+      `Every exchange starts with ${formatUsd(PAPER_STARTING_BALANCE)} and the same value in each coin traded there.`
+    );
+  }
+
+  const lines = exchanges.map(([exchangeId, held]) => {
+    const coins = Object.entries(held)
+      .filter(([asset, amount]) => asset !== "USD" && Math.abs(amount) > DUST)
+      .map(([asset, amount]) => {
+        const coinChange = amount - getStartingAmount(account.starting, exchangeId, asset);
+        return `${formatUnits(amount)} ${asset} (${coinChange >= 0 ? "+" : ""}${formatUnits(coinChange)})`;
+      });
+    const change = held.USD - PAPER_STARTING_BALANCE;
+    return (
+      `• <b>${exchangeId}</b>: ${formatUsd(held.USD)} (${change >= 0 ? "+" : ""}${formatUsd(change)})` +
+      (coins.length > 0 ? `, ${coins.join(", ")}` : "")
+    );
+  });
+
+  const transfers = planRebalancing(account.balances, account.starting).map(
+    ({ asset, from, to, amount }) =>
+      `• Move ${asset === "USD" ? formatUsd(amount) : `${formatUnits(amount)} ${asset}`} from ${from} to ${to}`,
+  );
+
+  return (
+    `💼 <b>Paper portfolio</b>\n\n${lines.join("\n")}\n\n` +
+    `<b>Rebalancing needed</b>\n${transfers.length > 0 ? transfers.join("\n") : "None"}\n\n` +
+    `Realized P&amp;L: <b>${formatUsd(account.realizedPnl)}</b> over ${account.tradeCount} trades`
+  );
+}
+
+// Realized P&L summary from the user's trade log
+async function getPnl(db, telegramId) {
+  const trades = db.collection("paperTrades");
+  const [totals, byCoin, recent] = await Promise.all([
+    trades
+      .aggregate([
+        { $match: { telegramId } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            realizedPnl: { $sum: "$realizedPnl" },
+            feesUsd: { $sum: "$feesUsd" },
+            volumeUsd: { $sum: "$tradeSize" },
+            wins: { $sum: { $cond: [{ $gt: ["$realizedPnl", 0] }, 1, 0] } },
+            best: { $max: "$realizedPnl" },
+            worst: { $min: "$realizedPnl" },
+          },
+        },
+      ])
+      .toArray(),
+    trades
+      .aggregate([
+        { $match: { telegramId } },
+        { $group: { _id: "$asset", count: { $sum: 1 }, realizedPnl: { $sum: "$realizedPnl" } } },
+        { $sort: { realizedPnl: -1 } },
+        { $limit: 5 },
+      ])
+      .toArray(),
+    trades.find({ telegramId }).sort({ executedAt: -1 }).limit(5).toArray(),
+  ]);
+
+  return { totals: totals[0] || null, byCoin, recent };
+}
+
+function formatPnl({ totals, byCoin, recent }) {
+  if (!totals) {
+    return `📈 <b>Paper P&amp;L</b>\n\nNo paper trades yet.`;
+  }
+
+  const coins = byCoin.map(
+    (row) => `• ${row._id}: ${formatUsd(row.realizedPnl)} over ${row.count} trades`,
+  );
+  const trades = recent.map(
+    (trade) =>
+      `• ${trade.executedAt.toISOString().slice(0, 16).replace("T", " ")} ${trade.asset} ` +
+      `${trade.buyExchange} → ${trade.sellExchange}: ${formatUsd(trade.realizedPnl)}`,
+  );
+
+  return (
+    `📈 <b>Paper P&amp;L</b>\n\n` +
+    `Realized: <b>${formatUsd(totals.realizedPnl)}</b> over ${totals.count} trades ` +
+    `(${Math.round((totals.wins / totals.count) * 100)}% profitable)\n` +
+    `Traded: ${formatUsd(totals.volumeUsd)}, fees paid: ${formatUsd(totals.feesUsd)}\n` +
+    `Best: ${formatUsd(totals.best)}, worst: ${formatUsd(totals.worst)}\n\n` +
+    `<b>By coin</b>\n${coins.join("\n")}\n\n` +
+    `<b>Recent trades</b>\n${trades.join("\n")}`
+  );
+}
+
+module.exports = {
+  PAPER_STARTING_BALANCE,
+  checkAndCreatePaperCollections,
+  getPaperDelaySeconds,
+  createPaperSignal,
+  findPaperSignal,
+  claimPaperSignal,
+  getPaperAccount,
+  executePaperTrade,
+  resetPaperAccount,
+  formatPaperFill,
+  formatPortfolio,
+  getPnl,
+  formatPnl,
+};
@@ -0,0 +1,112 @@
+// Plan tiers that bound what each user may scan: how many coins and how
+// often. Operators define the tiers as documents in the "plans" collection
+// and assign one to a user by setting `plan` on the user document; users
+// without a known plan get DEFAULT_PLAN.
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "plans";
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || "free";
+
+// Tiers inserted when the collection is first created
+const SEED_PLANS = [
+  { name: "free", maxCoins: 10, minScanIntervalSeconds: 300, maxScanIntervalSeconds: 3600 },
+  { name: "pro", maxCoins: 200, minScanIntervalSeconds: 30, maxScanIntervalSeconds: 3600 },
+];
+
+// Scan intervals offered as buttons, filtered to the user's plan
+const SCAN_INTERVAL_CHOICES = [10, 30, 60, 300, 900, 1800, 3600];
+
+// Create the plans collection and seed the default tiers
+async function checkAndCreatePlansCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ name: 1 }, { unique: true });
+      await db.collection(COLLECTION).insertMany(SEED_PLANS.map((plan) => ({ ...plan })));
+      console.log(
+        `Created '${COLLECTION}' collection with plans: ${SEED_PLANS.map((plan) => plan.name).join(", ")}.`,
+      );
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// Plan name -> plan, as currently defined by the operator
+async function loadPlans(db) {
+  const plans = await db.collection(COLLECTION).find().toArray();
+  return new Map(plans.map((plan) => [plan.name, plan]));
+}
+
+// The plan a user is on, with missing limits filled in. Falls back to
+// DEFAULT_PLAN, and to the seeded free tier if that is not defined either.
+function getUserPlan(plans, user) {
+  const plan =
+    plans.get(user?.plan) ||
+    plans.get(DEFAULT_PLAN) ||
+    SEED_PLANS.find((seed) => seed.name === "free");
+  const minScanIntervalSeconds = plan.minScanIntervalSeconds || SCAN_INTERVAL_CHOICES[0];
+
+  return {
+    name: plan.name,
+    maxCoins: plan.maxCoins ?? Infinity,
+    minScanIntervalSeconds,
+    maxScanIntervalSeconds: Math.max(
+      minScanIntervalSeconds,
+      plan.maxScanIntervalSeconds || SCAN_INTERVAL_CHOICES[SCAN_INTERVAL_CHOICES.length - 1],
+    ),
+  };
+}
+
+// The user's chosen scan interval in seconds, kept within their plan; the
+// plan's fastest interval when none was chosen
+function getScanIntervalSeconds(user, plan) {
+  const chosen = user?.scanIntervalSeconds || plan.minScanIntervalSeconds;
+  return Math.min(plan.maxScanIntervalSeconds, Math.max(plan.minScanIntervalSeconds, chosen));
+}
+
+// The interval buttons a plan allows
+function getScanIntervalChoices(plan) {
+  return SCAN_INTERVAL_CHOICES.filter(
+    (seconds) => seconds >= plan.minScanIntervalSeconds && seconds <= plan.maxScanIntervalSeconds,
+  );
+}
+
+// Whether a user's scan is due, given when they were last scanned
+function isScanDue(user, plan, lastScanAt, now = Date.now()) {
+  return !lastScanAt || now - lastScanAt >= getScanIntervalSeconds(user, plan) * 1000;
+}
+
+// How many more coins fit in a plan next to the ones already tracked
+function getCoinRoom(plan, trackedCount) {
+  return Math.max(0, plan.maxCoins - trackedCount);
+}
+
+function formatInterval(seconds) {
+  if (seconds % 3600 === 0) {
+    return `${seconds / 3600}h`;
+  }
+  return seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
+
+function formatPlanLimits(plan) {
+  const coins = plan.maxCoins === Infinity ? "unlimited coins" : `${plan.maxCoins} coins`;
+  return `${coins}, scans every ${formatInterval(plan.minScanIntervalSeconds)} at the fastest`;
+}
+
+module.exports = {
+  checkAndCreatePlansCollection,
+  loadPlans,
+  getUserPlan,
+  getScanIntervalSeconds,
+  getScanIntervalChoices,
+  isScanDue,
+  getCoinRoom,
+  formatInterval,
+  formatPlanLimits,
+};
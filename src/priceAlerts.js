@@ -0,0 +1,397 @@
+// Price alerts: per-user rules on one coin's price or volume, checked against
+// the tickers the scan cycle already fetched. A rule fires when its condition
+// becomes true; one-shot rules are then removed, recurring rules re-arm once
+// the condition is false again so a move is reported once, not every cycle.
+//
+// Rule types:
+//   above / below - the coin's price crosses an absolute USD price
+//   change        - the price moved by a percentage within a window
+//   volume        - the 24h volume grew by a multiple within a window
+const { ObjectId } = require("mongodb");
+const { validateTickers, median } = require("./tickerValidation");
+const { getUserSettings } = require("./settings");
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "priceAlerts";
+const MAX_PRICE_ALERTS = parseInt(process.env.MAX_PRICE_ALERTS, 10) || 20;
+// Longest window a change or volume rule can look back over
+const MAX_WINDOW_HOURS = 24;
+// Price history keeps at most one sample per coin per minute
+const SAMPLE_INTERVAL_MS = 60 * 1000;
+
+const RULE_TYPES = ["above", "below", "change", "volume"];
+
+// Coin ID -> [{ at, price, volumeUsd }], oldest first. Kept in memory, so
+// change and volume rules need one window of scanning after a restart.
+const priceHistory = new Map();
+
+// Create the price alerts collection with an index on the owner
+async function checkAndCreatePriceAlertsCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ telegramId: 1, createdAt: 1 });
+      await db.collection(COLLECTION).createIndex({ coinId: 1 });
+      console.log(`Created '${COLLECTION}' collection with owner and coin indexes.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// Parse a window such as "15m", "4h" or "1d" into minutes
+function parseWindow(text) {
+  const match = (text || "").match(/^(\d+)([mhd])$/i);
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[1]) * { m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  return minutes > 0 && minutes <= MAX_WINDOW_HOURS * 60 ? minutes : null;
+}
+
+function formatWindow(minutes) {
+  if (minutes % (24 * 60) === 0) {
+    return `${minutes / (24 * 60)}d`;
+  }
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+// Parse the rule part of "/alert add <coin> ...", e.g. ["above", "70000"],
+// ["change", "-5", "1h", "recurring"] or ["volume", "3x", "4h"].
+// Returns { rule } or { error }.
+function parseRule(args) {
+  const [type, valueText, ...rest] = args.map((arg) => arg.toLowerCase());
+  const recurring = rest.includes("recurring");
+  const options = rest.filter((arg) => arg !== "recurring" && arg !== "once");
+
+  if (!RULE_TYPES.includes(type)) {
+    return { error: `The rule type must be one of ${RULE_TYPES.join(", ")}.` };
+  }
+
+  const value = parseFloat((valueText || "").replace(/^\$|x$|,/g, ""));
+  if (type === "above" || type === "below") {
+    if (!(value > 0)) {
+      return { error: "Please give a price greater than 0, e.g. /alert add bitcoin above 70000" };
+    }
+    return { rule: { type, value, recurring } };
+  }
+
+  const windowMinutes = parseWindow(options[0]);
+  if (!windowMinutes) {
+    return { error: `Please give a window from 1m to ${MAX_WINDOW_HOURS}h, e.g. 15m or 4h.` };
+  }
+  if (type === "change" && (isNaN(value) || value === 0)) {
+    return {
+      error: "Please give a percentage, e.g. 5 for a move either way, +5 for up only or -5 for down only.",
+    };
+  }
+  if (type === "volume" && !(value > 1)) {
+    return { error: "Please give a multiple greater than 1, e.g. 3x." };
+  }
+  return {
+    rule: {
+      type,
+      value,
+      // An unsigned percentage fires on a move in either direction
+      direction: type === "change" && !/^[+-]/.test(valueText) ? "either" : null,
+      windowMinutes,
+      recurring,
+    },
+  };
+}
+
+function formatRule(rule) {
+  const mode = rule.recurring ? "recurring" : "once";
+  if (rule.type === "above" || rule.type === "below") {
+    return `${rule.coinName || rule.coinId} ${rule.type} $${rule.value} (${mode})`;
+  }
+  if (rule.type === "change") {
+    const change = rule.direction === "either" ? `±${Math.abs(rule.value)}` : `${rule.value > 0 ? "+" : ""}${rule.value}`;
+    return `${rule.coinName || rule.coinId} moves ${change}% within ${formatWindow(rule.windowMinutes)} (${mode})`;
+  }
+  return `${rule.coinName || rule.coinId} 24h volume ×${rule.value} within ${formatWindow(rule.windowMinutes)} (${mode})`;
+}
+
+// Store a new rule; resolves to { rule } or { error } when the user is at the
+// limit. Coins with rules are scanned too, so a rule on a new coin must fit in
+// `maxCoins` together with the `trackedCoinIds` and the other rules' coins.
+async function addPriceAlert(
+  db,
+  telegramId,
+  coinId,
+  coinName,
+  rule,
+  { maxCoins = Infinity, trackedCoinIds = [] } = {},
+  now = new Date(),
+) {
+  const count = await db.collection(COLLECTION).countDocuments({ telegramId });
+  if (count >= MAX_PRICE_ALERTS) {
+    return { error: `You can have up to ${MAX_PRICE_ALERTS} price alerts. Remove one first.` };
+  }
+
+  const alertCoinIds = await db.collection(COLLECTION).distinct("coinId", { telegramId });
+  const scannedCoinIds = new Set([...trackedCoinIds, ...alertCoinIds]);
+  if (!scannedCoinIds.has(coinId) && scannedCoinIds.size >= maxCoins) {
+    return {
+      error:
+        `Your plan scans up to ${maxCoins} coins, counting tracked coins and price alert coins, and all ${scannedCoinIds.size} are in use. ` +
+        "Add alerts on coins you already scan, or remove some coins first.",
+    };
+  }
+
+  const document = { telegramId, coinId, coinName, ...rule, armed: true, createdAt: now };
+  await db.collection(COLLECTION).insertOne(document);
+  return { rule: document };
+}
+
+async function listPriceAlerts(db, telegramId) {
+  return db.collection(COLLECTION).find({ telegramId }).sort({ createdAt: 1 }).toArray();
+}
+
+function toObjectId(alertId) {
+  return ObjectId.isValid(alertId) ? new ObjectId(alertId) : null;
+}
+
+// Remove one of a user's rules; resolves to whether it existed
+async function removePriceAlert(db, telegramId, alertId) {
+  const _id = toObjectId(alertId);
+  if (!_id) {
+    return false;
+  }
+  const result = await db.collection(COLLECTION).deleteOne({ _id, telegramId });
+  return result.deletedCount > 0;
+}
+
+// Switch a rule between one-shot and recurring
+async function togglePriceAlertMode(db, telegramId, alertId) {
+  const _id = toObjectId(alertId);
+  if (!_id) {
+    return;
+  }
+  await db
+    .collection(COLLECTION)
+    .updateOne({ _id, telegramId }, [{ $set: { recurring: { $not: ["$recurring"] }, armed: true } }]);
+}
+
+// Put the coin IDs of each user's rules on their documents as
+// `priceAlertCoinIds`, so the scan schedules them with the user's coins
+async function attachPriceAlertCoinIds(db, users) {
+  const rules = await db
+    .collection(COLLECTION)
+    .find(
+      { telegramId: { $in: users.map((user) => user.telegramId) } },
+      { projection: { telegramId: 1, coinId: 1 } },
+    )
+    .toArray();
+
+  for (const user of users) {
+    user.priceAlertCoinIds = [
+      ...new Set(rules.filter((rule) => rule.telegramId === user.telegramId).map((rule) => rule.coinId)),
+    ];
+  }
+}
+
+// Reference price and volume of a coin: the median price and the total 24h
+// volume of the tickers that pass validation with the default settings
+function getMarketSample(coinId, coinData) {
+  const { valid } = validateTickers(coinData.tickers, coinId, getUserSettings(null));
+  if (valid.length === 0) {
+    return null;
+  }
+  return {
+    price: median(valid.map((ticker) => ticker.converted_last.usd)),
+    volumeUsd: valid.reduce((total, ticker) => total + (ticker.converted_volume?.usd || 0), 0),
+  };
+}
+
+// Add the cycle's prices of the coins with rules to the history, at most one
+// sample a minute per coin, and forget coins nobody has rules for anymore
+function recordPriceHistory(snapshot, coinIds, now = Date.now()) {
+  const oldest = now - MAX_WINDOW_HOURS * 60 * 60 * 1000 - SAMPLE_INTERVAL_MS;
+
+  for (const coinId of priceHistory.keys()) {
+    if (!coinIds.includes(coinId)) {
+      priceHistory.delete(coinId);
+    }
+  }
+
+  for (const coinId of coinIds) {
+    const coinData = snapshot.get(coinId);
+    const sample = coinData && getMarketSample(coinId, coinData);
+    if (!sample) {
+      continue;
+    }
+    const history = priceHistory.get(coinId) || [];
+    const last = history[history.length - 1];
+    if (!last || now - last.at >= SAMPLE_INTERVAL_MS) {
+      history.push({ at: now, ...sample });
+    }
+    while (history.length > 0 && history[0].at < oldest) {
+      history.shift();
+    }
+    priceHistory.set(coinId, history);
+  }
+}
+
+// The latest sample taken at or before `at`, or null if history is shorter
+function getSampleAt(coinId, at) {
+  const history = priceHistory.get(coinId) || [];
+  let found = null;
+  for (const sample of history) {
+    if (sample.at > at) {
+      break;
+    }
+    found = sample;
+  }
+  return found;
+}
+
+// Whether a rule's condition holds now, with the numbers behind it; null when
+// there is not enough history yet
+function checkRule(rule, current, now) {
+  if (rule.type === "above" || rule.type === "below") {
+    const met = rule.type === "above" ? current.price >= rule.value : current.price <= rule.value;
+    return { met, current };
+  }
+
+  const past = getSampleAt(rule.coinId, now - rule.windowMinutes * 60 * 1000);
+  if (!past) {
+    return null;
+  }
+  if (rule.type === "change") {
+    const changePercent = ((current.price - past.price) / past.price) * 100;
+    let met;
+    if (rule.direction === "either") {
+      met = Math.abs(changePercent) >= Math.abs(rule.value);
+    } else {
+      met = rule.value > 0 ? changePercent >= rule.value : changePercent <= rule.value;
+    }
+    return { met, current, past, changePercent };
+  }
+  const multiple = past.volumeUsd > 0 ? current.volumeUsd / past.volumeUsd : 0;
+  return { met: multiple >= rule.value, current, past, multiple };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function formatPrice(price) {
+  return `$${Number(price.toPrecision(6)).toLocaleString()}`;
+}
+
+// HTML notification for a rule that fired
+function formatTrigger(rule, result) {
+  const coin = `<b>${escapeHtml(rule.coinName || rule.coinId)}</b>`;
+  const footer = rule.recurring
+    ? "🔁 Recurring: it fires again after the condition clears."
+    : "This one-shot alert has been removed.";
+  let detail;
+
+  if (rule.type === "above" || rule.type === "below") {
+    detail = `${coin} is ${rule.type} ${formatPrice(rule.value)}: now ${formatPrice(result.current.price)}.`;
+  } else if (rule.type === "change") {
+    detail =
+      `${coin} moved ${result.changePercent >= 0 ? "+" : ""}${result.changePercent.toFixed(2)}% ` +
+      `in ${formatWindow(rule.windowMinutes)}: ${formatPrice(result.past.price)} → ${formatPrice(result.current.price)}.`;
+  } else {
+    detail =
+      `${coin} 24h volume is up ×${result.multiple.toFixed(2)} in ${formatWindow(rule.windowMinutes)}: ` +
+      `${formatPrice(result.past.volumeUsd)} → ${formatPrice(result.current.volumeUsd)}.`;
+  }
+  return `🔔 <b>Price alert</b>\n${detail}\n${footer}`;
+}
+
+// Check the rules of the given users against the cycle's snapshot. Resolves to
+// the rules that fired with their notification text; the caller sends them
+// and then calls markPriceAlertSent, so a rule whose notification could not
+// be sent stays armed and fires again on the next cycle.
+async function evaluatePriceAlerts(db, snapshot, telegramIds, now = Date.now()) {
+  const coinIds = [...snapshot.keys()];
+  const rules = await db
+    .collection(COLLECTION)
+    .find({ telegramId: { $in: telegramIds }, coinId: { $in: coinIds } })
+    .toArray();
+  const triggered = [];
+
+  for (const rule of rules) {
+    const current = getMarketSample(rule.coinId, snapshot.get(rule.coinId));
+    const result = current && checkRule(rule, current, now);
+    if (!result) {
+      continue;
+    }
+
+    if (result.met && rule.armed) {
+      triggered.push({ rule, message: formatTrigger(rule, result) });
+    } else if (!result.met && !rule.armed) {
+      await db.collection(COLLECTION).updateOne({ _id: rule._id }, { $set: { armed: true } });
+    }
+  }
+  return triggered;
+}
+
+// After a fired rule's notification was sent: remove a one-shot rule and
+// disarm a recurring one until its condition clears
+async function markPriceAlertSent(db, rule, now = new Date()) {
+  if (rule.recurring) {
+    await db
+      .collection(COLLECTION)
+      .updateOne(
+        { _id: rule._id },
+        { $set: { armed: false, lastTriggeredAt: now }, $inc: { triggerCount: 1 } },
+      );
+  } else {
+    await db.collection(COLLECTION).deleteOne({ _id: rule._id });
+  }
+}
+
+// The inline management screen: one row per rule with mode and remove buttons
+function formatPriceAlertList(rules) {
+  if (rules.length === 0) {
+    return {
+      text:
+        "🔔 You have no price alerts.\n\nAdd one with:\n" +
+        "/alert add <coin> above|below <price>\n" +
+        "/alert add <coin> change <±%> <window>\n" +
+        "/alert add <coin> volume <multiple>x <window>\n" +
+        'Add "recurring" to keep a rule after it fires.',
+      reply_markup: { inline_keyboard: [] },
+    };
+  }
+
+  return {
+    text: `🔔 Your price alerts (${rules.length} of ${MAX_PRICE_ALERTS})\n\n${rules
+      .map((rule, index) => `${index + 1}. ${formatRule(rule)}`)
+      .join("\n")}`,
+    reply_markup: {
+      inline_keyboard: rules.map((rule, index) => [
+        {
+          text: `${index + 1}. ${rule.recurring ? "🔁 Recurring" : "1️⃣ Once"}`,
+          callback_data: `price_alert_mode:${rule._id}`,
+        },
+        { text: `❌ Remove ${index + 1}`, callback_data: `price_alert_remove:${rule._id}` },
+      ]),
+    },
+  };
+}
+
+module.exports = {
+  MAX_PRICE_ALERTS,
+  checkAndCreatePriceAlertsCollection,
+  parseRule,
+  formatRule,
+  addPriceAlert,
+  listPriceAlerts,
+  removePriceAlert,
+  togglePriceAlertMode,
+  attachPriceAlertCoinIds,
+  recordPriceHistory,
+  evaluatePriceAlerts,
+  markPriceAlertSent,
+  formatPriceAlertList,
+};
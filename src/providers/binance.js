@@ -0,0 +1,64 @@
+// Binance public REST adapter: last price, best bid/ask and 24h volume
+// straight from the exchange, fetched for all symbols in one request.
+const axios = require("axios");
+const { USD_QUOTES, buildTicker, createBulkCache } = require("./normalize");
+const { isSymbolForCoin } = require("./symbols");
+
+// Load environment variables
+require("dotenv").config();
+
+const name = "binance";
+const perCoinRequests = false;
+
+const BINANCE_API_URL = process.env.BINANCE_API_URL || "https://api.binance.com";
+const PROVIDER_TTL_MS = parseInt(process.env.PROVIDER_TTL_MS, 10) || 5000;
+
+// symbol (e.g. BTCUSDT) -> 24h ticker
+const getAllTickers = createBulkCache(PROVIDER_TTL_MS, async () => {
+  const response = await axios.get(`${BINANCE_API_URL}/api/v3/ticker/24hr`, {
+    timeout: 15000,
+  });
+  return new Map(response.data.map((ticker) => [ticker.symbol, ticker]));
+});
+
+async function getCoinData(coin) {
+  // Another token with the coin's symbol would make a false spread
+  if (!coin.symbol || !isSymbolForCoin("binance", coin.symbol, coin.id)) {
+    return { name: coin.name, tickers: [] };
+  }
+
+  const allTickers = await getAllTickers();
+  const base = coin.symbol.toUpperCase();
+  const tickers = [];
+
+  for (const target of USD_QUOTES) {
+    const ticker = allTickers.get(`${base}${target}`);
+    if (!ticker || !(Number(ticker.lastPrice) > 0)) {
+      continue;
+    }
+    tickers.push(
+      buildTicker({
+        provider: name,
+        coin,
+        exchangeId: "binance",
+        exchangeName: "Binance",
+        base,
+        target,
+        last: Number(ticker.lastPrice),
+        bid: Number(ticker.bidPrice),
+        ask: Number(ticker.askPrice),
+        volume: Number(ticker.volume),
+        tradedAt: ticker.closeTime,
+        tradeUrl: `https://www.binance.com/en/trade/${base}_${target}`,
+      }),
+    );
+  }
+
+  return { name: coin.name, tickers };
+}
+
+module.exports = {
+  name,
+  perCoinRequests,
+  getCoinData,
+};
@@ -0,0 +1,22 @@
+// CoinGecko market-data provider: aggregated tickers from every exchange
+// CoinGecko tracks, already in the shape checkArbitrage consumes.
+const coingecko = require("../coingecko");
+
+const name = "coingecko";
+
+// CoinGecko is queried per coin, so each call spends one request of the scan budget
+const perCoinRequests = true;
+
+async function getCoinData(coin) {
+  const coinData = await coingecko.getCoinTickers(coin.id);
+  return {
+    name: coinData.name,
+    tickers: coinData.tickers.map((ticker) => ({ ...ticker, provider: name })),
+  };
+}
+
+module.exports = {
+  name,
+  perCoinRequests,
+  getCoinData,
+};
@@ -0,0 +1,122 @@
+// Market-data providers. Each provider returns a coin's tickers normalized to
+// the shape of CoinGecko's /coins/{id}/tickers so checkArbitrage can consume
+// them unchanged; every ticker is tagged with the provider it came from.
+//
+// A provider exports:
+//   name             - ID used in MARKET_DATA_PROVIDERS and user settings
+//   perCoinRequests  - whether each coin costs a CoinGecko budget request
+//   getCoinData(coin) - resolves to { name, tickers } for { id, symbol, name }
+const coingeckoProvider = require("./coingecko");
+const binanceProvider = require("./binance");
+const krakenProvider = require("./kraken");
+const fixtureProvider = require("./fixture");
+const streamProvider = require("./stream");
+
+// Load environment variables
+require("dotenv").config();
+
+const registry = {
+  [coingeckoProvider.name]: coingeckoProvider,
+  [binanceProvider.name]: binanceProvider,
+  [krakenProvider.name]: krakenProvider,
+  [fixtureProvider.name]: fixtureProvider,
+  [streamProvider.name]: streamProvider,
+};
+
+// Providers the operator enabled, e.g. MARKET_DATA_PROVIDERS=coingecko,binance,kraken
+const ENABLED_PROVIDERS = (process.env.MARKET_DATA_PROVIDERS || "coingecko")
+  .split(",")
+  .map((providerName) => providerName.trim().toLowerCase())
+  .filter((providerName) => {
+    if (!registry[providerName]) {
+      console.error(`Unknown market data provider "${providerName}" ignored.`);
+      return false;
+    }
+    return true;
+  });
+
+// The providers a user reads from: their own choice within the enabled ones
+function getUserProviders(user) {
+  const chosen = (user?.providers || []).filter((providerName) =>
+    ENABLED_PROVIDERS.includes(providerName),
+  );
+  return chosen.length > 0 ? chosen : ENABLED_PROVIDERS;
+}
+
+function usesPerCoinRequests(providerNames) {
+  return providerNames.some((providerName) => registry[providerName].perCoinRequests);
+}
+
+// Fetch a coin from every given provider. A failing provider does not stop
+// the others; its error is returned alongside the tickers that did arrive.
+async function fetchCoinData(coin, providerNames) {
+  const results = await Promise.allSettled(
+    providerNames.map((providerName) => registry[providerName].getCoinData(coin)),
+  );
+
+  const coinData = { name: coin.name || coin.id, symbol: coin.symbol, tickers: [] };
+  const errors = [];
+
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      coinData.name = result.value.name || coinData.name;
+      coinData.tickers.push(...result.value.tickers);
+    } else {
+      errors.push({ provider: providerNames[index], error: result.reason });
+    }
+  });
+
+  return { coinData, errors };
+}
+
+function getTickerTime(ticker) {
+  return Date.parse(ticker.last_traded_at) || 0;
+}
+
+// Merge tickers for the same exchange and pair reported by several providers.
+// The most recently traded one wins, and fields it lacks (CoinGecko's depth
+// and trust score, say) are filled in from the others.
+function mergeTickers(tickers) {
+  const byMarket = new Map();
+
+  for (const ticker of tickers) {
+    const key = `${ticker.market?.identifier}:${ticker.base}/${ticker.target}`.toUpperCase();
+    if (!byMarket.has(key)) {
+      byMarket.set(key, []);
+    }
+    byMarket.get(key).push(ticker);
+  }
+
+  return [...byMarket.values()].map((group) => {
+    if (group.length === 1) {
+      return group[0];
+    }
+    const newestFirst = [...group].sort((a, b) => getTickerTime(b) - getTickerTime(a));
+    const merged = { ...newestFirst[0] };
+    for (const older of newestFirst.slice(1)) {
+      for (const [field, value] of Object.entries(older)) {
+        if (merged[field] == null && value != null) {
+          merged[field] = value;
+        }
+      }
+    }
+    merged.provider = newestFirst.map((ticker) => ticker.provider).join("+");
+    return merged;
+  });
+}
+
+// A user's view of a cached coin: only their providers, merged per exchange
+function selectTickers(tickers, providerNames) {
+  return mergeTickers(
+    (tickers || []).filter((ticker) => providerNames.includes(ticker.provider)),
+  );
+}
+
+module.exports = {
+  ENABLED_PROVIDERS,
+  getUserProviders,
+  usesPerCoinRequests,
+  fetchCoinData,
+  mergeTickers,
+  selectTickers,
+};
@@ -0,0 +1,90 @@
+// Kraken public REST adapter: last price, best bid/ask and 24h volume for
+// every pair in one request. Kraken names some assets differently (XBT for
+// BTC, XDG for DOGE), so pairs are matched through their websocket names.
+const axios = require("axios");
+const { USD_QUOTES, buildTicker, createBulkCache } = require("./normalize");
+const { isSymbolForCoin } = require("./symbols");
+
+// Load environment variables
+require("dotenv").config();
+
+const name = "kraken";
+const perCoinRequests = false;
+
+const KRAKEN_API_URL = process.env.KRAKEN_API_URL || "https://api.kraken.com";
+const PROVIDER_TTL_MS = parseInt(process.env.PROVIDER_TTL_MS, 10) || 5000;
+const ASSET_PAIRS_TTL_MS = 60 * 60 * 1000;
+
+const KRAKEN_ASSET_ALIASES = {
+  XBT: "BTC",
+  XDG: "DOGE",
+};
+
+function normalizeAsset(asset) {
+  return KRAKEN_ASSET_ALIASES[asset] || asset;
+}
+
+async function krakenGet(path) {
+  const response = await axios.get(`${KRAKEN_API_URL}${path}`, { timeout: 15000 });
+  if (response.data.error?.length > 0) {
+    throw new Error(`Kraken error on ${path}: ${response.data.error.join(", ")}`);
+  }
+  return response.data.result;
+}
+
+// "BTC/USD" -> Kraken pair key (e.g. XXBTZUSD)
+const getPairKeys = createBulkCache(ASSET_PAIRS_TTL_MS, async () => {
+  const pairs = await krakenGet("/0/public/AssetPairs");
+  const pairKeys = new Map();
+  for (const [pairKey, pair] of Object.entries(pairs)) {
+    if (!pair.wsname) {
+      continue;
+    }
+    const [base, quote] = pair.wsname.split("/").map(normalizeAsset);
+    pairKeys.set(`${base}/${quote}`, pairKey);
+  }
+  return pairKeys;
+});
+
+const getAllTickers = createBulkCache(PROVIDER_TTL_MS, () => krakenGet("/0/public/Ticker"));
+
+async function getCoinData(coin) {
+  // Another token with the coin's symbol would make a false spread
+  if (!coin.symbol || !isSymbolForCoin("kraken", coin.symbol, coin.id)) {
+    return { name: coin.name, tickers: [] };
+  }
+
+  const [pairKeys, allTickers] = await Promise.all([getPairKeys(), getAllTickers()]);
+  const base = coin.symbol.toUpperCase();
+  const tickers = [];
+
+  for (const target of USD_QUOTES) {
+    const ticker = allTickers[pairKeys.get(`${base}/${target}`)];
+    if (!ticker || !(Number(ticker.c[0]) > 0)) {
+      continue;
+    }
+    tickers.push(
+      buildTicker({
+        provider: name,
+        coin,
+        exchangeId: "kraken",
+        exchangeName: "Kraken",
+        base,
+        target,
+        last: Number(ticker.c[0]),
+        bid: Number(ticker.b[0]),
+        ask: Number(ticker.a[0]),
+        volume: Number(ticker.v[1]),
+        tradeUrl: `https://pro.kraken.com/app/trade/${base.toLowerCase()}-${target.toLowerCase()}`,
+      }),
+    );
+  }
+
+  return { name: coin.name, tickers };
+}
+
+module.exports = {
+  name,
+  perCoinRequests,
+  getCoinData,
+};
@@ -0,0 +1,87 @@
+// Helpers shared by the direct exchange adapters to build tickers in the
+// same shape as CoinGecko's /coins/{id}/tickers, which checkArbitrage consumes.
+const { TRUST_SCORE_RANK } = require("../tickerValidation");
+
+// Load environment variables
+require("dotenv").config();
+
+// Quote currencies the direct adapters read, priced at $1. Other quotes are
+// skipped because the adapters have no conversion rate for them.
+const USD_QUOTES = ["USDT", "USDC", "FDUSD", "USD"];
+
+// Trust score given to tickers read from an exchange directly, which have no
+// CoinGecko score; the operator rates the exchanges they connect to
+const DIRECT_TRUST_SCORE = TRUST_SCORE_RANK[process.env.DIRECT_TRUST_SCORE]
+  ? process.env.DIRECT_TRUST_SCORE
+  : "yellow";
+
+// Build a normalized ticker from an exchange's top-of-book and 24h stats
+function buildTicker({
+  provider,
+  coin,
+  exchangeId,
+  exchangeName,
+  base,
+  target,
+  last,
+  bid,
+  ask,
+  volume,
+  tradedAt,
+  tradeUrl,
+}) {
+  const quoteUsd = USD_QUOTES.includes(target) ? 1 : null;
+  const spread = bid > 0 && ask > 0 ? ((ask - bid) / ask) * 100 : null;
+
+  return {
+    provider,
+    coin_id: coin.id,
+    base,
+    target,
+    market: { name: exchangeName, identifier: exchangeId },
+    last,
+    bid,
+    ask,
+    volume,
+    converted_last: { usd: quoteUsd ? last * quoteUsd : null },
+    converted_volume: { usd: quoteUsd ? last * volume * quoteUsd : null },
+    trust_score: DIRECT_TRUST_SCORE,
+    bid_ask_spread_percentage: spread,
+    last_traded_at: new Date(tradedAt || Date.now()).toISOString(),
+    is_stale: false,
+    is_anomaly: false,
+    trade_url: tradeUrl,
+  };
+}
+
+// Cache a bulk response for a short TTL and share in-flight requests, so one
+// request covers every coin in a scan cycle
+function createBulkCache(ttlMs, load) {
+  let value = null;
+  let fetchedAt = 0;
+  let pending = null;
+
+  return async function get() {
+    if (value && Date.now() - fetchedAt <= ttlMs) {
+      return value;
+    }
+    if (!pending) {
+      pending = load()
+        .then((result) => {
+          value = result;
+          fetchedAt = Date.now();
+          return result;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+}
+
+module.exports = {
+  USD_QUOTES,
+  buildTicker,
+  createBulkCache,
+};
@@ -0,0 +1,67 @@
+// Best bid/ask from the exchange WebSocket streams (see ../streaming). Reads
+// the in-memory books, so it costs no request. Book tickers carry no 24h
+// volume on some exchanges; it is taken from the last fetch of another
+// provider for the same market, and stays unknown without one.
+const { buildTicker } = require("./normalize");
+const { isSymbolForCoin } = require("./symbols");
+const streaming = require("../streaming");
+const { getLastTickers } = require("../tickerCache");
+
+const name = "stream";
+const perCoinRequests = false;
+
+// The 24h volume another provider last reported for a market, or null
+function getLastVolume(coinId, exchangeId, base, quote) {
+  const ticker = (getLastTickers(coinId)?.tickers || []).find(
+    (candidate) =>
+      candidate.provider !== name &&
+      candidate.market?.identifier === exchangeId &&
+      candidate.base?.toUpperCase() === base &&
+      candidate.target?.toUpperCase() === quote &&
+      candidate.volume != null,
+  );
+  return ticker ? { volume: ticker.volume, volumeUsd: ticker.converted_volume?.usd ?? null } : null;
+}
+
+async function getCoinData(coin) {
+  if (!coin.symbol) {
+    return { name: coin.name, tickers: [] };
+  }
+
+  const books = streaming
+    .getStreamBooks(coin.symbol)
+    .filter((book) => isSymbolForCoin(book.exchangeId, book.base, coin.id));
+  const tickers = books.map((book) => {
+    const lastVolume =
+      book.volume == null ? getLastVolume(coin.id, book.exchangeId, book.base, book.quote) : null;
+    const ticker = buildTicker({
+      provider: name,
+      coin,
+      exchangeId: book.exchangeId,
+      exchangeName: book.exchangeName,
+      base: book.base,
+      target: book.quote,
+      // Book ticker streams have no trade price; the mid is the closest stand-in
+      last: book.last ?? (book.bid + book.ask) / 2,
+      bid: book.bid,
+      ask: book.ask,
+      volume: book.volume ?? lastVolume?.volume ?? null,
+      tradedAt: book.updatedAt,
+      tradeUrl: book.tradeUrl,
+    });
+    if (lastVolume) {
+      ticker.converted_volume = { usd: lastVolume.volumeUsd };
+    } else if (book.volume == null) {
+      ticker.converted_volume = null;
+    }
+    return ticker;
+  });
+
+  return { name: coin.name, tickers };
+}
+
+module.exports = {
+  name,
+  perCoinRequests,
+  getCoinData,
+};
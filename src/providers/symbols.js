@@ -0,0 +1,20 @@
+// Which CoinGecko coin an exchange's base symbol stands for. Exchanges list
+// assets by symbol, and many unrelated tokens share one, so a direct ticker
+// only counts for a coin when data/exchangeSymbols.json maps the symbol to it
+// on that exchange or, for symbols the file does not name, when no other coin
+// in the coin list has the symbol.
+const exchangeSymbols = require("../data/exchangeSymbols.json");
+const { getSymbolCoinIds } = require("../coinList");
+
+function isSymbolForCoin(exchangeId, symbol, coinId) {
+  const mapped = exchangeSymbols[exchangeId]?.[symbol.toUpperCase()];
+  if (mapped) {
+    return mapped === coinId;
+  }
+  const coinIds = getSymbolCoinIds(symbol);
+  return coinIds.length === 1 && coinIds[0] === coinId;
+}
+
+module.exports = {
+  isSymbolForCoin,
+};
@@ -0,0 +1,176 @@
+// Replay of recorded ticker snapshots against a settings profile, to see how
+// many alerts a set of thresholds would have produced and how long the
+// spreads behind them lasted. Runs the same checkArbitrage as the live scanner
+// and the same repeat suppression as the alerts module, entirely in memory.
+const { checkArbitrage } = require("./arbitrage");
+const { getAlertSettings } = require("./alerts");
+const { getUserSettings } = require("./settings");
+const providers = require("./providers");
+
+// Upper bounds of the net profit buckets, in percent
+const PROFIT_BUCKETS = [0.5, 1, 2, 5, 10, Infinity];
+
+// Evaluate every recorded snapshot in order. `profile` is shaped like a user
+// document (minProfit, minVolume, minTrustScore, targets, providers, ...).
+async function replaySnapshots(records, profile) {
+  const settings = getUserSettings(profile);
+  const { cooldownMs, realertDelta } = getAlertSettings(profile);
+
+  // "coinId:buy:sell" -> { status, lastSentProfit, lastSentAt, openAlerts }
+  const routes = new Map();
+  const alerts = [];
+  const coins = new Set();
+  let snapshotCount = 0;
+  let detections = 0;
+  let suppressed = 0;
+  let firstAt = null;
+  let lastAt = null;
+
+  for await (const record of records) {
+    const { coinId, recordedAt } = record;
+    snapshotCount += 1;
+    coins.add(coinId);
+    firstAt = firstAt || recordedAt;
+    lastAt = recordedAt;
+
+    // Without a provider choice in the profile, every recorded provider counts
+    const tickers = profile.providers
+      ? providers.selectTickers(record.tickers, profile.providers)
+      : providers.mergeTickers(record.tickers);
+    const opportunity = checkArbitrage(tickers, settings, coinId, recordedAt.getTime());
+    const openKey = opportunity
+      ? `${coinId}:${opportunity.lowestExchangeId}:${opportunity.highestExchangeId}`
+      : null;
+
+    // Close the coin's other open routes, as closeAlerts does
+    for (const [key, route] of routes) {
+      if (route.status === "open" && key.startsWith(`${coinId}:`) && key !== openKey) {
+        route.status = "closed";
+        for (const alert of route.openAlerts) {
+          alert.lastedMs = recordedAt - alert.recordedAt;
+        }
+        route.openAlerts = [];
+      }
+    }
+
+    if (!opportunity) {
+      continue;
+    }
+    detections += 1;
+
+    const profit = Number(opportunity.potentialProfit);
+    const route = routes.get(openKey);
+    let reason = null;
+    if (!route) {
+      reason = "new";
+    } else if (route.status === "open") {
+      reason = profit >= route.lastSentProfit + realertDelta ? "widened" : null;
+    } else {
+      reason = recordedAt - route.lastSentAt >= cooldownMs ? "reopened" : null;
+    }
+
+    if (!reason) {
+      suppressed += 1;
+      route.status = "open";
+      continue;
+    }
+
+    const alert = {
+      recordedAt,
+      coinId,
+      coinName: record.name || coinId,
+      reason,
+      buyExchange: opportunity.lowestExchange,
+      sellExchange: opportunity.highestExchange,
+      buyPair: opportunity.buyPair,
+      sellPair: opportunity.sellPair,
+      buyPrice: opportunity.lowestPrice,
+      sellPrice: opportunity.highestPrice,
+      netProfit: profit,
+      netProfitUsd: Number(opportunity.netProfitUsd),
+      lastPriceEstimate: opportunity.lastPriceEstimate,
+      // How long the route stayed open after the alert; null if still open at the end
+      lastedMs: null,
+    };
+    alerts.push(alert);
+    routes.set(openKey, {
+      status: "open",
+      lastSentProfit: profit,
+      lastSentAt: recordedAt,
+      openAlerts: [...(route?.openAlerts || []), alert],
+    });
+  }
+
+  const distribution = PROFIT_BUCKETS.map((upper, index) => ({
+    from: index === 0 ? null : PROFIT_BUCKETS[index - 1],
+    to: upper,
+    count: alerts.filter(
+      (alert) =>
+        alert.netProfit < upper && (index === 0 || alert.netProfit >= PROFIT_BUCKETS[index - 1]),
+    ).length,
+  }));
+
+  return {
+    snapshotCount,
+    coinCount: coins.size,
+    firstAt,
+    lastAt,
+    detections,
+    suppressed,
+    alerts,
+    distribution,
+  };
+}
+
+function formatLasted(ms) {
+  if (ms === null) {
+    return "still open";
+  }
+  return `lasted ${Math.round(ms / 1000)}s`;
+}
+
+// Plain-text report of a replay for the command line
+function formatReplayReport(result, limit) {
+  const lines = [
+    `Snapshots: ${result.snapshotCount} across ${result.coinCount} coins` +
+      (result.firstAt ? ` (${result.firstAt.toISOString()} to ${result.lastAt.toISOString()})` : ""),
+    `Detections: ${result.detections}, alerts: ${result.alerts.length}, suppressed repeats: ${result.suppressed}`,
+    "",
+    "Net profit distribution of alerts:",
+  ];
+
+  for (const bucket of result.distribution) {
+    let label = `${bucket.from}–${bucket.to}%`;
+    if (bucket.from === null) {
+      label = `< ${bucket.to}%`;
+    } else if (bucket.to === Infinity) {
+      label = `>= ${bucket.from}%`;
+    }
+    lines.push(`  ${label.padEnd(12)} ${bucket.count}`);
+  }
+
+  const closed = result.alerts.filter((alert) => alert.lastedMs !== null);
+  if (closed.length > 0) {
+    const median = closed.map((alert) => alert.lastedMs).sort((a, b) => a - b)[
+      Math.floor(closed.length / 2)
+    ];
+    lines.push("", `Median time a spread stayed open after its alert: ${Math.round(median / 1000)}s`);
+  }
+
+  lines.push("", `Alerts (${Math.min(limit, result.alerts.length)} of ${result.alerts.length}):`);
+  for (const alert of result.alerts.slice(0, limit)) {
+    lines.push(
+      `  ${alert.recordedAt.toISOString()} ${alert.coinName} buy ${alert.buyPair} on ${alert.buyExchange} @ $${alert.buyPrice}, ` +
+        `sell ${alert.sellPair} on ${alert.sellExchange} @ $${alert.sellPrice}: ${alert.netProfit}% ` +
+        `($${alert.netProfitUsd}) [${alert.reason}, ${formatLasted(alert.lastedMs)}` +
+        `${alert.lastPriceEstimate ? ", last-price estimate" : ""}]`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  replaySnapshots,
+  formatReplayReport,
+};
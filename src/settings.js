@@ -0,0 +1,65 @@
+// Resolution of a user's scan settings from their stored document and the
+// environment defaults. Shared by the bot and the offline replay tool, which
+// accepts a settings profile in the same shape as a user document.
+const { REFERENCE_TRADE_SIZE } = require("./fees");
+const { MAX_TICKER_AGE_MINUTES, OUTLIER_THRESHOLD_PERCENT } = require("./tickerValidation");
+const derivatives = require("./derivatives");
+
+// Load environment variables
+require("dotenv").config();
+
+const PROFIT_THRESHOLD = parseFloat(process.env.PROFIT_THRESHOLD);
+const VOLUME_THRESHOLD = parseInt(process.env.VOLUME_THRESHOLD, 10);
+const TARGET_CURRENCY = process.env.TARGET_CURRENCY;
+// Quote currencies new users scan, e.g. TARGET_CURRENCY=USDT,USDC
+const DEFAULT_TARGETS = (TARGET_CURRENCY || "USDT")
+  .split(",")
+  .map((target) => target.trim().toUpperCase())
+  .filter(Boolean);
+const DEFAULT_MIN_TRUST_SCORE = process.env.MIN_TRUST_SCORE || "yellow";
+// Whether new users only get alerts priced from bid/ask, never from last trades
+const DEFAULT_REQUIRE_BID_ASK = process.env.REQUIRE_BID_ASK === "true";
+
+// Quote currencies a user scans; older documents store a single target
+function getUserTargets(user) {
+  if (user?.targets?.length > 0) {
+    return user.targets;
+  }
+  return user?.target ? [user.target] : DEFAULT_TARGETS;
+}
+
+// Resolve a user's scan settings, falling back to the environment defaults
+function getUserSettings(user) {
+  return {
+    targets: getUserTargets(user),
+    crossQuote: user?.crossQuote || false,
+    minProfit: user?.minProfit || PROFIT_THRESHOLD, // Use stored decimal value
+    minVolume: user?.minVolume || VOLUME_THRESHOLD,
+    blacklistIds: user?.blacklistIds || [],
+    tradeSize: user?.tradeSize || REFERENCE_TRADE_SIZE,
+    feeOverrides: user?.feeOverrides || {},
+    minExecutableSize: user?.minExecutableSize || 0,
+    minDollarProfit: user?.minDollarProfit || 0,
+    requireBidAsk: user?.requireBidAsk ?? DEFAULT_REQUIRE_BID_ASK,
+    minTrustScore: user?.minTrustScore || DEFAULT_MIN_TRUST_SCORE,
+    maxTickerAgeMinutes: MAX_TICKER_AGE_MINUTES,
+    outlierThresholdPercent: OUTLIER_THRESHOLD_PERCENT,
+    exchangeAllowlist: user?.exchangeAllowlist || [],
+    exchangeDenylist: user?.exchangeDenylist || [],
+    marketType: user?.marketType || "all",
+    minFundingApr: user?.minFundingApr ?? derivatives.DEFAULT_MIN_FUNDING_APR,
+    minBasis: user?.minBasis ?? derivatives.DEFAULT_MIN_BASIS,
+    // Buy/sell exchange pairs muted from alerts; see mutes.attachMutes
+    mutedRoutes: user?.mutedRoutes || [],
+  };
+}
+
+module.exports = {
+  PROFIT_THRESHOLD,
+  VOLUME_THRESHOLD,
+  DEFAULT_TARGETS,
+  DEFAULT_MIN_TRUST_SCORE,
+  DEFAULT_REQUIRE_BID_ASK,
+  getUserTargets,
+  getUserSettings,
+};
@@ -0,0 +1,111 @@
+// Raw ticker snapshots for offline replay. When SNAPSHOT_DIR is set, every
+// coin refreshed in a scan cycle is appended as one JSON line to a file per
+// UTC day (<SNAPSHOT_DIR>/YYYY-MM-DD.jsonl), and the replay tool reads them
+// back for a date range.
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Load environment variables
+require("dotenv").config();
+
+// Recording is off unless a directory is configured
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || null;
+
+// Ticker fields the evaluation reads; the rest of CoinGecko's response is
+// left out to keep the files small
+const TICKER_FIELDS = [
+  "provider",
+  "coin_id",
+  "base",
+  "target",
+  "market",
+  "last",
+  "bid",
+  "ask",
+  "volume",
+  "converted_last",
+  "converted_volume",
+  "trust_score",
+  "bid_ask_spread_percentage",
+  "last_traded_at",
+  "is_stale",
+  "is_anomaly",
+  "trade_url",
+  "cost_to_move_up_usd",
+  "cost_to_move_down_usd",
+];
+
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function pickTickerFields(ticker) {
+  const picked = {};
+  for (const field of TICKER_FIELDS) {
+    if (ticker[field] !== undefined) {
+      picked[field] = ticker[field];
+    }
+  }
+  return picked;
+}
+
+// Append a cycle's snapshot (coin ID -> coin data) to today's file
+async function recordSnapshot(snapshot, now = new Date()) {
+  if (!SNAPSHOT_DIR || snapshot.size === 0) {
+    return;
+  }
+
+  const recordedAt = now.toISOString();
+  const lines = [...snapshot].map(([coinId, coinData]) =>
+    JSON.stringify({
+      recordedAt,
+      coinId,
+      name: coinData.name,
+      symbol: coinData.symbol,
+      tickers: coinData.tickers.map(pickTickerFields),
+    }),
+  );
+
+  try {
+    await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+    await fs.promises.appendFile(
+      path.join(SNAPSHOT_DIR, `${recordedAt.slice(0, 10)}.jsonl`),
+      `${lines.join("\n")}\n`,
+    );
+  } catch (error) {
+    console.error("Error recording ticker snapshot:", error.message);
+  }
+}
+
+// Yield the recorded coin snapshots between two dates, oldest first
+async function* readSnapshots(dir, from, to) {
+  const fromDay = from.toISOString().slice(0, 10);
+  const toDay = to.toISOString().slice(0, 10);
+  const files = (await fs.promises.readdir(dir))
+    .map((file) => file.match(FILE_PATTERN))
+    .filter((match) => match && match[1] >= fromDay && match[1] <= toDay)
+    .map((match) => match[0])
+    .sort();
+
+  for (const file of files) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(dir, file)),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const record = JSON.parse(line);
+      const recordedAt = new Date(record.recordedAt);
+      if (recordedAt >= from && recordedAt < to) {
+        yield { ...record, recordedAt };
+      }
+    }
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  recordSnapshot,
+  readSnapshots,
+};
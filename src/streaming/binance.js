@@ -0,0 +1,52 @@
+// Binance combined-stream adapter for the <symbol>@bookTicker streams,
+// which push the best bid and ask whenever they change.
+
+// Load environment variables
+require("dotenv").config();
+
+const BINANCE_WS_URL = process.env.BINANCE_WS_URL || "wss://stream.binance.com:9443/stream";
+
+// "btcusdt" -> { base, quote }, filled as pairs are subscribed
+const streamSymbols = new Map();
+let requestId = 0;
+
+function streamName({ base, quote }) {
+  const symbol = `${base}${quote}`.toLowerCase();
+  streamSymbols.set(symbol, { base, quote });
+  return `${symbol}@bookTicker`;
+}
+
+function buildSubscribe(pairs) {
+  requestId += 1;
+  return { method: "SUBSCRIBE", params: pairs.map(streamName), id: requestId };
+}
+
+function buildUnsubscribe(pairs) {
+  requestId += 1;
+  return { method: "UNSUBSCRIBE", params: pairs.map(streamName), id: requestId };
+}
+
+// { stream: "btcusdt@bookTicker", data: { s, b, B, a, A } } -> book updates
+function parseMessage(message) {
+  const data = message.data;
+  if (!data?.s || data.b === undefined || data.a === undefined) {
+    return [];
+  }
+  const pair = streamSymbols.get(data.s.toLowerCase());
+  if (!pair) {
+    return [];
+  }
+  return [{ ...pair, bid: Number(data.b), ask: Number(data.a) }];
+}
+
+module.exports = {
+  name: "Binance",
+  // Quotes subscribed for every watched coin; unlisted pairs simply never update
+  quotes: ["USDT", "USDC", "FDUSD"],
+  tradeUrl: (base, quote) => `https://www.binance.com/en/trade/${base}_${quote}`,
+  exchangeId: "binance",
+  url: BINANCE_WS_URL,
+  buildSubscribe,
+  buildUnsubscribe,
+  parseMessage,
+};
@@ -0,0 +1,142 @@
+// One WebSocket connection to an exchange's public ticker stream.
+// Keeps the set of subscribed pairs, reconnects with exponential backoff when
+// the socket drops or goes quiet, and resubscribes everything on reconnect.
+// The exchange specifics (URL, subscribe messages, message parsing) come from
+// an adapter such as ./binance or ./kraken.
+const WebSocket = require("ws");
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+const BASE_RECONNECT_DELAY_MS = 1000;
+// Reconnect when a connection with subscriptions receives nothing for this long
+const IDLE_TIMEOUT_MS = 60000;
+// Pairs per subscribe message, to stay within the exchanges' message limits
+const SUBSCRIBE_BATCH_SIZE = 100;
+
+function createExchangeStream(adapter, onUpdate) {
+  // "BASE/QUOTE" -> { base, quote }
+  const pairs = new Map();
+  let socket = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let idleTimer = null;
+  let stopped = true;
+
+  function send(message) {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function sendInBatches(buildMessage, pairList) {
+    for (let i = 0; i < pairList.length; i += SUBSCRIBE_BATCH_SIZE) {
+      send(buildMessage(pairList.slice(i, i + SUBSCRIBE_BATCH_SIZE)));
+    }
+  }
+
+  function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (pairs.size > 0 && socket) {
+        console.error(`${adapter.name} stream went quiet, reconnecting.`);
+        socket.terminate();
+      }
+    }, IDLE_TIMEOUT_MS);
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(
+      MAX_RECONNECT_DELAY_MS,
+      BASE_RECONNECT_DELAY_MS * 2 ** reconnectAttempts,
+    );
+    reconnectAttempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function connect() {
+    socket = new WebSocket(adapter.url);
+
+    socket.on("open", () => {
+      reconnectAttempts = 0;
+      console.log(`${adapter.name} stream connected, subscribing to ${pairs.size} pairs.`);
+      sendInBatches(adapter.buildSubscribe, [...pairs.values()]);
+      resetIdleTimer();
+    });
+
+    socket.on("message", (raw) => {
+      resetIdleTimer();
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return;
+      }
+      for (const update of adapter.parseMessage(message)) {
+        onUpdate({ exchangeId: adapter.exchangeId, ...update });
+      }
+    });
+
+    socket.on("error", (error) => {
+      console.error(`${adapter.name} stream error:`, error.message);
+    });
+
+    socket.on("close", () => {
+      clearTimeout(idleTimer);
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  function start() {
+    if (!stopped) {
+      return;
+    }
+    stopped = false;
+    connect();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    clearTimeout(idleTimer);
+    reconnectTimer = null;
+    socket?.close();
+  }
+
+  // Subscribe to new pairs and unsubscribe from dropped ones
+  function setPairs(wantedPairs) {
+    const wanted = new Map(wantedPairs.map((pair) => [`${pair.base}/${pair.quote}`, pair]));
+    const added = [...wanted.keys()].filter((key) => !pairs.has(key)).map((key) => wanted.get(key));
+    const removed = [...pairs.keys()].filter((key) => !wanted.has(key)).map((key) => pairs.get(key));
+
+    for (const pair of removed) {
+      pairs.delete(`${pair.base}/${pair.quote}`);
+    }
+    for (const pair of added) {
+      pairs.set(`${pair.base}/${pair.quote}`, pair);
+    }
+
+    if (removed.length > 0) {
+      sendInBatches(adapter.buildUnsubscribe, removed);
+    }
+    if (added.length > 0) {
+      sendInBatches(adapter.buildSubscribe, added);
+    }
+    return removed;
+  }
+
+  return {
+    start,
+    stop,
+    setPairs,
+  };
+}
+
+module.exports = {
+  createExchangeStream,
+};
@@ -0,0 +1,114 @@
+// Streaming price ingestion. Keeps one WebSocket per configured exchange
+// subscribed to the pairs of every watched coin, maintains the best bid/ask
+// book from the updates and reports each price change so the bot can
+// evaluate the coin immediately instead of waiting for the next scan cycle.
+const { createExchangeStream } = require("./exchangeStream");
+const { updateBook, getBooksForBase, removeBook } = require("./orderBook");
+const { isSymbolForCoin } = require("../providers/symbols");
+const binance = require("./binance");
+const kraken = require("./kraken");
+
+// Load environment variables
+require("dotenv").config();
+
+const adapters = {
+  [binance.exchangeId]: binance,
+  [kraken.exchangeId]: kraken,
+};
+
+// Exchanges to stream from, e.g. STREAMING_EXCHANGES=binance,kraken
+const STREAMING_EXCHANGES = (process.env.STREAMING_EXCHANGES || "binance,kraken")
+  .split(",")
+  .map((exchangeId) => exchangeId.trim().toLowerCase())
+  .filter((exchangeId) => {
+    if (!adapters[exchangeId]) {
+      console.error(`Unknown streaming exchange "${exchangeId}" ignored.`);
+      return false;
+    }
+    return true;
+  });
+
+// Books not updated for this long are left out of evaluations
+const STREAM_MAX_AGE_MS = parseInt(process.env.STREAM_MAX_AGE_MS, 10) || 30 * 1000;
+
+// exchangeId -> stream
+const streams = new Map();
+// Upper-case symbol -> Set of watched coin IDs with that symbol
+const coinIdsBySymbol = new Map();
+
+function startStreaming(onPriceChange) {
+  for (const exchangeId of STREAMING_EXCHANGES) {
+    if (streams.has(exchangeId)) {
+      continue;
+    }
+    const stream = createExchangeStream(adapters[exchangeId], (update) => {
+      if (!updateBook(update)) {
+        return;
+      }
+      for (const coinId of coinIdsBySymbol.get(update.base) || []) {
+        if (isSymbolForCoin(exchangeId, update.base, coinId)) {
+          onPriceChange(coinId);
+        }
+      }
+    });
+    streams.set(exchangeId, stream);
+    stream.start();
+  }
+}
+
+function stopStreaming() {
+  for (const stream of streams.values()) {
+    stream.stop();
+  }
+  streams.clear();
+}
+
+// Subscribe to the union of watched coins, given as { id, symbol }, on the
+// exchanges where their symbol stands for them, and drop the subscriptions of
+// coins nobody watches anymore
+function setWatchedCoins(coins) {
+  coinIdsBySymbol.clear();
+  for (const coin of coins) {
+    if (!coin.symbol) {
+      continue;
+    }
+    const symbol = coin.symbol.toUpperCase();
+    if (!coinIdsBySymbol.has(symbol)) {
+      coinIdsBySymbol.set(symbol, new Set());
+    }
+    coinIdsBySymbol.get(symbol).add(coin.id);
+  }
+
+  for (const [exchangeId, stream] of streams) {
+    const { quotes } = adapters[exchangeId];
+    const pairs = [...coinIdsBySymbol]
+      .filter(([base, coinIds]) => [...coinIds].some((coinId) => isSymbolForCoin(exchangeId, base, coinId)))
+      .flatMap(([base]) => quotes.map((quote) => ({ base, quote })));
+    for (const { base, quote } of stream.setPairs(pairs)) {
+      removeBook(exchangeId, base, quote);
+    }
+  }
+}
+
+// Current books for a symbol across the streamed exchanges, with the
+// exchange's display name and trade URL for building tickers
+function getStreamBooks(symbol, now = Date.now()) {
+  return getBooksForBase(symbol.toUpperCase(), STREAM_MAX_AGE_MS, now)
+    .filter((book) => streams.has(book.exchangeId))
+    .map((book) => {
+      const adapter = adapters[book.exchangeId];
+      return {
+        ...book,
+        exchangeName: adapter.name,
+        tradeUrl: adapter.tradeUrl(book.base, book.quote),
+      };
+    });
+}
+
+module.exports = {
+  STREAMING_EXCHANGES,
+  startStreaming,
+  stopStreaming,
+  setWatchedCoins,
+  getStreamBooks,
+};
@@ -0,0 +1,56 @@
+// Kraken WebSocket v2 adapter for the ticker channel, which pushes best
+// bid/ask, last price and 24h volume. v2 uses BTC rather than XBT.
+
+// Load environment variables
+require("dotenv").config();
+
+const KRAKEN_WS_URL = process.env.KRAKEN_WS_URL || "wss://ws.kraken.com/v2";
+
+function toSymbol({ base, quote }) {
+  return `${base}/${quote}`;
+}
+
+function buildSubscribe(pairs) {
+  return {
+    method: "subscribe",
+    params: { channel: "ticker", symbol: pairs.map(toSymbol) },
+  };
+}
+
+function buildUnsubscribe(pairs) {
+  return {
+    method: "unsubscribe",
+    params: { channel: "ticker", symbol: pairs.map(toSymbol) },
+  };
+}
+
+// { channel: "ticker", type: "snapshot" | "update", data: [{ symbol, bid, ask, last, volume }] }
+function parseMessage(message) {
+  if (message.channel !== "ticker" || !Array.isArray(message.data)) {
+    return [];
+  }
+  return message.data
+    .filter((ticker) => ticker.symbol && ticker.bid > 0 && ticker.ask > 0)
+    .map((ticker) => {
+      const [base, quote] = ticker.symbol.split("/");
+      return {
+        base,
+        quote,
+        bid: Number(ticker.bid),
+        ask: Number(ticker.ask),
+        last: ticker.last != null ? Number(ticker.last) : undefined,
+        volume: ticker.volume != null ? Number(ticker.volume) : undefined,
+      };
+    });
+}
+
+module.exports = {
+  name: "Kraken",
+  quotes: ["USD", "USDT", "USDC"],
+  tradeUrl: (base, quote) => `https://pro.kraken.com/app/trade/${base}-${quote}`.toLowerCase(),
+  exchangeId: "kraken",
+  url: KRAKEN_WS_URL,
+  buildSubscribe,
+  buildUnsubscribe,
+  parseMessage,
+};
@@ -0,0 +1,49 @@
+// In-memory best bid/ask per exchange and pair, fed by the WebSocket streams.
+
+// "binance:BTC/USDT" -> { exchangeId, base, quote, bid, ask, last, volume, updatedAt }
+const books = new Map();
+
+function bookKey(exchangeId, base, quote) {
+  return `${exchangeId}:${base}/${quote}`;
+}
+
+// Apply an update and report whether the best bid or ask actually moved
+function updateBook({ exchangeId, base, quote, bid, ask, last, volume }, now = Date.now()) {
+  const key = bookKey(exchangeId, base, quote);
+  const previous = books.get(key);
+  const changed = !previous || previous.bid !== bid || previous.ask !== ask;
+
+  books.set(key, {
+    exchangeId,
+    base,
+    quote,
+    bid,
+    ask,
+    last: last ?? previous?.last ?? null,
+    volume: volume ?? previous?.volume ?? null,
+    updatedAt: now,
+  });
+  return changed;
+}
+
+// Every book for a base asset updated within maxAgeMs
+function getBooksForBase(base, maxAgeMs, now = Date.now()) {
+  const result = [];
+  for (const book of books.values()) {
+    if (book.base === base && now - book.updatedAt <= maxAgeMs) {
+      result.push(book);
+    }
+  }
+  return result;
+}
+
+// Forget the books of pairs that are no longer subscribed
+function removeBook(exchangeId, base, quote) {
+  books.delete(bookKey(exchangeId, base, quote));
+}
+
+module.exports = {
+  updateBook,
+  getBooksForBase,
+  removeBook,
+};
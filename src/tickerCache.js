@@ -0,0 +1,63 @@
+// Shared ticker cache and per-cycle request budget for the scanner.
+// Every user watching the same coin reads from the same cached response, so a
+// coin is fetched at most once per TTL no matter how many users follow it.
+
+const TICKER_CACHE_TTL_MS = parseInt(process.env.TICKER_CACHE_TTL_MS, 10) || 60 * 1000;
+
+// coinId -> { data, fetchedAt }
+const cache = new Map();
+
+// Return the cached response for a coin if it is still within the TTL
+function getCachedTickers(coinId, now = Date.now()) {
+  const entry = cache.get(coinId);
+  if (!entry || now - entry.fetchedAt > TICKER_CACHE_TTL_MS) {
+    return null;
+  }
+  return entry.data;
+}
+
+// Return the last response for a coin, however old it is
+function getLastTickers(coinId) {
+  return cache.get(coinId)?.data || null;
+}
+
+function setCachedTickers(coinId, data, now = Date.now()) {
+  cache.set(coinId, { data, fetchedAt: now });
+}
+
+// Drop entries for coins nobody watches anymore so the cache does not grow forever
+function pruneCache(activeCoinIds) {
+  const active = new Set(activeCoinIds);
+  for (const coinId of cache.keys()) {
+    if (!active.has(coinId)) {
+      cache.delete(coinId);
+    }
+  }
+}
+
+// Split the coins that need fresh data into what this cycle can fetch and what
+// has to wait. Coins that were never fetched come first, then the ones with
+// the oldest data, so deferred coins are picked up first on the next cycle.
+function planFetches(coinIds, budget, now = Date.now()) {
+  const due = coinIds.filter((coinId) => !getCachedTickers(coinId, now));
+
+  due.sort((a, b) => {
+    const fetchedA = cache.get(a)?.fetchedAt || 0;
+    const fetchedB = cache.get(b)?.fetchedAt || 0;
+    return fetchedA - fetchedB;
+  });
+
+  return {
+    toFetch: due.slice(0, budget),
+    deferred: due.slice(budget),
+  };
+}
+
+module.exports = {
+  TICKER_CACHE_TTL_MS,
+  getCachedTickers,
+  getLastTickers,
+  setCachedTickers,
+  pruneCache,
+  planFetches,
+};
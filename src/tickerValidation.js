@@ -0,0 +1,127 @@
+// Ticker validation run before any prices are compared.
+// Drops tickers that would produce fake spreads: stale or anomalous markets,
+// tickers that have not traded recently, same-symbol tokens that belong to a
+// different coin, markets below the user's trust score, and prices far from
+// the median of the remaining markets.
+
+// Load environment variables
+require("dotenv").config();
+
+const MAX_TICKER_AGE_MINUTES = parseFloat(process.env.MAX_TICKER_AGE_MINUTES) || 30;
+const OUTLIER_THRESHOLD_PERCENT = parseFloat(process.env.OUTLIER_THRESHOLD_PERCENT) || 20;
+
+// The median is only meaningful with a few markets to compare
+const MIN_TICKERS_FOR_MEDIAN = 3;
+
+const TRUST_SCORE_RANK = {
+  red: 1,
+  yellow: 2,
+  green: 3,
+};
+
+const DROP_REASONS = {
+  mismatch: "different coin",
+  stale: "stale",
+  anomaly: "anomaly",
+  old: "not traded recently",
+  trust: "trust score too low",
+  noPrice: "no USD price",
+  outlier: "outlier vs median",
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// Why a ticker should be dropped before the median check, or null to keep it
+function getDropReason(ticker, coinId, settings, now) {
+  if (coinId && ticker.coin_id && ticker.coin_id !== coinId) {
+    return "mismatch";
+  }
+  if (ticker.is_stale) {
+    return "stale";
+  }
+  if (ticker.is_anomaly) {
+    return "anomaly";
+  }
+
+  const lastTradedAt = Date.parse(ticker.last_traded_at);
+  if (
+    Number.isNaN(lastTradedAt) ||
+    now - lastTradedAt > settings.maxTickerAgeMinutes * 60 * 1000
+  ) {
+    return "old";
+  }
+
+  if ((TRUST_SCORE_RANK[ticker.trust_score] || 0) < TRUST_SCORE_RANK[settings.minTrustScore]) {
+    return "trust";
+  }
+  if (!ticker.converted_last?.usd) {
+    return "noPrice";
+  }
+  return null;
+}
+
+// Split tickers into the ones safe to compare and the ones dropped, with the
+// reason each was dropped
+function validateTickers(tickers, coinId, settings, now = Date.now()) {
+  const dropped = [];
+  let valid = [];
+
+  for (const ticker of tickers || []) {
+    const reason = getDropReason(ticker, coinId, settings, now);
+    if (reason) {
+      dropped.push({ ticker, reason });
+    } else {
+      valid.push(ticker);
+    }
+  }
+
+  if (valid.length >= MIN_TICKERS_FOR_MEDIAN) {
+    const medianPrice = median(valid.map((ticker) => ticker.converted_last.usd));
+    valid = valid.filter((ticker) => {
+      const deviation =
+        (Math.abs(ticker.converted_last.usd - medianPrice) / medianPrice) * 100;
+      if (deviation > settings.outlierThresholdPercent) {
+        dropped.push({ ticker, reason: "outlier" });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  return { valid, dropped };
+}
+
+// Human readable summary of a validation run, for the /debug command
+function summarizeValidation({ valid, dropped }, maxExamples = 3) {
+  const lines = [`Kept ${valid.length} tickers, dropped ${dropped.length}.`];
+
+  for (const [reason, label] of Object.entries(DROP_REASONS)) {
+    const matching = dropped.filter((entry) => entry.reason === reason);
+    if (matching.length === 0) {
+      continue;
+    }
+    const examples = matching
+      .slice(0, maxExamples)
+      .map(({ ticker }) => `${ticker.market?.name} ${ticker.base}/${ticker.target}`)
+      .join(", ");
+    const more = matching.length > maxExamples ? ", …" : "";
+    lines.push(`• ${label}: ${matching.length} (${examples}${more})`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  MAX_TICKER_AGE_MINUTES,
+  OUTLIER_THRESHOLD_PERCENT,
+  TRUST_SCORE_RANK,
+  median,
+  validateTickers,
+  summarizeValidation,
+};
@@ -0,0 +1,150 @@
+// Triangular arbitrage within a single exchange, e.g. USDT → BTC → ETH → USDT.
+// Tickers from all fetched coins are grouped by market.identifier, each
+// exchange becomes a currency graph whose edges are the conversion rates at
+// the bid or ask after the taker fee, and every three-leg cycle that starts
+// and ends in one of the user's quote currencies is priced.
+const { getExchangeFees } = require("./fees");
+const { getPairLegPrice } = require("./arbitrage");
+const { validateTickers } = require("./tickerValidation");
+const { isExchangeAllowed } = require("./exchanges");
+
+// Most cycles reported per user per scan, best first
+const MAX_TRIANGULAR_RESULTS = 3;
+
+// Build one currency graph per exchange: graph[from][to] is the best rate for
+// converting one unit of `from` into `to`, with the ticker and price used
+function buildExchangeGraphs(coinsData, settings) {
+  const graphs = new Map();
+
+  for (const { coinId, tickers } of coinsData) {
+    const { valid } = validateTickers(tickers, coinId, settings);
+
+    for (const ticker of valid) {
+      const sell = getPairLegPrice(ticker, "sell");
+      const buy = getPairLegPrice(ticker, "buy");
+      if (
+        !ticker.last ||
+        ticker.volume < settings.minVolume ||
+        !isExchangeAllowed(ticker, settings) ||
+        // Users can skip markets that only report a last trade price
+        (settings.requireBidAsk && buy.source === "last")
+      ) {
+        continue;
+      }
+
+      const exchangeId = ticker.market.identifier;
+      if (!graphs.has(exchangeId)) {
+        graphs.set(exchangeId, {
+          name: ticker.market.name,
+          taker: getExchangeFees(exchangeId, settings.feeOverrides).taker,
+          edges: {},
+        });
+      }
+      const graph = graphs.get(exchangeId);
+      const base = ticker.base.toUpperCase();
+      const target = ticker.target.toUpperCase();
+
+      // Selling base for target at the bid, or buying base with target at the ask
+      addEdge(graph, base, target, sell.price * (1 - graph.taker), ticker, "sell", sell);
+      addEdge(graph, target, base, (1 / buy.price) * (1 - graph.taker), ticker, "buy", buy);
+    }
+  }
+
+  return graphs;
+}
+
+function addEdge(graph, from, to, rate, ticker, side, { price, source }) {
+  graph.edges[from] = graph.edges[from] || {};
+  const existing = graph.edges[from][to];
+  if (!existing || rate > existing.rate) {
+    graph.edges[from][to] = { rate, ticker, side, price, source };
+  }
+}
+
+// Same key for every rotation of a cycle, e.g. A>B>C>A and B>C>A>B
+function getCycleKey(path) {
+  const nodes = path.slice(0, -1);
+  const rotations = nodes.map((_, i) => [...nodes.slice(i), ...nodes.slice(0, i)].join(">"));
+  return rotations.sort()[0];
+}
+
+// Find profitable three-leg cycles on every exchange, best first
+function findTriangularOpportunities(coinsData, settings) {
+  const graphs = buildExchangeGraphs(coinsData, settings);
+  const opportunities = [];
+
+  for (const [exchangeId, graph] of graphs) {
+    for (const start of settings.targets) {
+      const fromStart = graph.edges[start] || {};
+
+      for (const [first, firstLeg] of Object.entries(fromStart)) {
+        for (const [second, secondLeg] of Object.entries(graph.edges[first] || {})) {
+          if (second === start || second === first) {
+            continue;
+          }
+          const closingLeg = graph.edges[second]?.[start];
+          if (!closingLeg) {
+            continue;
+          }
+
+          const legs = [firstLeg, secondLeg, closingLeg];
+          const profitPercent =
+            (legs.reduce((product, leg) => product * leg.rate, 1) - 1) * 100;
+
+          if (profitPercent >= settings.minProfit * 100) {
+            opportunities.push({
+              exchangeId,
+              exchangeName: graph.name,
+              path: [start, first, second, start],
+              legs: legs.map(({ ticker, side, price, source }) => ({
+                pair: `${ticker.base}/${ticker.target}`,
+                side,
+                price: Number(price.toPrecision(8)),
+                // "book", "spread" or "last"; see getLegRatio in arbitrage.js
+                priceSource: source,
+                tradeUrl: ticker.trade_url,
+              })),
+              lastPriceEstimate: legs.some((leg) => leg.source === "last"),
+              profitPercent,
+              profitUsd: (settings.tradeSize * profitPercent) / 100,
+              tradeSize: settings.tradeSize,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // When several of the user's quotes are on the same triangle it is found
+  // once per starting point; keep only the best rotation
+  const seen = new Set();
+  return opportunities
+    .sort((a, b) => b.profitPercent - a.profitPercent)
+    .filter((opportunity) => {
+      const key = `${opportunity.exchangeId}:${getCycleKey(opportunity.path)}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TRIANGULAR_RESULTS);
+}
+
+// Alert key for a cycle; the alerts collection stores it as the coin ID with
+// the exchange as both the buy and the sell side
+function toAlertRoute(opportunity) {
+  return {
+    coinId: `triangular:${opportunity.exchangeId}:${opportunity.path.join("-")}`,
+    opportunity: {
+      lowestExchangeId: opportunity.exchangeId,
+      highestExchangeId: opportunity.exchangeId,
+      potentialProfit: opportunity.profitPercent.toFixed(2),
+    },
+  };
+}
+
+module.exports = {
+  findTriangularOpportunities,
+  toAlertRoute,
+};
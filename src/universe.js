@@ -0,0 +1,236 @@
+// The coin universe users can track instead of a whitelist: the top N coins
+// by 24h volume or market cap, optionally limited to CoinGecko categories and
+// without stablecoins and wrapped tokens. One shared "coinUniverse"
+// collection holds every coin any user's choice needs, refreshed page by page
+// from CoinGecko; each user's own list is picked from it at scan time.
+const coingecko = require("./coingecko");
+
+// Load environment variables
+require("dotenv").config();
+
+const COLLECTION = "coinUniverse";
+const UNIVERSE_REFRESH_MINUTES = parseFloat(process.env.UNIVERSE_REFRESH_MINUTES) || 60;
+
+const UNIVERSE_SIZES = [50, 100, 250, 500];
+const DEFAULT_UNIVERSE_SIZE = 100;
+const UNIVERSE_ORDERS = {
+  volume: { label: "volume", param: "volume_desc", field: "total_volume" },
+  market_cap: { label: "market cap", param: "market_cap_desc", field: "market_cap" },
+};
+// Most coins CoinGecko returns per page of /coins/markets
+const PAGE_SIZE = 250;
+
+// Categories whose coins never make a real cross-exchange spread
+const EXCLUDED_CATEGORIES = { stablecoins: "stablecoin", "wrapped-tokens": "wrapped" };
+// Names that mark a wrapped or bridged token missing from the category
+const WRAPPED_NAME_PATTERN = /\b(wrapped|bridged)\b|\(wormhole\)/i;
+
+// Category ID -> name, from CoinGecko's category list
+let categoryNames = new Map();
+
+// What the last refresh fetched, to tell whether a new choice needs another
+let refreshedSize = 0;
+let refreshedCategories = [];
+
+// Create the universe collection; startBot fills it with the first refresh
+async function checkAndCreateUniverseCollection(db) {
+  try {
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      await db.createCollection(COLLECTION);
+      await db.collection(COLLECTION).createIndex({ id: 1 }, { unique: true });
+      console.log(`Created '${COLLECTION}' collection with unique index on id.`);
+    } else {
+      console.log(`'${COLLECTION}' collection already exists.`);
+    }
+  } catch (error) {
+    console.error(`Error checking/creating '${COLLECTION}' collection:`, error.message);
+  }
+}
+
+// A user's universe choice, with the defaults filled in
+function getUniverseSettings(user) {
+  return {
+    size: user?.universeSize || DEFAULT_UNIVERSE_SIZE,
+    order: UNIVERSE_ORDERS[user?.universeOrder] ? user.universeOrder : "volume",
+    categories: user?.universeCategories || [],
+    excludeStable: user?.universeExcludeStable ?? true,
+  };
+}
+
+// Fetch the top coins of a listing page by page until `size` of them pass
+// `counts`, or the end of the listing. Coins that do not count are kept too,
+// so the result also holds the top `size` coins for users who keep them.
+async function fetchMarketPages(params, size, counts = () => true) {
+  const coins = [];
+  let counted = 0;
+  for (let page = 1; counted < size; page++) {
+    const perPage = Math.min(PAGE_SIZE, size);
+    const pageCoins = await coingecko.getCoinMarkets({ ...params, per_page: perPage, page });
+    for (const coin of pageCoins) {
+      if (counted < size) {
+        coins.push(coin);
+        counted += counts(coin) ? 1 : 0;
+      }
+    }
+    if (pageCoins.length < perPage) {
+      break;
+    }
+  }
+  return coins;
+}
+
+// Refresh the universe for the choices of the given users: the largest size
+// any of them picked, by both orders, plus the coins of each picked category.
+// Coins that dropped out of every listing are removed.
+async function refreshUniverse(db, users) {
+  const settings = users.map(getUniverseSettings);
+  const size = Math.max(DEFAULT_UNIVERSE_SIZE, ...settings.map((setting) => setting.size));
+  const categories = [...new Set(settings.flatMap((setting) => setting.categories))];
+  const now = new Date();
+
+  try {
+    // The exclusion lists come first, in full, so every listing is fetched
+    // deep enough to fill its size once stablecoins and wrapped tokens are left out
+    const excludedIds = {};
+    for (const [category, excluded] of Object.entries(EXCLUDED_CATEGORIES)) {
+      const listed = await fetchMarketPages({ order: "market_cap_desc", category }, Infinity);
+      excludedIds[excluded] = new Set(listed.map((coin) => coin.id));
+    }
+    const isIncluded = (coin) =>
+      !WRAPPED_NAME_PATTERN.test(coin.name) && Object.values(excludedIds).every((ids) => !ids.has(coin.id));
+
+    const coins = new Map();
+    const addCoins = (list, flags = {}) => {
+      for (const coin of list) {
+        const entry = coins.get(coin.id) || {
+          id: coin.id,
+          name: coin.name,
+          symbol: coin.symbol,
+          market_cap: coin.market_cap || 0,
+          total_volume: coin.total_volume || 0,
+          last_updated: coin.last_updated,
+          categories: [],
+          stablecoin: excludedIds.stablecoin.has(coin.id),
+          wrapped: excludedIds.wrapped.has(coin.id) || WRAPPED_NAME_PATTERN.test(coin.name),
+        };
+        if (flags.category && !entry.categories.includes(flags.category)) {
+          entry.categories.push(flags.category);
+        }
+        coins.set(coin.id, entry);
+      }
+    };
+
+    for (const order of Object.values(UNIVERSE_ORDERS)) {
+      addCoins(await fetchMarketPages({ order: order.param }, size, isIncluded));
+    }
+    for (const category of categories) {
+      addCoins(await fetchMarketPages({ order: "market_cap_desc", category }, size, isIncluded), {
+        category,
+      });
+    }
+
+    if (coins.size === 0) {
+      console.error("CoinGecko returned no coins, keeping the current coin universe.");
+      return;
+    }
+    await db.collection(COLLECTION).bulkWrite(
+      [...coins.values()].map((coin) => ({
+        replaceOne: { filter: { id: coin.id }, replacement: { ...coin, refreshedAt: now }, upsert: true },
+      })),
+    );
+    await db.collection(COLLECTION).deleteMany({ refreshedAt: { $lt: now } });
+
+    refreshedSize = size;
+    refreshedCategories = categories;
+    console.log(
+      `Coin universe refreshed: ${coins.size} coins (top ${size}` +
+        `${categories.length > 0 ? `, categories ${categories.join(", ")}` : ""}).`,
+    );
+  } catch (error) {
+    console.error("Error refreshing the coin universe:", error.message);
+  }
+}
+
+// Whether a user's choice needs coins the last refresh did not fetch
+function needsRefresh(user) {
+  const { size, categories } = getUniverseSettings(user);
+  return size > refreshedSize || categories.some((category) => !refreshedCategories.includes(category));
+}
+
+// The universe's coins, ranked by each order
+async function loadUniverse(db) {
+  const coins = await db.collection(COLLECTION).find().toArray();
+  const ranked = {};
+  for (const [order, { field }] of Object.entries(UNIVERSE_ORDERS)) {
+    ranked[order] = [...coins].sort((a, b) => b[field] - a[field]);
+  }
+  return { coins, ranked };
+}
+
+// Coin IDs in a user's universe: the top coins in their order that match
+// their categories and, unless they opted out, are not stablecoins or wrapped
+function resolveUniverse(universe, user) {
+  const { size, order, categories, excludeStable } = getUniverseSettings(user);
+  return universe.ranked[order]
+    .filter(
+      (coin) =>
+        (categories.length === 0 || categories.some((category) => coin.categories.includes(category))) &&
+        !(excludeStable && (coin.stablecoin || coin.wrapped)),
+    )
+    .slice(0, size)
+    .map((coin) => coin.id);
+}
+
+// Load CoinGecko's category list unless it is already loaded
+async function loadCategories() {
+  if (categoryNames.size === 0) {
+    const categories = await coingecko.getCoinCategoriesList();
+    categoryNames = new Map(categories.map((category) => [category.category_id, category.name]));
+  }
+  return categoryNames;
+}
+
+// Match a typed category to a CoinGecko category ID by ID or name, then by
+// part of either. Returns { id } or { candidates } when it is unclear.
+async function resolveCategory(text) {
+  const categories = await loadCategories();
+  const query = text.trim().toLowerCase();
+  const entries = [...categories.entries()];
+
+  const exact = entries.find(([id, name]) => id === query || name.toLowerCase() === query);
+  if (exact) {
+    return { id: exact[0] };
+  }
+  const partial = entries.filter(([id, name]) => id.includes(query) || name.toLowerCase().includes(query));
+  return partial.length === 1 ? { id: partial[0][0] } : { candidates: partial.map(([id]) => id) };
+}
+
+function getCategoryName(categoryId) {
+  return categoryNames.get(categoryId) || categoryId;
+}
+
+// e.g. "Top 100 by volume, Meme, no stables"
+function formatUniverse(user) {
+  const { size, order, categories, excludeStable } = getUniverseSettings(user);
+  return [
+    `Top ${size} by ${UNIVERSE_ORDERS[order].label}`,
+    ...(categories.length > 0 ? [categories.map(getCategoryName).join(" / ")] : []),
+    ...(excludeStable ? ["no stables"] : []),
+  ].join(", ");
+}
+
+module.exports = {
+  UNIVERSE_REFRESH_MINUTES,
+  UNIVERSE_SIZES,
+  UNIVERSE_ORDERS,
+  checkAndCreateUniverseCollection,
+  getUniverseSettings,
+  refreshUniverse,
+  needsRefresh,
+  loadUniverse,
+  resolveUniverse,
+  resolveCategory,
+  getCategoryName,
+  formatUniverse,
+};
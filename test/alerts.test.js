@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getAlertSettings,
+  shouldSendAlert,
+  recordSentAlert,
+  recordSuppressedAlert,
+  closeAlerts,
+  expireStaleAlerts,
+} = require("../src/alerts");
+const { createFakeDb } = require("./helpers");
+
+const user = { telegramId: 1, alertCooldownMinutes: 30, realertDelta: 0.5 };
+const route = (buy, sell, profit) => ({
+  lowestExchangeId: buy,
+  highestExchangeId: sell,
+  potentialProfit: profit.toFixed(2),
+});
+const minutes = (count) => count * 60 * 1000;
+const send = (db, coinId, opportunity, now, messageId = 10) =>
+  recordSentAlert(db, user, coinId, opportunity, { messageId, messageText: "" }, now);
+
+test("getAlertSettings prefers the user's cooldown and re-alert delta", () => {
+  assert.deepEqual(getAlertSettings(user), { cooldownMs: minutes(30), realertDelta: 0.5 });
+  assert.deepEqual(getAlertSettings({ ...user, alertCooldownMinutes: 0, realertDelta: 0 }), {
+    cooldownMs: 0,
+    realertDelta: 0,
+  });
+});
+
+test("an open route is re-sent only once it widened by the re-alert delta", async () => {
+  const db = createFakeDb();
+  const now = new Date("2024-05-01T12:00:00Z");
+
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", route("binance", "kraken", 1), now), true);
+  await send(db, "bitcoin", route("binance", "kraken", 1), now);
+
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", route("binance", "kraken", 1.4), now), false);
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", route("binance", "kraken", 1.5), now), true);
+  // Other routes of the same coin are tracked on their own
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", route("binance", "gate", 1), now), true);
+});
+
+test("a closed route that reappears waits for the cooldown", async () => {
+  const db = createFakeDb();
+  const sentAt = new Date("2024-05-01T12:00:00Z");
+  await send(db, "bitcoin", route("binance", "kraken", 1), sentAt);
+  await closeAlerts(db, 1, "bitcoin", null, new Date(sentAt.getTime() + minutes(5)));
+
+  const reopened = route("binance", "kraken", 1);
+  const after = (count) => new Date(sentAt.getTime() + minutes(count));
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", reopened, after(10)), false);
+  assert.equal(await shouldSendAlert(db, user, "bitcoin", reopened, after(30)), true);
+});
+
+test("recordSentAlert keeps every message ID and the peak of the episode", async () => {
+  const db = createFakeDb();
+  const now = new Date("2024-05-01T12:00:00Z");
+  await send(db, "bitcoin", route("binance", "kraken", 1), now);
+  await recordSuppressedAlert(db, user, "bitcoin", route("binance", "kraken", 2.5), now);
+  await send(db, "bitcoin", route("binance", "kraken", 2), now, 11);
+
+  const [alert] = db.collection("alerts").documents;
+  assert.deepEqual(alert.messageIds, [10, 11]);
+  assert.equal(alert.messageId, 11);
+  assert.equal(alert.lastSentProfit, 2);
+  assert.equal(alert.peakProfit, 2.5);
+});
+
+test("closeAlerts closes every route of the coin except the one still open", async () => {
+  const db = createFakeDb();
+  const now = new Date("2024-05-01T12:00:00Z");
+  await send(db, "bitcoin", route("binance", "kraken", 1), now);
+  await send(db, "bitcoin", route("binance", "gate", 1), now);
+  await send(db, "ethereum", route("binance", "gate", 1), now);
+
+  const closedAt = new Date(now.getTime() + minutes(3));
+  const closed = await closeAlerts(db, 1, "bitcoin", route("binance", "kraken", 1), closedAt);
+
+  assert.deepEqual(
+    closed.map((alert) => [alert.coinId, alert.sellExchange, alert.closedAt]),
+    [["bitcoin", "gate", closedAt]],
+  );
+  const statuses = db
+    .collection("alerts")
+    .documents.map((alert) => `${alert.coinId}:${alert.sellExchange}:${alert.status}`);
+  assert.deepEqual(statuses, ["bitcoin:kraken:open", "bitcoin:gate:closed", "ethereum:gate:open"]);
+});
+
+test("expireStaleAlerts closes open routes as of when they were last seen", async () => {
+  const db = createFakeDb();
+  const old = new Date("2024-05-01T10:00:00Z");
+  const recent = new Date("2024-05-01T11:50:00Z");
+  await send(db, "bitcoin", route("binance", "kraken", 1), old);
+  await send(db, "ethereum", route("binance", "kraken", 1), recent);
+
+  const expired = await expireStaleAlerts(db, new Date("2024-05-01T11:00:00Z"));
+
+  assert.equal(expired, 1);
+  const [stale, fresh] = db.collection("alerts").documents;
+  assert.equal(stale.status, "closed");
+  assert.deepEqual(stale.closedAt, old);
+  assert.equal(fresh.status, "open");
+});
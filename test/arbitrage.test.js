@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeNetProfit } = require("../src/fees");
+const { checkArbitrage, getSpreadTable } = require("../src/arbitrage");
+const { getUserSettings } = require("../src/settings");
+const { makeTicker } = require("./helpers");
+
+const settings = (overrides = {}) =>
+  getUserSettings({
+    minProfit: 0.005,
+    minVolume: 1000,
+    tradeSize: 1000,
+    targets: ["USDT"],
+    ...overrides,
+  });
+
+test("computeNetProfit pays the taker fee on both legs and the buy exchange's withdrawal fee", () => {
+  const net = computeNetProfit({
+    asset: "btc",
+    buyExchangeId: "binance",
+    buyPrice: 100,
+    sellExchangeId: "kraken",
+    sellPrice: 110,
+    tradeSize: 1000,
+  });
+
+  // 9.99 BTC bought after 0.1%, 0.0002 BTC withdrawn, sold after 0.4%
+  const proceeds = (9.99 - 0.0002) * 110 * 0.996;
+  assert.ok(Math.abs(net.netProfitUsd - (proceeds - 1000)) < 1e-9);
+  assert.ok(Math.abs(net.netProfitPercent - (proceeds - 1000) / 10) < 1e-9);
+  assert.equal(net.buyTakerFee, 0.001);
+  assert.equal(net.sellTakerFee, 0.004);
+  assert.ok(Math.abs(net.withdrawalFeeUsd - 0.02) < 1e-9);
+});
+
+test("computeNetProfit applies the user's fee overrides", () => {
+  const net = computeNetProfit({
+    asset: "BTC",
+    buyExchangeId: "binance",
+    buyPrice: 100,
+    sellExchangeId: "kraken",
+    sellPrice: 110,
+    tradeSize: 1000,
+    feeOverrides: { kraken: { taker: 0 }, binance: { withdrawal: { BTC: 0 } } },
+  });
+
+  assert.ok(Math.abs(net.netProfitUsd - (9.99 * 110 - 1000)) < 1e-9);
+});
+
+test("checkArbitrage buys at the lowest ask and sells at the highest bid after fees", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 }),
+    makeTicker({ exchange: "kraken", last: 103, bid: 103, ask: 103.2 }),
+    makeTicker({ exchange: "gate", last: 101 }),
+  ];
+
+  const opportunity = checkArbitrage(tickers, settings(), "bitcoin");
+
+  assert.equal(opportunity.lowestExchangeId, "binance");
+  assert.equal(opportunity.highestExchangeId, "kraken");
+  assert.equal(opportunity.lowestPrice, 100);
+  assert.equal(opportunity.highestPrice, 103);
+  assert.equal(opportunity.buyPriceSource, "book");
+  assert.equal(opportunity.sellPriceSource, "book");
+  assert.equal(opportunity.lastPriceEstimate, false);
+  assert.equal(opportunity.grossProfit, "3.00");
+  const proceeds = (9.99 - 0.0002) * 103 * 0.996;
+  assert.equal(opportunity.netProfit, ((proceeds - 1000) / 10).toFixed(2));
+  assert.equal(opportunity.potentialProfit, opportunity.netProfit);
+});
+
+test("checkArbitrage ignores spreads the fees eat up", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 }),
+    makeTicker({ exchange: "kraken", last: 100.3, bid: 100.3, ask: 100.4 }),
+  ];
+
+  assert.equal(checkArbitrage(tickers, settings(), "bitcoin"), null);
+});
+
+test("checkArbitrage compares different quote currencies only with cross-quote on", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 }),
+    makeTicker({ exchange: "kraken", target: "USDC", last: 103, bid: 103, ask: 103.2 }),
+  ];
+  const targets = ["USDT", "USDC"];
+
+  assert.equal(checkArbitrage(tickers, settings({ targets }), "bitcoin"), null);
+
+  const opportunity = checkArbitrage(tickers, settings({ targets, crossQuote: true }), "bitcoin");
+  assert.equal(opportunity.crossQuote, true);
+  assert.equal(opportunity.buyPair, "BTC/USDT");
+  assert.equal(opportunity.sellPair, "BTC/USDC");
+});
+
+test("checkArbitrage skips muted routes for the next best one", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 }),
+    makeTicker({ exchange: "kraken", last: 103, bid: 103, ask: 103.2 }),
+    makeTicker({ exchange: "bitget", last: 102.5, bid: 102.5, ask: 102.6 }),
+  ];
+  const mutedRoutes = [{ buyExchange: "binance", sellExchange: "kraken" }];
+
+  const opportunity = checkArbitrage(tickers, settings({ mutedRoutes }), "bitcoin");
+
+  assert.equal(opportunity.lowestExchangeId, "binance");
+  assert.equal(opportunity.highestExchangeId, "bitget");
+});
+
+test("checkArbitrage leaves out markets without a bid and ask when the user requires them", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 }),
+    makeTicker({ exchange: "kraken", last: 103, bid: 103, ask: 103.2 }),
+    makeTicker({ exchange: "gate", last: 106 }),
+  ];
+
+  const estimated = checkArbitrage(tickers, settings(), "bitcoin");
+  assert.equal(estimated.highestExchangeId, "gate");
+  assert.equal(estimated.sellPriceSource, "last");
+  assert.equal(estimated.lastPriceEstimate, true);
+
+  const booked = checkArbitrage(tickers, settings({ requireBidAsk: true }), "bitcoin");
+  assert.equal(booked.highestExchangeId, "kraken");
+});
+
+test("checkArbitrage keeps tickers without a volume and flags the alert", () => {
+  const tickers = [
+    makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100, volume: null }),
+    makeTicker({ exchange: "kraken", last: 103, bid: 103, ask: 103.2 }),
+  ];
+
+  const opportunity = checkArbitrage(tickers, settings(), "bitcoin");
+
+  assert.equal(opportunity.volume, "unknown");
+  assert.equal(opportunity.volumeUnknown, true);
+});
+
+test("getSpreadTable places CoinGecko quotes half the spread either side of the last price", () => {
+  const tickers = [
+    makeTicker({ exchange: "gate", last: 100, spread: 1 }),
+    makeTicker({ exchange: "kraken", last: 103, bid: 103, ask: 103.2 }),
+  ];
+
+  const { exchanges, routes } = getSpreadTable(tickers, settings(), "bitcoin", 5);
+
+  assert.deepEqual(
+    exchanges.map(({ exchange, ask, bid, source }) => ({ exchange, ask, bid, source })),
+    [
+      { exchange: "gate", ask: 100.5, bid: 99.5, source: "spread" },
+      { exchange: "kraken", ask: 103.2, bid: 103, source: "book" },
+    ],
+  );
+  assert.equal(routes[0].buyExchange, "gate");
+  assert.equal(routes[0].sellExchange, "kraken");
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CONVERSATION_TIMEOUT_MINUTES, createConversations } = require("../src/conversations");
+const { createFakeDb } = require("./helpers");
+
+const start = new Date("2024-05-01T12:00:00Z");
+const later = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+const message = (text, chatId = 1) => ({ chat: { id: chatId }, text });
+
+// A two-step flow asking for a number and then a confirmation
+function setup() {
+  const db = createFakeDb();
+  const sent = [];
+  const saved = [];
+  const conversations = createConversations({
+    getDb: () => db,
+    send: async (chatId, text) => sent.push([chatId, text]),
+  });
+  conversations.defineFlow("minProfit", {
+    amount: {
+      prompt: () => "Enter the minimum profit in %:",
+      parse: (text) =>
+        Number(text) > 0 ? { value: Number(text) } : { error: "Please enter a positive number." },
+      handle: (value, data) => {
+        if (value === 13) {
+          throw new Error("unlucky");
+        }
+        data.amount = value;
+        return "confirm";
+      },
+    },
+    confirm: {
+      prompt: (data) => `Set it to ${data.amount}%? (yes/no)`,
+      parse: (text) => ({ value: text === "yes" }),
+      handle: (value, data, chatId) => {
+        saved.push([chatId, value, data.amount]);
+      },
+    },
+  });
+  return { db, sent, saved, conversations };
+}
+
+test("a flow walks through its steps with the data it collected", async () => {
+  const { db, sent, saved, conversations } = setup();
+
+  await conversations.start(1, "minProfit", {}, start);
+  assert.equal(await conversations.handleMessage(message("1.5"), later(1)), true);
+  assert.equal(await conversations.handleMessage(message("yes"), later(2)), true);
+
+  assert.deepEqual(
+    sent.map(([, text]) => text),
+    ["Enter the minimum profit in %:", "Set it to 1.5%? (yes/no)"],
+  );
+  assert.deepEqual(saved, [[1, true, 1.5]]);
+  assert.equal(db.collection("conversations").documents.length, 0);
+});
+
+test("messages outside a flow, commands and other chats are left to other handlers", async () => {
+  const { conversations } = setup();
+  await conversations.start(1, "minProfit", {}, start);
+
+  assert.equal(await conversations.handleMessage(message("1.5", 2), later(1)), false);
+  assert.equal(await conversations.handleMessage(message("/options"), later(1)), false);
+  assert.equal(await conversations.handleMessage(message("2"), later(1)), true);
+});
+
+test("invalid answers re-prompt until the attempts run out", async () => {
+  const { db, sent, conversations } = setup();
+  await conversations.start(1, "minProfit", {}, start);
+
+  await conversations.handleMessage(message("abc"), later(1));
+  assert.match(sent.at(-1)[1], /^Please enter a positive number\.\n\nEnter the minimum profit in %:/);
+  await conversations.handleMessage(message("-1"), later(2));
+  assert.equal(db.collection("conversations").documents[0].attempts, 2);
+
+  await conversations.handleMessage(message("0"), later(3));
+  assert.match(sent.at(-1)[1], /Too many invalid answers, the prompt was cancelled\./);
+  assert.equal(db.collection("conversations").documents.length, 0);
+});
+
+test("an answer after the timeout ends the flow without acting on it", async () => {
+  const { db, sent, saved, conversations } = setup();
+  await conversations.start(1, "minProfit", {}, start);
+
+  await conversations.handleMessage(message("1.5"), later(CONVERSATION_TIMEOUT_MINUTES + 1));
+
+  assert.match(sent.at(-1)[1], /timed out/);
+  assert.deepEqual(saved, []);
+  assert.equal(db.collection("conversations").documents.length, 0);
+});
+
+test("a failing step ends the flow with an error message", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { db, sent, conversations } = setup();
+  await conversations.start(1, "minProfit", {}, start);
+
+  await conversations.handleMessage(message("13"), later(1));
+
+  assert.equal(sent.at(-1)[1], "There was an error saving your answer. Please try again.");
+  assert.equal(db.collection("conversations").documents.length, 0);
+});
+
+test("cancel and expireConversations end flows", async () => {
+  const { sent, conversations } = setup();
+  await conversations.start(1, "minProfit", {}, start);
+  await conversations.start(2, "minProfit", {}, start);
+
+  assert.equal(await conversations.cancel(1), true);
+  assert.equal(await conversations.cancel(1), false);
+
+  await conversations.expireConversations(later(CONVERSATION_TIMEOUT_MINUTES));
+  assert.deepEqual(sent.at(-1), [2, "⌛ Your prompt timed out, nothing was changed."]);
+  assert.equal(await conversations.cancel(2), false);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseQuietHours,
+  formatQuietHours,
+  isInQuietHours,
+  shouldQueue,
+  isDigestDue,
+  queueOpportunity,
+  claimQueuedOpportunities,
+  deleteSentOpportunities,
+  formatDigest,
+} = require("../src/delivery");
+const { createFakeDb } = require("./helpers");
+
+const at = (time) => new Date(`2024-05-01T${time}:00Z`);
+const route = (buy, sell, profit) => ({
+  lowestExchangeId: buy,
+  highestExchangeId: sell,
+  potentialProfit: profit.toFixed(2),
+});
+
+test("parseQuietHours reads hours with or without minutes", () => {
+  assert.deepEqual(parseQuietHours("23:00-07:30"), { start: 23 * 60, end: 7 * 60 + 30 });
+  assert.deepEqual(parseQuietHours("22 - 6"), { start: 22 * 60, end: 6 * 60 });
+  assert.equal(parseQuietHours("25-6"), null);
+  assert.equal(parseQuietHours("8-8"), null);
+  assert.equal(parseQuietHours("late"), null);
+  assert.equal(formatQuietHours(parseQuietHours("23-7:30")), "23:00–07:30");
+  assert.equal(formatQuietHours(null), "off");
+});
+
+test("quiet hours wrap past midnight in the user's timezone", () => {
+  // 23:00–07:00 in New York, four hours behind UTC in May
+  const user = { quietHours: parseQuietHours("23-7"), timezone: "America/New_York" };
+
+  assert.equal(isInQuietHours(user, at("02:59")), false);
+  assert.equal(isInQuietHours(user, at("03:00")), true);
+  assert.equal(isInQuietHours(user, at("10:59")), true);
+  assert.equal(isInQuietHours(user, at("11:00")), false);
+  assert.equal(isInQuietHours({ timezone: "UTC" }, at("03:00")), false);
+});
+
+test("alerts are queued in digest mode and during quiet hours", () => {
+  const quiet = { quietHours: parseQuietHours("0-6"), timezone: "UTC" };
+
+  assert.equal(shouldQueue({}, at("03:00")), false);
+  assert.equal(shouldQueue({ deliveryMode: "digest" }, at("12:00")), true);
+  assert.equal(shouldQueue(quiet, at("03:00")), true);
+  assert.equal(shouldQueue(quiet, at("12:00")), false);
+});
+
+test("digests are due on the user's interval and once quiet hours end", () => {
+  const digest = { deliveryMode: "digest", digestIntervalMinutes: 60, timezone: "UTC" };
+  const quiet = { quietHours: parseQuietHours("0-6"), timezone: "UTC" };
+
+  assert.equal(isDigestDue({ ...digest, lastDigestAt: at("11:30") }, at("12:00")), false);
+  assert.equal(isDigestDue({ ...digest, lastDigestAt: at("11:00") }, at("12:00")), true);
+  assert.equal(isDigestDue({ ...digest, quietHours: quiet.quietHours }, at("03:00")), false);
+  assert.equal(isDigestDue(quiet, at("03:00")), false);
+  assert.equal(isDigestDue(quiet, at("06:00")), true);
+});
+
+test("queued sightings are merged per route and claimed once", async () => {
+  const db = createFakeDb();
+  const queue = (coinId, profit, time) =>
+    queueOpportunity(db, { telegramId: 1 }, coinId, route("binance", "kraken", profit), coinId, at(time));
+  await queue("bitcoin", 1.2, "10:00");
+  await queue("bitcoin", 2.5, "10:05");
+  await queue("bitcoin", 1.8, "10:10");
+  await queue("ethereum", 0.9, "10:20");
+
+  const entries = await claimQueuedOpportunities(db, 1);
+
+  assert.deepEqual(
+    entries.map((entry) => [entry.coinId, entry.peakProfit, entry.lastProfit, entry.sightings]),
+    [
+      ["bitcoin", 2.5, 1.8, 3],
+      ["ethereum", 0.9, 0.9, 1],
+    ],
+  );
+  assert.deepEqual(entries[0].firstSeenAt, at("10:00"));
+
+  // A sighting queued while the digest is sent waits for the next one
+  await queue("bitcoin", 3, "10:30");
+  await deleteSentOpportunities(db, entries);
+  const next = await claimQueuedOpportunities(db, 1);
+  assert.deepEqual(
+    next.map(({ coinId, peakProfit, sightings }) => [coinId, peakProfit, sightings]),
+    [["bitcoin", 3, 1]],
+  );
+});
+
+test("a digest lists each kind of route best peak first", () => {
+  const entry = (coinId, label, peakProfit) => ({
+    coinId,
+    label,
+    peakProfit,
+    lastProfit: peakProfit,
+    sightings: 1,
+    firstSeenAt: at("10:00"),
+  });
+  const entries = [
+    entry("bitcoin", "BTC binance → kraken", 1.2),
+    entry("ethereum", "ETH gate → kraken", 2.4),
+    entry("triangular:binance:USDT-BTC-ETH-USDT", "USDT → BTC → ETH → USDT", 0.8),
+  ];
+
+  const digest = formatDigest(entries, { timezone: "UTC" }, at("12:00"));
+
+  assert.match(digest, /1 May, 10:00 – 1 May, 12:00 \(UTC\)/);
+  assert.ok(digest.indexOf("ETH gate") < digest.indexOf("BTC binance"));
+  assert.match(digest, /💰 Spot arbitrage<\/b> \(2 routes\)/);
+  assert.match(digest, /🔺 Triangular<\/b> \(1 route\)/);
+  assert.doesNotMatch(digest, /Carry/);
+});
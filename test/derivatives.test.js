@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isDerivativesCacheFresh,
+  setDerivatives,
+  getPerpetuals,
+  findCarryOpportunity,
+  toAlertRoute,
+} = require("../src/derivatives");
+const { getUserSettings } = require("../src/settings");
+const { makeTicker } = require("./helpers");
+
+const settings = (overrides = {}) =>
+  getUserSettings({
+    minVolume: 1000,
+    targets: ["USDT"],
+    minFundingApr: 20,
+    minBasis: 0.5,
+    ...overrides,
+  });
+
+const perpetual = (overrides = {}) => ({
+  market: "Binance (Futures)",
+  symbol: "BTCUSDT",
+  index_id: "BTC",
+  contract_type: "perpetual",
+  price: "100.2",
+  funding_rate: "0.01",
+  volume_24h: 50000000,
+  open_interest: 800000000,
+  expired_at: null,
+  ...overrides,
+});
+
+const spotTickers = [
+  makeTicker({ exchange: "kraken", last: 100.5 }),
+  makeTicker({ exchange: "binance", last: 100 }),
+];
+
+test("the cheapest spot market is paired with the perpetual paying the most funding", () => {
+  const perpetuals = [
+    perpetual({ market: "Bybit", funding_rate: "0.03" }),
+    perpetual({ market: "OKX", funding_rate: "0.05", price: "101" }),
+  ];
+
+  const opportunity = findCarryOpportunity("bitcoin", spotTickers, perpetuals, settings());
+
+  assert.equal(opportunity.spotExchangeId, "binance");
+  assert.equal(opportunity.spotPrice, 100);
+  assert.equal(opportunity.perpMarket, "OKX");
+  assert.ok(Math.abs(opportunity.fundingApr - 0.05 * 3 * 365) < 1e-9);
+  assert.ok(Math.abs(opportunity.basisPercent - 1) < 1e-9);
+  assert.equal(opportunity.openInterest, 800000000);
+});
+
+test("a perpetual qualifies on its basis alone when funding is low", () => {
+  const premium = perpetual({ funding_rate: "0", price: "101" });
+  const flat = perpetual({ funding_rate: "0", price: "100.2" });
+
+  const find = (perpetuals) => findCarryOpportunity("bitcoin", spotTickers, perpetuals, settings());
+
+  assert.ok(find([premium]));
+  assert.equal(find([flat]), null);
+});
+
+test("perpetuals on another asset or with too little volume are ignored", () => {
+  const perpetuals = [
+    perpetual({ index_id: "ETH", funding_rate: "0.05" }),
+    perpetual({ volume_24h: 1000, funding_rate: "0.05" }),
+  ];
+
+  assert.equal(findCarryOpportunity("bitcoin", spotTickers, perpetuals, settings()), null);
+});
+
+test("setDerivatives keeps only live perpetuals with a price", () => {
+  const now = Date.now();
+  setDerivatives(
+    [
+      perpetual({ market: "live" }),
+      perpetual({ market: "quarterly", contract_type: "futures" }),
+      perpetual({ market: "expired", expired_at: "2024-01-01" }),
+      perpetual({ market: "unpriced", price: "0" }),
+      perpetual({ market: "unindexed", index_id: null }),
+    ],
+    now,
+  );
+
+  assert.deepEqual(getPerpetuals().map((contract) => contract.market), ["live"]);
+  assert.equal(isDerivativesCacheFresh(now + 1000), true);
+  assert.equal(isDerivativesCacheFresh(now + 60 * 60 * 1000), false);
+});
+
+test("toAlertRoute keys a carry trade by coin and perpetual market", () => {
+  const perpetuals = [perpetual({ funding_rate: "0.05" })];
+  const opportunity = findCarryOpportunity("bitcoin", spotTickers, perpetuals, settings());
+
+  assert.deepEqual(toAlertRoute("bitcoin", opportunity), {
+    coinId: "derivatives:bitcoin:Binance (Futures)",
+    opportunity: {
+      lowestExchangeId: "binance",
+      highestExchangeId: "Binance (Futures)",
+      potentialProfit: opportunity.fundingApr.toFixed(2),
+    },
+  });
+});
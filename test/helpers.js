@@ -0,0 +1,275 @@
+// Shared fixtures for the unit tests: CoinGecko-shaped tickers and a small
+// in-memory stand-in for the MongoDB collections the modules use. The fake
+// understands only the queries and updates the code under test sends.
+const { ObjectId } = require("mongodb");
+
+// A CoinGecko ticker quoted in a dollar stablecoin, traded a minute ago.
+// `bid` and `ask` add the top of book the direct exchange providers report.
+function makeTicker({
+  exchange,
+  base = "BTC",
+  target = "USDT",
+  last,
+  bid,
+  ask,
+  spread,
+  volume = 1000000,
+  usdRate = 1,
+  trustScore = "green",
+  coinId,
+  tradedAt = new Date(Date.now() - 60 * 1000),
+}) {
+  return {
+    base,
+    target,
+    coin_id: coinId,
+    market: { name: exchange, identifier: exchange },
+    last,
+    ...(bid != null && { bid }),
+    ...(ask != null && { ask }),
+    ...(spread != null && { bid_ask_spread_percentage: spread }),
+    volume,
+    converted_last: { usd: last * usdRate },
+    converted_volume: { usd: volume == null ? null : volume * last * usdRate },
+    trust_score: trustScore,
+    last_traded_at: tradedAt.toISOString(),
+    is_stale: false,
+    is_anomaly: false,
+    trade_url: `https://${exchange}.example/trade/${base}_${target}`,
+  };
+}
+
+// Deep copy of a document, keeping dates and ObjectIds as they are
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof ObjectId)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function getPath(document, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), document);
+}
+
+function setPath(document, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = document;
+  for (const key of keys) {
+    target[key] = target[key] ?? {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date || a instanceof ObjectId || b instanceof ObjectId) {
+    return String(a?.valueOf()) === String(b?.valueOf());
+  }
+  return a === b;
+}
+
+function matchesCondition(value, condition) {
+  const isOperator =
+    condition && typeof condition === "object" && !(condition instanceof Date) && !(condition instanceof ObjectId);
+  if (!isOperator) {
+    return Array.isArray(value)
+      ? value.some((entry) => isEqual(entry, condition))
+      : isEqual(value ?? null, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$lt":
+        return value != null && value < operand;
+      case "$lte":
+        return value != null && value <= operand;
+      case "$gte":
+        return value != null && value >= operand;
+      case "$ne":
+        return !isEqual(value ?? null, operand);
+      case "$in":
+        return operand.some((entry) => isEqual(value, entry));
+      case "$nin":
+        return !operand.some((entry) => isEqual(value, entry));
+      case "$exists":
+        return (value !== undefined) === operand;
+      case "$regex":
+        return new RegExp(operand).test(value);
+      default:
+        throw new Error(`Fake collection does not support ${operator}`);
+    }
+  });
+}
+
+function matches(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) =>
+    key === "$nor"
+      ? condition.every((subFilter) => !matches(document, subFilter))
+      : matchesCondition(getPath(document, key), condition),
+  );
+}
+
+// The value of an aggregation expression used in pipeline updates
+function evaluate(document, expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(document, expression.slice(1));
+  }
+  if (expression?.$subtract) {
+    const [a, b] = expression.$subtract.map((operand) => evaluate(document, operand));
+    return a - b;
+  }
+  return expression;
+}
+
+function applyUpdate(document, update, inserting) {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      for (const [path, expression] of Object.entries(stage.$set)) {
+        setPath(document, path, evaluate(document, expression));
+      }
+    }
+    return;
+  }
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    setPath(document, path, clone(value));
+  }
+  if (inserting) {
+    for (const [path, value] of Object.entries(update.$setOnInsert || {})) {
+      setPath(document, path, clone(value));
+    }
+  }
+  for (const [path, amount] of Object.entries(update.$inc || {})) {
+    setPath(document, path, (getPath(document, path) || 0) + amount);
+  }
+  for (const [path, value] of Object.entries(update.$max || {})) {
+    const current = getPath(document, path);
+    if (current == null || value > current) {
+      setPath(document, path, value);
+    }
+  }
+  for (const [path, value] of Object.entries(update.$addToSet || {})) {
+    const current = getPath(document, path) || [];
+    setPath(document, path, current.some((entry) => isEqual(entry, value)) ? current : [...current, value]);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    delete getPath(document, keys.join("."))?.[last];
+  }
+}
+
+function createFakeCollection() {
+  const documents = [];
+
+  // A new document for an upsert, from the plain equality fields of the filter
+  function upsertDocument(filter) {
+    const document = { _id: new ObjectId() };
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith("$") && (value === null || typeof value !== "object" || value instanceof Date)) {
+        setPath(document, key, value);
+      }
+    }
+    documents.push(document);
+    return document;
+  }
+
+  function find(filter) {
+    let results = documents.filter((document) => matches(document, filter));
+    const cursor = {
+      sort(order) {
+        const [[key, direction]] = Object.entries(order);
+        results = [...results].sort((a, b) => (getPath(a, key) > getPath(b, key) ? 1 : -1) * direction);
+        return cursor;
+      },
+      limit(count) {
+        results = results.slice(0, count);
+        return cursor;
+      },
+      toArray: async () => results.map((document) => clone(document)),
+    };
+    return cursor;
+  }
+
+  return {
+    documents,
+    find,
+    async findOne(filter) {
+      const document = documents.find((candidate) => matches(candidate, filter));
+      return document ? clone(document) : null;
+    },
+    async insertOne(document) {
+      const inserted = { _id: new ObjectId(), ...clone(document) };
+      documents.push(inserted);
+      return { insertedId: inserted._id };
+    },
+    async updateOne(filter, update, { upsert = false } = {}) {
+      let document = documents.find((candidate) => matches(candidate, filter));
+      const inserting = !document && upsert;
+      if (inserting) {
+        document = upsertDocument(filter);
+      }
+      if (document) {
+        applyUpdate(document, update, inserting);
+      }
+      return { matchedCount: document && !inserting ? 1 : 0, modifiedCount: document ? 1 : 0 };
+    },
+    async updateMany(filter, update) {
+      const matched = documents.filter((document) => matches(document, filter));
+      for (const document of matched) {
+        applyUpdate(document, update, false);
+      }
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    async findOneAndUpdate(filter, update) {
+      const document = documents.find((candidate) => matches(candidate, filter));
+      if (!document) {
+        return null;
+      }
+      const before = clone(document);
+      applyUpdate(document, update, false);
+      return before;
+    },
+    async replaceOne(filter, replacement, { upsert = false } = {}) {
+      const index = documents.findIndex((candidate) => matches(candidate, filter));
+      if (index >= 0) {
+        documents[index] = { _id: documents[index]._id, ...clone(replacement) };
+      } else if (upsert) {
+        documents.push({ _id: new ObjectId(), ...clone(replacement) });
+      }
+    },
+    async deleteOne(filter) {
+      const index = documents.findIndex((candidate) => matches(candidate, filter));
+      if (index >= 0) {
+        documents.splice(index, 1);
+      }
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    },
+    async deleteMany(filter) {
+      const remaining = documents.filter((document) => !matches(document, filter));
+      const deletedCount = documents.length - remaining.length;
+      documents.splice(0, documents.length, ...remaining);
+      return { deletedCount };
+    },
+  };
+}
+
+// A database whose collections are created on first use
+function createFakeDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createFakeCollection());
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = {
+  makeTicker,
+  createFakeDb,
+};
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PAPER_STARTING_BALANCE,
+  getPaperAccount,
+  executePaperTrade,
+  formatPaperFill,
+  formatPortfolio,
+} = require("../src/paper");
+const { computeNetProfit } = require("../src/fees");
+const { createFakeDb } = require("./helpers");
+
+const signal = (overrides = {}) => ({
+  coinId: "bitcoin",
+  asset: "BTC",
+  buyExchangeId: "binance",
+  buyExchange: "Binance",
+  buyPair: "BTC/USDT",
+  buyPrice: 100,
+  sellExchangeId: "kraken",
+  sellExchange: "Kraken",
+  sellPair: "BTC/USDT",
+  sellPrice: 103,
+  delaySeconds: 2,
+  createdAt: new Date("2024-05-01T12:00:00Z"),
+  ...overrides,
+});
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+test("a trade fills at the alert prices with the alert's fee math", async () => {
+  const db = createFakeDb();
+
+  const trade = await executePaperTrade(db, 1, signal(), { tradeSize: 1000, feeOverrides: {} });
+
+  const net = computeNetProfit({
+    asset: "BTC",
+    buyExchangeId: "binance",
+    buyPrice: 100,
+    sellExchangeId: "kraken",
+    sellPrice: 103,
+    tradeSize: 1000,
+  });
+  close(trade.realizedPnl, net.netProfitUsd);
+  close(trade.unitsBought, 9.99);
+  close(trade.unitsSold, 9.99 - 0.0002);
+  assert.equal(trade.repriced, false);
+  assert.equal(trade.alertBuyPrice, 100);
+  assert.match(formatPaperFill(trade), /Filled at the alert prices after your 2s fill delay/);
+
+  // Each exchange was seeded with the starting balance's worth of the coin
+  const { balances, realizedPnl, tradeCount } = await getPaperAccount(db, 1);
+  close(balances.binance.USD, PAPER_STARTING_BALANCE - 1000);
+  close(balances.binance.BTC, PAPER_STARTING_BALANCE / 100 + 9.99);
+  close(balances.kraken.USD, PAPER_STARTING_BALANCE + 1000 + net.netProfitUsd);
+  close(balances.kraken.BTC, PAPER_STARTING_BALANCE / 103 - (9.99 - 0.0002));
+  close(realizedPnl, net.netProfitUsd);
+  assert.equal(tradeCount, 1);
+});
+
+test("a re-priced trade keeps the alert prices next to the fill prices", async () => {
+  const db = createFakeDb();
+  const repriced = signal({
+    buyPrice: 101,
+    alertBuyPrice: 100,
+    sellPrice: 102.5,
+    alertSellPrice: 103,
+  });
+
+  const trade = await executePaperTrade(db, 1, repriced, { tradeSize: 1000, feeOverrides: {} });
+
+  assert.equal(trade.repriced, true);
+  assert.equal(trade.buyPrice, 101);
+  assert.equal(trade.alertBuyPrice, 100);
+  const fill = formatPaperFill(trade);
+  assert.match(fill, /@ \$101 \(alert \$100\)/);
+  assert.match(fill, /Re-priced at the market after your 2s fill delay/);
+});
+
+test("a trade is rejected when the buy exchange is short of dollars", async () => {
+  const db = createFakeDb();
+
+  const result = await executePaperTrade(db, 1, signal(), {
+    tradeSize: PAPER_STARTING_BALANCE * 2,
+    feeOverrides: {},
+  });
+
+  assert.match(result.rejected, /Not enough paper USD on Binance/);
+  assert.equal(db.collection("paperTrades").documents.length, 0);
+});
+
+test("a trade is rejected when the sell exchange is short of the coin", async () => {
+  const db = createFakeDb();
+  const tradeSize = PAPER_STARTING_BALANCE / 2;
+
+  const first = await executePaperTrade(db, 1, signal(), { tradeSize, feeOverrides: {} });
+  const second = await executePaperTrade(db, 1, signal(), { tradeSize, feeOverrides: {} });
+
+  assert.equal(first.rejected, undefined);
+  assert.match(second.rejected, /Not enough paper BTC on Kraken/);
+  assert.equal((await getPaperAccount(db, 1)).tradeCount, 1);
+});
+
+test("the portfolio lists the transfers back to the starting balances", async () => {
+  const db = createFakeDb();
+  await executePaperTrade(db, 1, signal(), { tradeSize: 1000, feeOverrides: {} });
+
+  const portfolio = formatPortfolio(await getPaperAccount(db, 1));
+
+  assert.match(portfolio, /Move \$1,000\.00 from kraken to binance/);
+  assert.match(portfolio, /Move 9\.9898 BTC from binance to kraken/);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadPlans,
+  getUserPlan,
+  getScanIntervalSeconds,
+  getScanIntervalChoices,
+  isScanDue,
+  getCoinRoom,
+  formatInterval,
+  formatPlanLimits,
+} = require("../src/plans");
+const { createFakeDb } = require("./helpers");
+
+const plans = new Map([
+  ["free", { name: "free", maxCoins: 10, minScanIntervalSeconds: 300, maxScanIntervalSeconds: 3600 }],
+  ["whale", { name: "whale" }],
+]);
+
+test("users get their own plan, or the free tier, with missing limits filled in", () => {
+  assert.deepEqual(getUserPlan(plans, { plan: "free" }), {
+    name: "free",
+    maxCoins: 10,
+    minScanIntervalSeconds: 300,
+    maxScanIntervalSeconds: 3600,
+  });
+  assert.equal(getUserPlan(plans, { plan: "unknown" }).name, "free");
+  assert.equal(getUserPlan(new Map(), null).name, "free");
+  assert.deepEqual(getUserPlan(plans, { plan: "whale" }), {
+    name: "whale",
+    maxCoins: Infinity,
+    minScanIntervalSeconds: 10,
+    maxScanIntervalSeconds: 3600,
+  });
+});
+
+test("loadPlans reads the operator's tiers by name", async () => {
+  const db = createFakeDb();
+  await db.collection("plans").insertOne({ name: "pro", maxCoins: 200 });
+
+  const loaded = await loadPlans(db);
+
+  assert.deepEqual([...loaded.keys()], ["pro"]);
+  assert.equal(getUserPlan(loaded, { plan: "pro" }).maxCoins, 200);
+});
+
+test("the chosen scan interval is kept within the plan", () => {
+  const free = getUserPlan(plans, { plan: "free" });
+
+  assert.equal(getScanIntervalSeconds({}, free), 300);
+  assert.equal(getScanIntervalSeconds({ scanIntervalSeconds: 10 }, free), 300);
+  assert.equal(getScanIntervalSeconds({ scanIntervalSeconds: 900 }, free), 900);
+  assert.equal(getScanIntervalSeconds({ scanIntervalSeconds: 86400 }, free), 3600);
+  assert.deepEqual(getScanIntervalChoices(free), [300, 900, 1800, 3600]);
+});
+
+test("a coin is due once the user's interval has passed since its last scan", () => {
+  const free = getUserPlan(plans, { plan: "free" });
+  const user = { scanIntervalSeconds: 900 };
+  const lastScanAt = Date.parse("2024-05-01T12:00:00Z");
+
+  assert.equal(isScanDue(user, free, undefined, lastScanAt), true);
+  assert.equal(isScanDue(user, free, lastScanAt, lastScanAt + 899 * 1000), false);
+  assert.equal(isScanDue(user, free, lastScanAt, lastScanAt + 900 * 1000), true);
+});
+
+test("coin quotas and plan summaries", () => {
+  const free = getUserPlan(plans, { plan: "free" });
+  const whale = getUserPlan(plans, { plan: "whale" });
+
+  assert.equal(getCoinRoom(free, 7), 3);
+  assert.equal(getCoinRoom(free, 12), 0);
+  assert.equal(getCoinRoom(whale, 5000), Infinity);
+  assert.deepEqual([30, 300, 5400, 3600].map(formatInterval), ["30s", "5m", "90m", "1h"]);
+  assert.equal(formatPlanLimits(free), "10 coins, scans every 5m at the fastest");
+  assert.equal(formatPlanLimits(whale), "unlimited coins, scans every 10s at the fastest");
+});
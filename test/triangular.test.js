@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findTriangularOpportunities, toAlertRoute } = require("../src/triangular");
+const { getUserSettings } = require("../src/settings");
+const { makeTicker } = require("./helpers");
+
+const settings = (overrides = {}) =>
+  getUserSettings({
+    minProfit: 0.005,
+    minVolume: 1000,
+    tradeSize: 1000,
+    targets: ["USDT"],
+    ...overrides,
+  });
+
+// USDT → BTC → ETH → USDT on Binance pays 4% before its 0.1% taker fee per leg
+function binanceCoins({ ethUsdt = { bid: 5.2, ask: 5.21 } } = {}) {
+  return [
+    {
+      coinId: "bitcoin",
+      tickers: [makeTicker({ exchange: "binance", last: 100, bid: 99.9, ask: 100 })],
+    },
+    {
+      coinId: "ethereum",
+      tickers: [
+        makeTicker({
+          exchange: "binance",
+          base: "ETH",
+          target: "BTC",
+          last: 0.05,
+          bid: 0.0499,
+          ask: 0.05,
+          usdRate: 100,
+        }),
+        makeTicker({ exchange: "binance", base: "ETH", target: "USDT", last: 5.2, ...ethUsdt }),
+      ],
+    },
+  ];
+}
+
+test("cycles buy at the ask and sell at the bid after the taker fee on every leg", () => {
+  const [opportunity] = findTriangularOpportunities(binanceCoins(), settings());
+
+  assert.deepEqual(opportunity.path, ["USDT", "BTC", "ETH", "USDT"]);
+  assert.deepEqual(
+    opportunity.legs.map(({ pair, side, price, priceSource }) => [pair, side, price, priceSource]),
+    [
+      ["BTC/USDT", "buy", 100, "book"],
+      ["ETH/BTC", "buy", 0.05, "book"],
+      ["ETH/USDT", "sell", 5.2, "book"],
+    ],
+  );
+  const expected = ((1 / 100) * (1 / 0.05) * 5.2 * 0.999 ** 3 - 1) * 100;
+  assert.ok(Math.abs(opportunity.profitPercent - expected) < 1e-9);
+  assert.ok(Math.abs(opportunity.profitUsd - expected * 10) < 1e-9);
+  assert.equal(opportunity.lastPriceEstimate, false);
+});
+
+test("a triangle reachable from several of the user's quotes is reported once", () => {
+  const targets = ["USDT", "BTC"];
+
+  assert.equal(findTriangularOpportunities(binanceCoins(), settings({ targets })).length, 1);
+});
+
+test("legs without a bid and ask are priced at the last trade and flagged", () => {
+  const coins = binanceCoins({ ethUsdt: {} });
+
+  const [opportunity] = findTriangularOpportunities(coins, settings());
+  assert.equal(opportunity.legs[2].priceSource, "last");
+  assert.equal(opportunity.lastPriceEstimate, true);
+
+  assert.deepEqual(findTriangularOpportunities(coins, settings({ requireBidAsk: true })), []);
+});
+
+test("cycles below the user's minimum profit are left out", () => {
+  assert.deepEqual(findTriangularOpportunities(binanceCoins(), settings({ minProfit: 0.05 })), []);
+});
+
+test("toAlertRoute keys a cycle by exchange and path", () => {
+  const [opportunity] = findTriangularOpportunities(binanceCoins(), settings());
+
+  assert.deepEqual(toAlertRoute(opportunity), {
+    coinId: "triangular:binance:USDT-BTC-ETH-USDT",
+    opportunity: {
+      lowestExchangeId: "binance",
+      highestExchangeId: "binance",
+      potentialProfit: opportunity.profitPercent.toFixed(2),
+    },
+  });
+});